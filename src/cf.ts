@@ -0,0 +1,277 @@
+import { LaunchTarget, localServerUrl, normalizeUrl, parseLaunchParams } from './cf/params';
+import { InterceptRule, RuleAction, loadRules, matchRule, parseHeader, saveRules, validateRule } from './cf/rules';
+import { loadConfig } from './quic/config';
+import { getSetting, putSetting } from './quic/store';
+
+// ── DOM ──
+
+const $ = <T extends HTMLElement>(id: string) => document.getElementById(id) as T;
+
+// There are no published types for <controlledframe> yet
+const frame = $('cf-frame') as any;
+const navForm = $<HTMLFormElement>('cf-nav-form');
+const urlInput = $<HTMLInputElement>('cf-url');
+const navError = $('cf-error');
+const scriptInput = $<HTMLTextAreaElement>('cf-script');
+const scriptPersist = $<HTMLInputElement>('cf-script-persist');
+const ruleForm = $<HTMLFormElement>('cf-rule-form');
+const ruleBody = ($('cf-rules') as HTMLTableElement).tBodies[0];
+const ruleError = $('cf-rule-error');
+const logList = $<HTMLOListElement>('cf-log');
+
+const supported = typeof frame.addContentScripts === 'function';
+
+// ── Navigation log ──
+
+const MAX_LOG = 500;
+
+function log(kind: string, text: string, cls = '') {
+  const li = document.createElement('li');
+  if (cls) li.className = cls;
+  const time = document.createElement('span');
+  time.className = 'time';
+  time.textContent = new Date().toLocaleTimeString();
+  const k = document.createElement('span');
+  k.className = 'kind';
+  k.textContent = kind;
+  li.append(time, k, document.createTextNode(text));
+  const atBottom = logList.scrollTop + logList.clientHeight >= logList.scrollHeight - 4;
+  logList.append(li);
+  while (logList.childElementCount > MAX_LOG) logList.firstElementChild!.remove();
+  if (atBottom) logList.scrollTop = logList.scrollHeight;
+}
+
+$('cf-log-clear').addEventListener('click', () => logList.replaceChildren());
+
+// ── Navigation ──
+
+function navigate(url: string) {
+  navError.textContent = '';
+  urlInput.value = url;
+  if (!supported) return;
+  frame.src = url;
+}
+
+async function openTarget(target: LaunchTarget) {
+  switch (target.kind) {
+    case 'url':
+      navigate(target.url);
+      break;
+    case 'local': {
+      const config = await loadConfig();
+      const url = localServerUrl(config.bindAddress, config.tcpPort, target.path);
+      if (url) navigate(url);
+      else navError.textContent = 'the TCP companion is off; set a TCP port on the server page to load it here';
+      break;
+    }
+    case 'invalid':
+      urlInput.value = target.input;
+      navError.textContent = target.reason;
+      log('launch', 'ignored ' + target.input + ': ' + target.reason, 'err');
+      break;
+  }
+}
+
+navForm.addEventListener('submit', e => {
+  e.preventDefault();
+  const result = normalizeUrl(urlInput.value);
+  if ('url' in result) navigate(result.url);
+  else navError.textContent = result.reason;
+});
+
+$('cf-local').addEventListener('click', () => openTarget({ kind: 'local', path: '/' }));
+$('cf-back').addEventListener('click', () => supported && frame.back());
+$('cf-forward').addEventListener('click', () => supported && frame.forward());
+$('cf-reload').addEventListener('click', () => supported && frame.reload());
+
+if (supported) {
+  frame.addEventListener('loadstart', (e: any) => e.isTopLevel && log('loadstart', e.url));
+  frame.addEventListener('loadcommit', (e: any) => {
+    if (!e.isTopLevel) return;
+    urlInput.value = e.url;
+    log('loadcommit', e.url);
+  });
+  frame.addEventListener('loadredirect', (e: any) => e.isTopLevel && log('redirect', e.oldUrl + ' → ' + e.newUrl));
+  frame.addEventListener('loadabort', (e: any) => {
+    if (e.isTopLevel) log('loadabort', e.url + ' (' + e.reason + ')', 'err');
+  });
+  frame.addEventListener('loadstop', () => log('loadstop', frame.src ?? '', 'dim'));
+  // Popups would need a second frame; keep them in this one
+  frame.addEventListener('newwindow', (e: any) => {
+    log('newwindow', e.targetUrl + ' (opened here)', 'warn');
+    e.window.discard();
+    const result = normalizeUrl(e.targetUrl);
+    if ('url' in result) navigate(result.url);
+  });
+  frame.addEventListener('consolemessage', (e: any) => {
+    log('console', e.message, e.level >= 2 ? 'err' : e.level === 1 ? 'warn' : 'dim');
+  });
+  frame.addEventListener('exit', (e: any) => log('exit', 'renderer ' + e.reason, 'err'));
+}
+
+// ── Request rules ──
+
+let rules: InterceptRule[] = [];
+
+function ruleLabel(r: InterceptRule): string {
+  if (r.action === 'block') return 'block';
+  if (r.action === 'redirect') return 'redirect to ' + r.value;
+  return 'set ' + r.value;
+}
+
+function renderRules() {
+  ruleBody.replaceChildren(
+    ...rules.map(r => {
+      const tr = document.createElement('tr');
+      const on = document.createElement('input');
+      on.type = 'checkbox';
+      on.checked = r.enabled;
+      on.title = 'Enabled';
+      on.addEventListener('change', () => {
+        r.enabled = on.checked;
+        saveRules(rules);
+      });
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '✕';
+      remove.title = 'Remove rule';
+      remove.addEventListener('click', () => {
+        rules = rules.filter(o => o !== r);
+        saveRules(rules);
+        renderRules();
+      });
+      const cells = [on, r.pattern, ruleLabel(r), remove].map(content => {
+        const td = document.createElement('td');
+        td.append(content);
+        return td;
+      });
+      tr.append(...cells);
+      return tr;
+    }),
+  );
+}
+
+ruleForm.addEventListener('submit', e => {
+  e.preventDefault();
+  const rule: InterceptRule = {
+    id: crypto.randomUUID(),
+    enabled: true,
+    pattern: $<HTMLInputElement>('cf-rule-pattern').value.trim(),
+    action: $<HTMLSelectElement>('cf-rule-action').value as RuleAction,
+    value: $<HTMLInputElement>('cf-rule-value').value.trim(),
+  };
+  const problems = validateRule(rule);
+  ruleError.textContent = problems.join('; ');
+  if (problems.length) return;
+  rules.push(rule);
+  saveRules(rules);
+  renderRules();
+  ruleForm.reset();
+});
+
+/** One interceptor for everything; matchRule picks the rule per request. */
+function installInterceptor() {
+  const interceptor = frame.request.createWebRequestInterceptor({
+    urlPatterns: ['<all_urls>'],
+    blocking: true,
+    includeHeaders: 'all',
+  });
+  interceptor.addEventListener('beforerequest', (e: any) => {
+    const rule = matchRule(rules, e.request.url);
+    if (rule?.action === 'block') {
+      e.preventDefault();
+      log('blocked', e.request.url, 'warn');
+    } else if (rule?.action === 'redirect' && e.request.url !== rule.value) {
+      // Skipping the target itself keeps a pattern that matches it from looping
+      e.redirect(rule.value);
+      log('redirected', e.request.url + ' → ' + rule.value, 'warn');
+    }
+  });
+  interceptor.addEventListener('beforesendheaders', (e: any) => {
+    const rule = matchRule(rules, e.request.url);
+    if (rule?.action !== 'header') return;
+    const [name, value] = parseHeader(rule.value)!;
+    const headers = new Headers(e.request.headers);
+    headers.set(name, value);
+    e.setRequestHeaders(headers);
+    log('header', name + ' on ' + e.request.url, 'dim');
+  });
+}
+
+// ── Scripts ──
+
+const SCRIPT_KEY = 'cf-script';
+const CONTENT_SCRIPT = 'cf-user-script';
+
+interface SavedScript {
+  code: string;
+  persist: boolean;
+}
+
+async function applyContentScript() {
+  if (!supported) return;
+  try {
+    await frame.removeContentScripts([CONTENT_SCRIPT]);
+    if (scriptPersist.checked && scriptInput.value.trim()) {
+      await frame.addContentScripts([
+        { name: CONTENT_SCRIPT, urlPatterns: ['<all_urls>'], js: { code: scriptInput.value }, runAt: 'document-end' },
+      ]);
+      log('script', 'injecting on every page from the next load', 'dim');
+    }
+  } catch (err) {
+    log('script', 'could not update the content script: ' + (err as Error).message, 'err');
+  }
+}
+
+function saveScript() {
+  const saved: SavedScript = { code: scriptInput.value, persist: scriptPersist.checked };
+  return putSetting(SCRIPT_KEY, saved);
+}
+
+$('cf-run').addEventListener('click', async () => {
+  if (!supported || !scriptInput.value.trim()) return;
+  saveScript();
+  try {
+    const results = await frame.executeScript({ code: scriptInput.value });
+    log('result', JSON.stringify(results?.[0]) ?? 'undefined');
+  } catch (err) {
+    log('result', (err as Error).message, 'err');
+  }
+});
+
+scriptPersist.addEventListener('change', () => {
+  saveScript();
+  applyContentScript();
+});
+// A changed script only re-injects once editing stops
+scriptInput.addEventListener('change', () => {
+  saveScript();
+  if (scriptPersist.checked) applyContentScript();
+});
+
+// ── Startup ──
+
+async function init() {
+  const target = parseLaunchParams(new URLSearchParams(location.search).get('params'));
+  const [savedRules, savedScript] = await Promise.all([
+    loadRules(),
+    getSetting<SavedScript>(SCRIPT_KEY).catch(() => undefined),
+  ]);
+  rules = savedRules;
+  renderRules();
+  if (savedScript) {
+    scriptInput.value = savedScript.code;
+    scriptPersist.checked = savedScript.persist;
+  }
+
+  if (!supported) {
+    log('unsupported', 'Controlled Frame needs the installed app with the controlled-frame permission', 'err');
+    await openTarget(target);
+    return;
+  }
+  installInterceptor();
+  await applyContentScript();
+  await openTarget(target);
+}
+
+init();
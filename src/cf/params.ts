@@ -0,0 +1,55 @@
+/**
+ * Targets for the Controlled Frame page.
+ *
+ * The manifest registers `web+cf` and `cf` with `/cf.html?params=%s`, so a
+ * launch arrives as the whole protocol URL, escaped, in `params`:
+ *   web+cf:https://example.com/a   open that URL
+ *   web+cf://example.com/a         https:// assumed
+ *   web+cf:example.com             https:// assumed
+ *   web+cf:local[/path]            the local server (see localServerUrl)
+ * The frame only ever gets http(s) URLs.
+ */
+
+export type LaunchTarget =
+  | { kind: 'url'; url: string }
+  | { kind: 'local'; path: string }
+  | { kind: 'none' }
+  | { kind: 'invalid'; input: string; reason: string };
+
+/** Turn typed or launched text into an http(s) URL, or explain why not. */
+export function normalizeUrl(input: string): { url: string } | { reason: string } {
+  let text = input.trim();
+  if (!text) return { reason: 'empty address' };
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(text) || /^[^/:]+:\d+(\/|$)/.test(text)) text = 'https://' + text.replace(/^\/\//, '');
+  let url: URL;
+  try {
+    url = new URL(text);
+  } catch (_) {
+    return { reason: 'not a URL: ' + input.trim() };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { reason: url.protocol.slice(0, -1) + ' URLs are not allowed in the frame' };
+  }
+  return { url: url.href };
+}
+
+export function parseLaunchParams(params: string | null): LaunchTarget {
+  if (params === null || !params.trim()) return { kind: 'none' };
+  const payload = params.trim().replace(/^(web\+cf|cf):/i, '');
+  const local = payload.replace(/^\/\//, '').match(/^local(\/.*)?$/i);
+  if (local) return { kind: 'local', path: local[1] ?? '/' };
+  const result = normalizeUrl(payload);
+  return 'url' in result ? { kind: 'url', url: result.url } : { kind: 'invalid', input: payload, reason: result.reason };
+}
+
+/**
+ * The main server as a frame can load it. Browsers only use HTTP/3 for an
+ * origin that advertised it over TCP with a trusted certificate, so the frame
+ * goes through the TCP companion; null when that is turned off.
+ */
+export function localServerUrl(bindAddress: string, tcpPort: number, path = '/'): string | null {
+  if (!tcpPort) return null;
+  const wildcard = bindAddress === '0.0.0.0' || bindAddress === '::';
+  const host = wildcard ? '127.0.0.1' : bindAddress.includes(':') ? '[' + bindAddress + ']' : bindAddress;
+  return 'http://' + host + ':' + tcpPort + (path.startsWith('/') ? path : '/' + path);
+}
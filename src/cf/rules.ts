@@ -0,0 +1,92 @@
+import { getSetting, putSetting } from '../quic/store';
+
+/**
+ * Request interception rules for the Controlled Frame page.
+ *
+ * One blocking interceptor sees every request the frame makes, and the
+ * first enabled rule whose pattern matches decides what happens, so rules
+ * can be edited without recreating interceptors. Patterns use the extension
+ * match-pattern syntax: `<all_urls>` or `scheme://host/path`, where scheme
+ * may be `*` (http or https), host may be `*` or start with `*.`, and `*` in
+ * the path matches anything.
+ */
+
+export type RuleAction = 'block' | 'redirect' | 'header';
+
+export const RULE_ACTIONS: RuleAction[] = ['block', 'redirect', 'header'];
+
+export interface InterceptRule {
+  id: string;
+  enabled: boolean;
+  pattern: string;
+  action: RuleAction;
+  /** Redirect target, or `Name: value` for a request header. */
+  value: string;
+}
+
+const SCHEMES = ['http', 'https', 'ws', 'wss'];
+
+const escape = (s: string) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+/** A RegExp over full URLs, or null if `pattern` isn't a valid match pattern. */
+export function compilePattern(pattern: string): RegExp | null {
+  if (pattern === '<all_urls>') return /^(https?|wss?):\/\//;
+  const m = pattern.match(/^(\*|[a-z]+):\/\/(\*|(?:\*\.)?[^/*]+)(\/.*)$/);
+  if (!m) return null;
+  const [, scheme, host, path] = m;
+  if (scheme !== '*' && !SCHEMES.includes(scheme)) return null;
+  const schemeRe = scheme === '*' ? 'https?' : scheme;
+  let hostRe: string;
+  if (host === '*') hostRe = '[^/]+';
+  else if (host.startsWith('*.')) hostRe = '(?:[^/]+\\.)?' + escape(host.slice(2));
+  else hostRe = escape(host);
+  // An explicit port belongs to the pattern; otherwise any port matches
+  if (!/:\d+$/.test(host) && host !== '*') hostRe += '(?::\\d+)?';
+  const pathRe = path.split('*').map(escape).join('.*');
+  return new RegExp('^' + schemeRe + ':\\/\\/' + hostRe + pathRe + '$', 'i');
+}
+
+export function parseHeader(value: string): [string, string] | null {
+  const i = value.indexOf(':');
+  if (i <= 0) return null;
+  const name = value.slice(0, i).trim();
+  if (!/^[!#$%&'*+.^_`|~0-9a-z-]+$/i.test(name)) return null;
+  return [name, value.slice(i + 1).trim()];
+}
+
+export function validateRule(r: InterceptRule): string[] {
+  const problems: string[] = [];
+  if (!compilePattern(r.pattern)) problems.push('not a match pattern: ' + r.pattern);
+  if (!RULE_ACTIONS.includes(r.action)) problems.push('unknown action: ' + r.action);
+  if (r.action === 'redirect' && !/^https?:\/\//i.test(r.value)) problems.push('redirects need an http(s) URL');
+  if (r.action === 'header' && !parseHeader(r.value)) problems.push('headers are written "Name: value"');
+  return problems;
+}
+
+// Every request the frame makes goes through matchRule
+const compiled = new Map<string, RegExp | null>();
+
+/** The first enabled rule matching `url`. */
+export function matchRule(rules: InterceptRule[], url: string): InterceptRule | null {
+  for (const r of rules) {
+    if (!r.enabled) continue;
+    if (!compiled.has(r.pattern)) compiled.set(r.pattern, compilePattern(r.pattern));
+    if (compiled.get(r.pattern)?.test(url)) return r;
+  }
+  return null;
+}
+
+const RULES_KEY = 'cf-rules';
+
+export async function loadRules(): Promise<InterceptRule[]> {
+  try {
+    const saved = (await getSetting<InterceptRule[]>(RULES_KEY)) ?? [];
+    return saved.filter(r => validateRule(r).length === 0);
+  } catch (_) {
+    return [];
+  }
+}
+
+export function saveRules(rules: InterceptRule[]): Promise<void> {
+  return putSetting(RULES_KEY, rules);
+}
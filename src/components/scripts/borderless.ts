@@ -11,8 +11,31 @@
  * limitations under the License.
  */
 
-document.getElementById('borderless').addEventListener('click', async (e) => {
+// The drag bar is the window's title bar in borderless mode, so it shows
+// the document title and follows it when a page renames itself
+const borderTitle = document.getElementById('border-title')!;
+
+function syncTitle() {
+  if (document.title) borderTitle.textContent = document.title;
+}
+
+syncTitle();
+new MutationObserver(syncTitle).observe(document.head, {
+  subtree: true,
+  childList: true,
+  characterData: true,
+});
+
+// Asking for screen details needs a click the first time; pages that place
+// windows (the monitor wall) listen for the result instead of asking again
+document.getElementById('borderless')!.addEventListener('click', async (e) => {
   e.preventDefault();
-  const screenDetails = await window.getScreenDetails();
-  console.log(screenDetails);
+  try {
+    const screenDetails = await (window as any).getScreenDetails();
+    window.dispatchEvent(
+      new CustomEvent('screendetails', { detail: screenDetails }),
+    );
+  } catch (err) {
+    console.warn('Screen details unavailable:', (err as Error).message);
+  }
 });
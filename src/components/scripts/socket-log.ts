@@ -11,17 +11,56 @@
  * limitations under the License.
  */
 
+
+import { PayloadFormat, toHex, toText } from '../../sockets/payload';
+import { fileTimestamp, saveTextFile } from '../../quic/files';
+
+export type SocketLogDirection = 'in' | 'out' | 'info' | 'error';
+
+export interface SocketLogEntry {
+  time: number;
+  direction: SocketLogDirection;
+  /** Payload bytes for in/out, the message for info/error. */
+  data: Uint8Array | string;
+  /** Peer or other context shown next to the timestamp. */
+  detail?: string;
+}
+
+const MAX_ENTRIES = 2000;
+
+const MARKERS: Record<SocketLogDirection, string> = {
+  in: '←',
+  out: '→',
+  info: '·',
+  error: '!',
+};
+
+/**
+ * A scrolling transcript of socket traffic. add() appends an entry; the
+ * `input` attribute still works and adds each new value as received text.
+ * `mode` is `text` or `hex` and picks how payloads are shown, copied and
+ * exported.
+ */
 class SocketLog extends HTMLElement {
-  input: string | undefined;
+  entries: SocketLogEntry[] = [];
   header: HTMLElement | undefined;
   log: HTMLElement | undefined;
+  modeButton: HTMLButtonElement | undefined;
 
   constructor() {
     super();
   }
 
   static get observedAttributes() {
-    return ['input'];
+    return ['input', 'mode'];
+  }
+
+  get mode(): PayloadFormat {
+    return this.getAttribute('mode') === 'hex' ? 'hex' : 'text';
+  }
+
+  set mode(value: PayloadFormat) {
+    this.setAttribute('mode', value);
   }
 
   attributeChangedCallback(
@@ -33,34 +72,122 @@ class SocketLog extends HTMLElement {
       return;
     }
 
-    console.log(
-      `Attribute: ${property} changed from ${oldValue} to ${newValue}`,
-    );
-
-    if (property === 'input') {
-      this.input = newValue;
-      if (this.header) {
-        this.header.textContent = 'Latest transmission';
-      }
-      if (this.log) {
-        this.log.textContent = newValue;
-      }
+    if (property === 'input' && newValue !== null) {
+      this.add('in', new TextEncoder().encode(newValue));
+    } else if (property === 'mode') {
+      this.render();
     }
   }
 
   async connectedCallback() {
+    if (this.shadowRoot) return;
     const shadow = this.attachShadow({ mode: 'open' });
-    const template = document
-      .getElementById('socket-log')
-      ?.content.cloneNode(true);
+    const template = (
+      document.getElementById('socket-log') as HTMLTemplateElement
+    ).content.cloneNode(true) as DocumentFragment;
 
-    // Add values to template
-    this.header = template.querySelector('#log-header');
-    this.log = template.querySelector('#log');
+    this.header = template.querySelector('#log-header') as HTMLElement;
+    this.log = template.querySelector('#log') as HTMLElement;
+    this.modeButton = template.querySelector('#mode') as HTMLButtonElement;
+    this.modeButton.addEventListener('click', () => {
+      this.mode = this.mode === 'hex' ? 'text' : 'hex';
+    });
+    template.querySelector('#copy')!.addEventListener('click', () => {
+      navigator.clipboard.writeText(this.toText()).catch(() => {});
+    });
+    template.querySelector('#export')!.addEventListener('click', () => {
+      saveTextFile('socket-log-' + fileTimestamp() + '.txt', this.toText(), {
+        description: 'Socket transcript',
+        mime: 'text/plain',
+        ext: '.txt',
+      });
+    });
+    template.querySelector('#clear')!.addEventListener('click', () => this.clear());
 
     shadow.append(template);
+    this.render();
+  }
+
+  add(direction: SocketLogDirection, data: Uint8Array | string, detail?: string) {
+    const entry: SocketLogEntry = { time: Date.now(), direction, data, detail };
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift();
+      this.log?.firstElementChild?.remove();
+    }
+    if (!this.log) return;
+    const atBottom = this.log.scrollTop + this.log.clientHeight >= this.log.scrollHeight - 4;
+    this.log.append(this.row(entry));
+    this.updateHeader();
+    if (atBottom) this.log.scrollTop = this.log.scrollHeight;
+  }
+
+  clear() {
+    this.entries = [];
+    this.render();
+  }
+
+  /** The transcript as plain text, payloads in the current mode. */
+  toText(): string {
+    return this.entries
+      .map(e => {
+        const head = new Date(e.time).toISOString() + ' ' + MARKERS[e.direction] + ' ' + this.meta(e);
+        return typeof e.data === 'string' ? head + ' ' + e.data : head + '\n' + this.format(e.data);
+      })
+      .join('\n');
+  }
+
+  private format(bytes: Uint8Array): string {
+    return this.mode === 'hex' ? toHex(bytes) : toText(bytes);
+  }
+
+  private meta(e: SocketLogEntry): string {
+    const parts = typeof e.data === 'string' ? [] : [e.data.byteLength + ' B'];
+    if (e.detail) parts.push(e.detail);
+    return parts.join(' · ');
+  }
+
+  private row(e: SocketLogEntry): HTMLLIElement {
+    const li = document.createElement('li');
+    li.className = e.direction;
+    const dir = document.createElement('span');
+    dir.className = 'dir';
+    dir.textContent = MARKERS[e.direction];
+    const meta = document.createElement('span');
+    meta.className = 'meta';
+    meta.textContent = new Date(e.time).toLocaleTimeString() + ' ' + this.meta(e);
+    li.append(dir, meta);
+    if (typeof e.data === 'string') {
+      li.append(' ' + e.data);
+    } else {
+      const pre = document.createElement('pre');
+      pre.textContent = this.format(e.data);
+      li.append(pre);
+    }
+    return li;
+  }
+
+  private updateHeader() {
+    if (!this.header) return;
+    const payloads = this.entries.filter(e => typeof e.data !== 'string');
+    const bytes = (dir: SocketLogDirection) =>
+      payloads.reduce((n, e) => n + (e.direction === dir ? (e.data as Uint8Array).byteLength : 0), 0);
+    this.header.textContent = this.entries.length
+      ? 'Transcript — ' + bytes('out') + ' B sent, ' + bytes('in') + ' B received'
+      : 'Waiting for content';
+  }
+
+  private render() {
+    if (!this.log) return;
+    if (this.modeButton) {
+      this.modeButton.textContent = this.mode === 'hex' ? 'text' : 'hex';
+      this.modeButton.title = 'Show payloads as ' + this.modeButton.textContent;
+    }
+    this.log.replaceChildren(...this.entries.map(e => this.row(e)));
+    this.log.scrollTop = this.log.scrollHeight;
+    this.updateHeader();
   }
 }
 
 customElements.define('socket-log', SocketLog);
-export default {};
+export default SocketLog;
@@ -1,20 +1,210 @@
+import { ServerEventBus } from './quic/events';
+import { QuicServer, ServerState, StartOptions } from './quic/server';
+import { MetricsCollector } from './quic/metrics';
+import { drawSparkline } from './quic/sparkline';
+import { downloadBlob, fileTimestamp, saveTextFile } from './quic/files';
+import { formatBytes, formatCount } from './quic/format';
+import { LogConsole, LogEntry, toNdjson, toPlainText } from './quic/log-console';
+import {
+  QLOG_CAP_BYTES,
+  clearTraces,
+  deleteTrace,
+  getTrace,
+  listTraces,
+  saveTrace,
+  sqlogToJson,
+} from './quic/qlog';
+import { CONN_CHANNEL, ConnChannelMessage, ConnectionSnapshot, ConnLogLine } from './quic/conn-channel';
+import { mountConnectionView } from './quic/conn-view';
+import { HandlerHost, NATIVE_HANDLER, getHandler, listHandlers, registerHandler } from './quic/handlers';
+import { CertHashInfo, TcpCompanion } from './quic/tcp-server';
+import { LoadMode, LoadResult, loopbackUrl, runLoadTest } from './quic/loopback';
+import { BENCHMARK_PRESET, BenchmarkRun, BenchmarkStep, deleteBenchmark, improvement, listBenchmarks, saveBenchmark } from './quic/benchmarks';
+import { getSetting, putSetting } from './quic/store';
+import {
+  DEFAULT_POLICY,
+  DROP_REASONS,
+  Policy,
+  PolicyFilter,
+  loadPolicy,
+  savePolicy,
+  validatePolicy,
+} from './quic/policy';
+import { addUdpTap, setUdpShaper } from './quic/socket-tap';
+import {
+  ALERT_KINDS,
+  AlertSettings,
+  DEFAULT_ALERTS,
+  IdleAction,
+  Notifier,
+  loadAlerts,
+  notificationsSupported,
+  requestNotificationPermission,
+  saveAlerts,
+  validateAlerts,
+} from './quic/alerts';
+import { IdleState, IdleWatcher, WakeLockKeeper } from './quic/power';
+import {
+  DEFAULT_RETENTION,
+  HistoryQuery,
+  HistoryRecord,
+  HistoryRetention,
+  HistorySortKey,
+  addHistory,
+  clearHistory,
+  historyToCsv,
+  historyToJson,
+  listHistory,
+  loadRetention,
+  pruneHistory,
+  queryHistory,
+  saveRetention,
+  validateRetention,
+} from './quic/history';
+import {
+  CUSTOM_PROFILE,
+  DEFAULT_CUSTOM,
+  DirectionImpairment,
+  DirectionStats,
+  IMPAIRMENT_FIELDS,
+  Impairment,
+  ImpairmentProfile,
+  ImpairmentSettings,
+  NO_IMPAIRMENT,
+  PROFILES,
+  describeDirection,
+  loadImpairment,
+  saveImpairment,
+  validateImpairment,
+} from './quic/impairment';
+import { CAPTURE_CAP_BYTES, PacketCapture } from './quic/capture';
+import {
+  InstanceDef,
+  MAX_INSTANCES,
+  ServerInstance,
+  deleteInstanceData,
+  loadInstances,
+  newInstanceDef,
+  saveInstances,
+  validateInstance,
+} from './quic/instances';
+import { BUILTIN_HANDLERS, registerBuiltinHandlers } from './quic/builtin-handlers';
+import { createScreencastHandler } from './quic/screencast';
+import { AdminServer, AdminSettings, DEFAULT_ADMIN, generateToken, loadAdmin, saveAdmin, validateAdmin } from './quic/admin-server';
+import {
+  DEFAULT_UPDATES,
+  UpdateSettings,
+  appInfo,
+  checkForUpdates,
+  loadUpdates,
+  saveUpdates,
+  validateUpdates,
+} from './quic/updates';
+import {
+  DEFAULT_WALL,
+  MonitorWall,
+  WALL_CHANNEL,
+  WALL_PANELS,
+  WallMessage,
+  WallPanelId,
+  WallSettings,
+  describeScreen,
+  loadWall,
+  saveWall,
+  screenKey,
+  validateWall,
+} from './quic/wall';
+import { RequestLogEntry, createStaticFileHandler, loadRoot, rootPermission, saveRoot } from './quic/static-files';
+import {
+  DEFAULT_CONFIG,
+  ServerConfig,
+  formatEndpoint,
+  loadConfig,
+  patchConfig,
+  saveConfig,
+  toModuleArgs,
+  validateConfig,
+} from './quic/config';
+import {
+  CERT_ROTATE_AFTER_MS,
+  CERT_VALIDITY_MS,
+  CertState,
+  advertisedHashes,
+  ensureCertificates,
+  msUntilRotation,
+  toPem,
+} from './quic/cert';
+
+// quic.html?conn=N is a read-only view of one connection, fed by the server tab
+const pageParams = new URLSearchParams(location.search);
+const viewConn = pageParams.get('conn');
+const connMode = viewConn !== null;
+// quic.html?panel=ID is one metric panel of the monitor wall, fed the same way
+const viewPanel = pageParams.get('panel');
+const panelMode = viewPanel !== null;
+// Views show data from the server tab and never run anything themselves
+const viewMode = connMode || panelMode;
+
 const logEl = document.getElementById('log')!;
 const statusEl = document.getElementById('status')!;
 const statusTextEl = document.getElementById('status-text')!;
 const btnStart = document.getElementById('btn-start') as HTMLButtonElement;
+const btnStop = document.getElementById('btn-stop') as HTMLButtonElement;
+const btnRestart = document.getElementById('btn-restart') as HTMLButtonElement;
 const btnClear = document.getElementById('btn-clear')!;
 const logCountEl = document.getElementById('log-count')!;
 const loadingOverlay = document.getElementById('loading-overlay')!;
 const badgeDisplay = document.getElementById('badge-display')!;
 const badgeCountEl = document.getElementById('badge-count')!;
-let lineCount = 0;
-let connectionCount = 0;
+let connectionSeq = 0;
+
+// Live connections by connection ID; the badge is derived from this map
+const connections = new Map<string, ConnectionSnapshot>();
+const serverEvents = new ServerEventBus();
+
+// ── Connection views (BroadcastChannel) ──
+const MAX_TRACKED_CONNECTIONS = 200;
+const MAX_CONN_LOG_LINES = 500;
+const connChannel = viewMode ? null : new BroadcastChannel(CONN_CHANNEL);
+// Open and recently closed connections by sequence number, with their logs
+const connsByNumber = new Map<number, { conn: ConnectionSnapshot; lines: ConnLogLine[] }>();
+
+function postConn(msg: ConnChannelMessage) {
+  connChannel?.postMessage(msg);
+}
+
+function trackConnection(conn: ConnectionSnapshot) {
+  connsByNumber.set(conn.n, { conn, lines: [] });
+  // Map iteration order is insertion order, so the first key is the oldest
+  while (connsByNumber.size > MAX_TRACKED_CONNECTIONS) {
+    connsByNumber.delete(connsByNumber.keys().next().value!);
+  }
+}
+
+function appendConnLog(n: number, line: ConnLogLine) {
+  const entry = connsByNumber.get(n);
+  if (!entry) return;
+  entry.lines.push(line);
+  if (entry.lines.length > MAX_CONN_LOG_LINES) entry.lines.shift();
+  postConn({ type: 'log', n, line });
+}
+
+connChannel?.addEventListener('message', (e: MessageEvent<ConnChannelMessage>) => {
+  if (e.data.type !== 'hello') return;
+  const n = e.data.n;
+  const entry = connsByNumber.get(n);
+  if (!entry) {
+    postConn({ type: 'unknown', n });
+    return;
+  }
+  postConn({ type: 'conn', conn: entry.conn });
+  postConn({ type: 'backlog', n, lines: entry.lines });
+});
 
 // ── Badging API ──
 const badgingSupported = 'setAppBadge' in navigator;
 
 async function updateBadge(count: number) {
-  connectionCount = count;
   badgeCountEl.textContent = String(count);
   badgeDisplay.style.display = count > 0 ? 'inline-flex' : 'none';
   if (badgingSupported) {
@@ -33,45 +223,101 @@ function setStatus(text: string, cls: string) {
   statusEl.className = 'status-pill ' + cls;
 }
 
-function log(msg: string, cls?: string) {
+// ── Log console ──
+const logConsole = new LogConsole(logEl);
+logConsole.onCount = (shown, total) => {
+  logCountEl.textContent = (shown !== total ? shown + ' of ' : '') + total + ' line' + (total !== 1 ? 's' : '');
+};
+// Every line as it's logged, for the admin API's /log stream
+const logListeners = new Set<(e: LogEntry) => void>();
+
+function log(msg: string, cls?: string, conn?: number) {
   if (!cls) {
     if (/FATAL:|error/i.test(msg))                                            cls = 'log-err';
     else if (/OK$|loaded|configured|completed|Listening|available/i.test(msg)) cls = 'log-ok';
     else if (/warn|requires|not available/i.test(msg))                        cls = 'log-warn';
     else                                                                      cls = 'log-info';
   }
-  const ts = new Date().toISOString().split('T')[1].replace('Z', '');
-  const line = document.createElement('div');
-  line.className = 'log-line ' + cls;
+  const time = Date.now();
+  const ts = new Date(time).toISOString().split('T')[1].replace('Z', '');
 
-  const tsSpan = document.createElement('span');
-  tsSpan.className = 'log-ts';
-  tsSpan.textContent = ts;
-  line.appendChild(tsSpan);
-  line.appendChild(document.createTextNode(msg));
-
-  logEl.appendChild(line);
-  logEl.scrollTop = logEl.scrollHeight;
-  lineCount++;
-  logCountEl.textContent = lineCount + ' line' + (lineCount !== 1 ? 's' : '');
+  // Route the line to connection views: explicitly tagged, or the
+  // server's own output mentioning a live connection ID
+  let owner = conn;
+  if (conn !== undefined) {
+    appendConnLog(conn, { ts, msg, cls });
+  } else {
+    for (const c of connections.values()) {
+      if (c.cid && msg.includes(c.cid)) {
+        appendConnLog(c.n, { ts, msg, cls });
+        owner ??= c.n;
+      }
+    }
+  }
+  const entry = logConsole.append({ time, ts, msg, cls, conn: owner });
+  for (const listener of logListeners) listener(entry);
 }
 
 function clearLog() {
-  while (logEl.firstChild) logEl.removeChild(logEl.firstChild);
-  lineCount = 0;
-  logCountEl.textContent = '0 lines';
+  logConsole.clear();
 }
 
-// ── Show cert hash ──
-(function showCertHash() {
-  const meta = document.querySelector('meta[name="cert-hash-b64"]') as HTMLMetaElement | null;
-  if (meta && meta.content && meta.content !== 'PLACEHOLDER') {
-    const card = document.getElementById('cert-card')!;
-    card.classList.add('visible');
-    document.getElementById('cert-value')!.textContent = meta.content;
-    document.getElementById('snippet-hash')!.textContent = "'" + meta.content + "'";
+const logSearch = document.getElementById('log-search') as HTMLInputElement;
+const logRegex = document.getElementById('log-regex') as HTMLInputElement;
+const logConnSelect = document.getElementById('log-conn') as HTMLSelectElement;
+
+function applyLogSearch() {
+  try {
+    logConsole.setFilter({ text: logSearch.value, regex: logRegex.checked });
+    logSearch.classList.remove('invalid');
+  } catch (_) {
+    logSearch.classList.add('invalid');
   }
-})();
+}
+
+logSearch.addEventListener('input', applyLogSearch);
+logRegex.addEventListener('change', applyLogSearch);
+
+document.querySelectorAll<HTMLInputElement>('.log-levels input[data-level]').forEach(box => {
+  box.addEventListener('change', () => {
+    const levels = new Set(['log-dim']);
+    document.querySelectorAll<HTMLInputElement>('.log-levels input[data-level]').forEach(b => {
+      if (b.checked) levels.add(b.dataset.level!);
+    });
+    logConsole.setFilter({ levels });
+  });
+});
+
+// Connection list is rebuilt on open so it reflects open and recent conns
+logConnSelect.addEventListener('focus', () => {
+  const selected = logConnSelect.value;
+  const options = [new Option('all connections', '')];
+  for (const { conn } of connsByNumber.values()) {
+    options.push(new Option('#' + conn.n + ' ' + conn.peer + (conn.state === 'closed' ? ' (closed)' : ''), String(conn.n)));
+  }
+  logConnSelect.replaceChildren(...options);
+  logConnSelect.value = selected;
+});
+
+logConnSelect.addEventListener('change', () => {
+  logConsole.setFilter({ conn: logConnSelect.value ? Number(logConnSelect.value) : null });
+});
+
+async function saveLog(format: 'txt' | 'ndjson') {
+  const entries = logConsole.filtered();
+  const name = 'socket-iwa-log-' + fileTimestamp() + '.' + format;
+  try {
+    const saved = format === 'txt'
+      ? await saveTextFile(name, toPlainText(entries), { description: 'Plain text log', mime: 'text/plain', ext: '.txt' })
+      : await saveTextFile(name, toNdjson(entries), { description: 'NDJSON log', mime: 'application/x-ndjson', ext: '.ndjson' });
+    if (saved) log('Saved ' + entries.length + ' log lines to ' + name, 'log-ok');
+  } catch (err) {
+    log('Saving log failed: ' + (err as Error).message, 'log-err');
+  }
+}
+
+document.getElementById('btn-log-save-txt')!.addEventListener('click', () => saveLog('txt'));
+document.getElementById('btn-log-save-ndjson')!.addEventListener('click', () => saveLog('ndjson'));
 
 // ── Helper: create an env card using DOM API (no innerHTML) ──
 function createEnvCard(iconName: string, label: string, value: string, cls: string): HTMLElement {
@@ -196,74 +442,1886 @@ function createCapItem(name: string, ok: boolean): HTMLElement {
   log('IWA capabilities: ' + okCount + '/' + caps.length + ' APIs detected', 'log-ok');
 })();
 
-// ── Start server ──
+// ── Server settings ──
+const settingsForm = document.getElementById('settings-panel') as HTMLFormElement;
+const settingsErrors = document.getElementById('settings-errors')!;
+const cfgInputs = {
+  bind: document.getElementById('cfg-bind') as HTMLInputElement,
+  port: document.getElementById('cfg-port') as HTMLInputElement,
+  tcpPort: document.getElementById('cfg-tcp-port') as HTMLInputElement,
+  idle: document.getElementById('cfg-idle') as HTMLInputElement,
+  maxConns: document.getElementById('cfg-max-conns') as HTMLInputElement,
+  alpn: document.getElementById('cfg-alpn') as HTMLInputElement,
+  drain: document.getElementById('cfg-drain') as HTMLInputElement,
+};
+const qlogToggle = document.getElementById('qlog-toggle') as HTMLInputElement;
+const handlerSelect = document.getElementById('handler-mode') as HTMLSelectElement;
+let config: ServerConfig = { ...DEFAULT_CONFIG };
+
+function fillSettingsForm(c: ServerConfig) {
+  cfgInputs.bind.value = c.bindAddress;
+  cfgInputs.port.value = String(c.port);
+  cfgInputs.tcpPort.value = String(c.tcpPort);
+  cfgInputs.idle.value = String(c.idleTimeout);
+  cfgInputs.maxConns.value = String(c.maxConnections);
+  cfgInputs.alpn.value = c.alpn.join(', ');
+  cfgInputs.drain.value = String(c.drainTimeout);
+  settingsErrors.textContent = '';
+}
+
+function renderConfig() {
+  fillSettingsForm(config);
+  qlogToggle.checked = config.qlog;
+  handlerSelect.value = config.handler;
+  document.getElementById('info-port')!.textContent = 'UDP ' + config.port;
+  document.getElementById('info-bind')!.textContent = config.bindAddress;
+  document.getElementById('info-alpn')!.textContent = config.alpn.join(', ');
+  renderTcpInfo();
+  renderInstances();
+}
+
+registerBuiltinHandlers();
+registerHandler(createStaticFileHandler(() => (httpRootGranted ? httpRoot : null), logRequest));
+registerHandler(createScreencastHandler());
+for (const h of listHandlers()) {
+  const opt = document.createElement('option');
+  opt.value = h.id;
+  opt.textContent = h.label;
+  opt.title = h.description;
+  handlerSelect.appendChild(opt);
+}
+
+const configReady = loadConfig().then(c => {
+  // A handler registered in an earlier build may be gone
+  config = getHandler(c.handler) ? c : { ...c, handler: NATIVE_HANDLER };
+  renderConfig();
+});
+
+settingsForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const next: ServerConfig = {
+    ...config,
+    bindAddress: cfgInputs.bind.value.trim(),
+    port: Number(cfgInputs.port.value),
+    tcpPort: Number(cfgInputs.tcpPort.value),
+    idleTimeout: Number(cfgInputs.idle.value),
+    maxConnections: Number(cfgInputs.maxConns.value),
+    alpn: cfgInputs.alpn.value.split(',').map(p => p.trim()).filter(Boolean),
+    drainTimeout: Number(cfgInputs.drain.value),
+  };
+  const problems = validateConfig(next);
+  if (problems.length > 0) {
+    settingsErrors.textContent = problems.join('; ');
+    return;
+  }
+  try {
+    await applyConfig(next);
+  } catch (err) {
+    settingsErrors.textContent = 'Could not save settings: ' + (err as Error).message;
+    return;
+  }
+  settingsForm.hidePopover();
+});
+
+/** Save a validated config; changes reach a running server on restart. */
+async function applyConfig(next: ServerConfig) {
+  await saveConfig(next);
+  config = next;
+  renderConfig();
+  log('Settings saved: ' + formatEndpoint(config.bindAddress, config.port) +
+    ', alpn ' + config.alpn.join(',') +
+    (server.busy ? ' — restart to apply' : ''), 'log-ok');
+  if (server.busy) markRestartPending();
+}
+
+document.getElementById('cfg-defaults')!.addEventListener('click', () => {
+  fillSettingsForm(DEFAULT_CONFIG);
+});
+
+// Discard unsaved edits when the popover is dismissed
+settingsForm.addEventListener('toggle', e => {
+  if ((e as ToggleEvent).newState === 'closed') fillSettingsForm(config);
+});
+
+// ── Certificate: generate, show, rotate ──
+const DAY_MS = 24 * 60 * 60 * 1000;
+let certState: CertState | null = null;
+let rotationTimer: number | undefined;
+let expiryAlerted: string | null = null;
+
+function formatCountdown(ms: number): string {
+  if (ms <= 0) return 'now';
+  const d = Math.floor(ms / DAY_MS);
+  const h = Math.floor((ms % DAY_MS) / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  return d > 0 ? d + 'd ' + h + 'h' : h > 0 ? h + 'h ' + m + 'm' : m + 'm';
+}
+
+function renderCert() {
+  if (!certState) return;
+  const now = Date.now();
+  const hashes = advertisedHashes(certState, now);
+  document.getElementById('cert-card')!.classList.add('visible');
+  document.getElementById('cert-value')!.textContent = hashes[0];
+  document.getElementById('snippet-hash')!.textContent = hashes.map(h => "'" + h + "'").join(', ');
+
+  const prevEl = document.getElementById('cert-previous')!;
+  prevEl.classList.toggle('visible', hashes.length > 1);
+  document.getElementById('cert-previous-value')!.textContent = hashes[1] ?? '';
+
+  const expiresIn = certState.current.notAfter - now;
+  const expiryEl = document.getElementById('cert-expiry')!;
+  expiryEl.textContent = 'Expires in ' + formatCountdown(expiresIn) +
+    ' · rotates in ' + formatCountdown(msUntilRotation(certState, now));
+  const expiring = expiresIn < CERT_VALIDITY_MS - CERT_ROTATE_AFTER_MS;
+  expiryEl.classList.toggle('expiring', expiring);
+  if (expiring && expiryAlerted !== certState.current.hash) {
+    expiryAlerted = certState.current.hash;
+    notifier.notify('cert', 'Certificate expiring', 'Expires in ' + formatCountdown(expiresIn) + ' and has not rotated');
+  }
+}
+
+async function refreshCertificates() {
+  try {
+    const { state, changed } = await ensureCertificates();
+    certState = state;
+    if (changed) {
+      log('Certificate ' + (state.previous ? 'rotated' : 'issued') + ': ' + state.current.hash, 'log-ok');
+      if (state.previous) notifier.notify('cert', 'Certificate rotated', 'Clients must pin ' + state.current.hash);
+      // The old certificate stays pinnable during the overlap, so a graceful
+      // restart onto the new one doesn't strand clients
+      if (server.state === 'running') {
+        log('Restarting to serve the new certificate', 'log-info');
+        restartServer().catch(err => log('Restart failed: ' + (err as Error).message, 'log-err'));
+      }
+    }
+    renderCert();
+    clearTimeout(rotationTimer);
+    rotationTimer = window.setTimeout(refreshCertificates, Math.max(0, msUntilRotation(state)) + 1000);
+  } catch (err) {
+    log('Certificate generation failed: ' + (err as Error).message, 'log-err');
+    notifier.notify('cert', 'Certificate generation failed', (err as Error).message);
+  }
+}
+
+document.getElementById('info-validity')!.textContent = CERT_VALIDITY_MS / DAY_MS + ' days';
+document.getElementById('info-rotation')!.textContent = 'every ' + CERT_ROTATE_AFTER_MS / DAY_MS + ' days';
+
+// Connection views only display; the server tab owns the certificate
+const certReady = viewMode ? Promise.resolve() : refreshCertificates();
+if (!viewMode) setInterval(renderCert, 60 * 1000);
+
+/** Server options for the next start, from the current settings and cert. */
+function startOptions(): StartOptions {
+  const files: Record<string, string> = {};
+  const args = toModuleArgs(config);
+  if (certState) {
+    files['/certs/cert.pem'] = toPem('CERTIFICATE', certState.current.certDer);
+    files['/certs/key.pem'] = toPem('PRIVATE KEY', certState.current.keyPkcs8);
+    args.push('--cert', '/certs/cert.pem', '--key', '/certs/key.pem');
+  }
+  if (policyFilter.policy.retry) args.push('--retry');
+  return { args, files };
+}
+
+// ── Server lifecycle ──
+const logContainer = document.querySelector('.log-container')!;
+
+const server = new QuicServer({
+  print: text => log(text),
+  printErr: text => log(text),
+  onEvent: event => serverEvents.emit(event),
+  onTransport: event => handlerHost.dispatch(event),
+  onKeylog: line => capture.addKeylogLine(line),
+  onState: (state: ServerState, detail: string) => {
+    const statusCls: Record<ServerState, string> = {
+      idle: 'status-idle',
+      loading: 'status-loading',
+      running: 'status-running',
+      draining: 'status-draining',
+      stopped: 'status-idle',
+      error: 'status-error',
+    };
+    // 'running' is set from the listening event, which knows the endpoint
+    if (state !== 'running') setStatus(detail, statusCls[state]);
+
+    loadingOverlay.classList.toggle('active', state === 'loading');
+    logContainer.classList.toggle('active-glow', state === 'running');
+    btnStart.disabled = server.busy || typeof SharedArrayBuffer === 'undefined';
+    btnStop.disabled = !server.busy && state !== 'error';
+    btnRestart.disabled = state !== 'running';
+    if (state !== 'running') btnRestart.classList.remove('pending');
+
+    if (state === 'running') startTcp();
+    powerOnState(state);
+    renderInstances();
+    if (state === 'stopped' || state === 'error') {
+      closeAllConnections(state === 'stopped' ? 'server stopped' : 'server error');
+      handlerHost.reset();
+      tcp.stop().then(renderTcpInfo);
+    }
+    if (state === 'stopped') log('Server ' + detail, 'log-info');
+  },
+});
+
+const handlerHost = new HandlerHost(server, (msg, cls, cid) => log(msg, cls, connections.get(cid)?.n));
+
+// ── TCP companion ──
+const tcp = new TcpCompanion({
+  log: (msg, cls) => log(msg, cls),
+  onCount: () => {
+    refreshBadge();
+    renderTcpInfo();
+  },
+  certHashes: certHashInfo,
+});
+
+function certHashInfo(): CertHashInfo | null {
+  return certState && {
+    hashes: advertisedHashes(certState),
+    notAfter: certState.current.notAfter,
+    quicPort: config.port,
+  };
+}
+
+function renderTcpInfo() {
+  document.getElementById('info-tcp')!.textContent = tcp.listening
+    ? 'TCP ' + tcp.port + (tcp.open ? ' · ' + tcp.open + ' open' : '')
+    : config.tcpPort ? 'TCP ' + config.tcpPort + ' (stopped)' : 'off';
+}
+
+async function startTcp() {
+  tcp.setHandler(getHandler(config.handler));
+  if (!config.tcpPort || tcp.listening) return;
+  try {
+    await tcp.start(config.bindAddress, config.tcpPort);
+  } catch (err) {
+    log('[tcp] Could not listen on ' + config.tcpPort + ': ' + (err as Error).message, 'log-err');
+  }
+  renderTcpInfo();
+}
+
+/** The badge counts every open connection: primary, TCP companion and instances. */
+function refreshBadge() {
+  updateBadge(connections.size + tcp.open + instances.reduce((n, i) => n + i.connections, 0));
+  renderInstances();
+}
+
+function markRestartPending() {
+  btnRestart.classList.add('pending');
+}
+
 async function startServer() {
+  if (server.busy) return;
   btnStart.disabled = true;
-  setStatus('loading...', 'status-loading');
-  loadingOverlay.classList.add('active');
-  log('Loading QUIC echo server...');
+  await Promise.all([configReady, certReady, policyReady, impairmentReady, alertsReady]);
+  handlerHost.handler = getHandler(config.handler);
+  if (handlerHost.handler?.protocol === 'http3' && !config.alpn.includes('h3')) {
+    log('The ' + config.handler + ' handler needs "h3" in the ALPN list', 'log-warn');
+  }
+  log('Loading QUIC server (' + config.handler + ' handler) on ' +
+    formatEndpoint(config.bindAddress, config.port) + '...');
+  server.start(startOptions());
+}
 
-  (window as any).Module = {
-    print(text: string) {
-      log(text);
-    },
-    printErr(text: string) {
-      log(text);
+function stopServer() {
+  log('Stopping — draining connections for up to ' + config.drainTimeout + 's', 'log-info');
+  return server.stop(config.drainTimeout * 1000);
+}
 
-      if (/new QUIC connection|handshake completed|connection established/i.test(text)) {
-        updateBadge(connectionCount + 1);
-        log('Connection #' + connectionCount + ' — badge updated', 'log-ok');
+async function restartServer() {
+  await Promise.all([configReady, certReady, policyReady, impairmentReady, alertsReady]);
+  handlerHost.handler = getHandler(config.handler);
+  log('Restarting server...', 'log-info');
+  return server.restart(startOptions(), config.drainTimeout * 1000);
+}
 
-        // Open a new IWA tab for the connection (tabbed display mode)
-        try {
-          window.open('/quic.html?conn=' + connectionCount, '_blank');
-        } catch (_) {}
-      }
+// ── Server events → UI ──
+serverEvents.on('listening', e => {
+  const endpoint = formatEndpoint(e.address, e.port);
+  log('Listening on ' + endpoint, 'log-ok');
+  setStatus('running — ' + endpoint, 'status-running');
+  document.getElementById('info-port')!.textContent = 'UDP ' + e.port;
+  document.getElementById('info-bind')!.textContent = e.address;
+});
 
-      if (/connection closed|connection timeout|draining/i.test(text)) {
-        updateBadge(Math.max(0, connectionCount - 1));
-      }
+function openConnection(cid: string, peer: string): ConnectionSnapshot {
+  const conn: ConnectionSnapshot = {
+    n: ++connectionSeq,
+    cid,
+    peer,
+    alpn: '',
+    state: 'open',
+    openedAt: Date.now(),
+    streams: 0,
+    bytesIn: 0,
+    bytesOut: 0,
+    rttMs: 0,
+  };
+  connections.set(cid, conn);
+  handlerHost.connectionOpened(cid, peer);
+  trackConnection(conn);
+  refreshBadge();
+  return conn;
+}
 
-      if (/Listening|Waiting for QUIC/.test(text)) {
-        setStatus('running — port 4433', 'status-running');
-        loadingOverlay.classList.remove('active');
-        document.querySelector('.log-container')!.classList.add('active-glow');
-      }
-      if (/^FATAL:/.test(text)) {
-        setStatus('error', 'status-error');
-        loadingOverlay.classList.remove('active');
-      }
-    },
-    locateFile(path: string) {
-      return path;
-    },
-    onAbort(what: string) {
-      log('Module aborted: ' + what, 'log-err');
-      setStatus('aborted', 'status-error');
-      loadingOverlay.classList.remove('active');
-    },
+serverEvents.on('connection-opened', e => {
+  metrics.connectionOpened(e.cid);
+  const conn = openConnection(e.cid, e.peer);
+  log('Connection #' + conn.n + ' opened from ' + e.peer + ' (cid ' + e.cid + ')', 'log-info', conn.n);
+  postConn({ type: 'conn', conn });
+  wall.connectionOpened(conn.n);
+});
+
+serverEvents.on('handshake-complete', e => {
+  // Opened event may have been missed (e.g. emitted before we subscribed)
+  const conn = connections.get(e.cid) ?? openConnection(e.cid, e.peer);
+  conn.alpn = e.alpn;
+  handlerHost.handshakeComplete(e.cid, e.alpn);
+  const handshakeMs = metrics.handshakeComplete(e.cid);
+  log('Connection #' + conn.n + ' from ' + e.peer + ' (' + (e.alpn || 'no alpn') + ')' +
+    (handshakeMs !== undefined ? ', handshake ' + handshakeMs.toFixed(1) + ' ms' : '') +
+    ' — badge updated', 'log-ok', conn.n);
+  postConn({ type: 'conn', conn });
+  // Clicking the notification opens the connection's own view
+  notifier.notify('connection', 'New connection #' + conn.n, e.peer + ' · ' + (e.alpn || 'no alpn'), { conn: conn.n });
+});
+
+function closeConnection(cid: string, code: number, reason: string) {
+  const conn = connections.get(cid);
+  if (!conn) return;
+  connections.delete(cid);
+  handlerHost.connectionClosed(cid);
+  refreshBadge();
+  conn.state = 'closed';
+  conn.closedAt = Date.now();
+  conn.code = code;
+  conn.reason = reason;
+  log('Connection #' + conn.n + ' closed' + (code ? ' (0x' + code.toString(16) + ')' : '') +
+    (reason ? ': ' + reason : ''), code ? 'log-warn' : 'log-info', conn.n);
+  postConn({ type: 'conn', conn });
+  wall.connectionClosed(conn.n);
+  recordHistory(conn);
+}
+
+/** After teardown no close events will arrive; settle what's still open. */
+function closeAllConnections(reason: string) {
+  for (const cid of [...connections.keys()]) closeConnection(cid, 0, reason);
+}
+
+serverEvents.on('connection-closed', e => {
+  metrics.connectionClosed(e.cid);
+  closeConnection(e.cid, e.code, e.reason);
+});
+
+serverEvents.on('connection-stats', e => {
+  const conn = connections.get(e.cid);
+  if (!conn) return;
+  conn.streams = e.streams;
+  conn.bytesIn = e.bytesIn;
+  conn.bytesOut = e.bytesOut;
+  conn.rttMs = e.rttMs;
+  postConn({ type: 'conn', conn });
+});
+
+// ── Live metrics ──
+const metrics = new MetricsCollector();
+const metricsConnsBody = document.querySelector('#m-conns tbody')!;
+const sparklines = {
+  ppsIn: document.getElementById('spark-pps-in') as HTMLCanvasElement,
+  ppsOut: document.getElementById('spark-pps-out') as HTMLCanvasElement,
+  bpsIn: document.getElementById('spark-bps-in') as HTMLCanvasElement,
+  bpsOut: document.getElementById('spark-bps-out') as HTMLCanvasElement,
+};
+const MAX_METRIC_ROWS = 12;
+
+function renderMetrics() {
+  const css = getComputedStyle(document.documentElement);
+  const cyan = css.getPropertyValue('--accent-cyan').trim();
+  const pink = css.getPropertyValue('--accent-pink').trim();
+  const rates = metrics.rates;
+  const last = rates[rates.length - 1];
+  const m = metrics.latest;
+
+  document.getElementById('m-pps-in')!.textContent = formatCount(last?.packetsInPerSec ?? 0);
+  document.getElementById('m-pps-out')!.textContent = formatCount(last?.packetsOutPerSec ?? 0);
+  document.getElementById('m-bps-in')!.textContent = formatBytes(last?.bytesInPerSec ?? 0) + '/s';
+  document.getElementById('m-bps-out')!.textContent = formatBytes(last?.bytesOutPerSec ?? 0) + '/s';
+  drawSparkline(sparklines.ppsIn, rates.map(r => r.packetsInPerSec), cyan);
+  drawSparkline(sparklines.ppsOut, rates.map(r => r.packetsOutPerSec), pink);
+  drawSparkline(sparklines.bpsIn, rates.map(r => r.bytesInPerSec), cyan);
+  drawSparkline(sparklines.bpsOut, rates.map(r => r.bytesOutPerSec), pink);
+
+  const hs = metrics.handshakeStats();
+  document.getElementById('m-handshake')!.textContent = hs.count
+    ? hs.last.toFixed(1) + ' / ' + hs.p95.toFixed(1) + ' ms'
+    : '—';
+  document.getElementById('m-loss')!.textContent = (m?.lost ?? 0) + ' / ' + (m?.retransmitted ?? 0);
+  const conns = m?.connections ?? [];
+  document.getElementById('m-streams')!.textContent = String(conns.reduce((a, c) => a + c.streams, 0));
+
+  const rows = conns.slice(0, MAX_METRIC_ROWS).map(c => {
+    const tr = document.createElement('tr');
+    const n = connections.get(c.cid)?.n ?? wallLabels.get(c.cid);
+    [n !== undefined ? '#' + n : c.cid.slice(0, 8), c.srttMs.toFixed(1) + 'ms', formatBytes(c.cwnd), String(c.lost)]
+      .forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+    return tr;
+  });
+  metricsConnsBody.replaceChildren(...rows);
+}
+
+serverEvents.on('metrics', e => {
+  metrics.addMetrics(e);
+  renderMetrics();
+  postWallMetrics();
+  renderPolicyCounts();
+  renderCapture();
+  renderImpairmentStats();
+});
+
+serverEvents.on('listening', () => {
+  metrics.reset();
+  renderMetrics();
+  policyFilter.resetCounters();
+  renderPolicyCounts();
+});
+
+document.getElementById('btn-metrics-export')!.addEventListener('click', () => {
+  const json = JSON.stringify(metrics.snapshot(), null, 2);
+  downloadBlob('socket-iwa-metrics-' + fileTimestamp() + '.json', new Blob([json], { type: 'application/json' }));
+});
+
+// ── Packet capture ──
+// Added as a socket tap ahead of the policy, so it also records drops
+const capture = new PacketCapture();
+const btnCapture = document.getElementById('btn-capture') as HTMLButtonElement;
+const btnCaptureExport = document.getElementById('btn-capture-export') as HTMLButtonElement;
+const captureKeysToggle = document.getElementById('capture-keys') as HTMLInputElement;
+if (!viewMode) addUdpTap(capture);
+let captureWasFull = false;
+
+function renderCapture() {
+  btnCapture.textContent = capture.active ? 'stop' : 'start';
+  btnCapture.classList.toggle('recording', capture.active);
+  btnCaptureExport.disabled = capture.packets.length === 0;
+  document.getElementById('capture-packets')!.textContent = formatCount(capture.packets.length);
+  document.getElementById('capture-bytes')!.textContent =
+    formatBytes(capture.bytes) + ' / ' + formatBytes(CAPTURE_CAP_BYTES);
+  document.getElementById('capture-secrets')!.textContent = String(capture.keyCount);
+  if (capture.full && !captureWasFull) log('Capture stopped: ' + formatBytes(CAPTURE_CAP_BYTES) + ' limit reached', 'log-warn');
+  captureWasFull = capture.full;
+}
+
+btnCapture.addEventListener('click', () => {
+  if (capture.active) {
+    capture.stop();
+    log('Capture stopped: ' + capture.packets.length + ' datagrams', 'log-info');
+  } else {
+    capture.start();
+    log('Capturing datagrams' + (capture.includeKeys ? ' with TLS secrets' : ''), 'log-info');
+  }
+  renderCapture();
+});
+
+captureKeysToggle.addEventListener('change', () => {
+  capture.includeKeys = captureKeysToggle.checked;
+});
+
+btnCaptureExport.addEventListener('click', () => {
+  downloadBlob('socket-iwa-' + fileTimestamp() + '.pcapng', capture.toPcapng());
+});
+
+document.getElementById('btn-capture-clear')!.addEventListener('click', () => {
+  capture.clear();
+  renderCapture();
+});
+
+// ── Access policy ──
+// Filters datagrams before the module reads them, so it is installed before
+// the glue script can open its socket.
+const policyForm = document.getElementById('policy-panel') as HTMLFormElement;
+const policyErrors = document.getElementById('policy-errors')!;
+const polInputs = {
+  allow: document.getElementById('pol-allow') as HTMLTextAreaElement,
+  deny: document.getElementById('pol-deny') as HTMLTextAreaElement,
+  packetRate: document.getElementById('pol-packet-rate') as HTMLInputElement,
+  packetBurst: document.getElementById('pol-packet-burst') as HTMLInputElement,
+  connRate: document.getElementById('pol-conn-rate') as HTMLInputElement,
+  connectionCap: document.getElementById('pol-conn-cap') as HTMLInputElement,
+  retry: document.getElementById('pol-retry') as HTMLInputElement,
+};
+const policyFilter = new PolicyFilter({ ...DEFAULT_POLICY }, () => connections.size);
+if (!viewMode) addUdpTap({ inbound: d => policyFilter.admit(d.data, d.remoteAddress) });
+
+function fillPolicyForm(p: Policy) {
+  polInputs.allow.value = p.allow.join('\n');
+  polInputs.deny.value = p.deny.join('\n');
+  polInputs.packetRate.value = String(p.packetRate);
+  polInputs.packetBurst.value = String(p.packetBurst);
+  polInputs.connRate.value = String(p.connRate);
+  polInputs.connectionCap.value = String(p.connectionCap);
+  polInputs.retry.checked = p.retry;
+  policyErrors.textContent = '';
+}
+
+function describePolicy(p: Policy): string {
+  const parts: string[] = [];
+  if (p.allow.length) parts.push('allow ' + p.allow.length);
+  if (p.deny.length) parts.push('deny ' + p.deny.length);
+  if (p.packetRate) parts.push(p.packetRate + ' pkt/s');
+  if (p.connRate) parts.push(p.connRate + ' conn/s');
+  if (p.connectionCap) parts.push('cap ' + p.connectionCap);
+  if (p.retry) parts.push('retry');
+  return parts.join(' · ') || 'none';
+}
+
+function renderPolicy() {
+  fillPolicyForm(policyFilter.policy);
+  document.getElementById('policy-summary')!.textContent = describePolicy(policyFilter.policy);
+  renderPolicyCounts();
+}
+
+function renderPolicyCounts() {
+  document.getElementById('policy-passed')!.textContent = formatCount(policyFilter.passed);
+  for (const reason of DROP_REASONS) {
+    const el = document.getElementById('drop-' + reason)!;
+    el.textContent = formatCount(policyFilter.dropped[reason]);
+    el.classList.toggle('zero', policyFilter.dropped[reason] === 0);
+  }
+}
+
+const policyReady = loadPolicy().then(p => {
+  policyFilter.update(p);
+  renderPolicy();
+});
+
+function splitCidrs(text: string): string[] {
+  return text.split(/[\s,]+/).map(c => c.trim()).filter(Boolean);
+}
+
+policyForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const prev = policyFilter.policy;
+  const next: Policy = {
+    allow: splitCidrs(polInputs.allow.value),
+    deny: splitCidrs(polInputs.deny.value),
+    packetRate: Number(polInputs.packetRate.value),
+    packetBurst: Number(polInputs.packetBurst.value),
+    connRate: Number(polInputs.connRate.value),
+    connectionCap: Number(polInputs.connectionCap.value),
+    retry: polInputs.retry.checked,
   };
+  const problems = validatePolicy(next);
+  if (problems.length > 0) {
+    policyErrors.textContent = problems.join('; ');
+    return;
+  }
+  try {
+    await savePolicy(next);
+  } catch (err) {
+    policyErrors.textContent = 'Could not save policy: ' + (err as Error).message;
+    return;
+  }
+  policyFilter.update(next);
+  renderPolicy();
+  policyForm.hidePopover();
+  log('Policy applied: ' + describePolicy(next), 'log-ok');
+  if (next.retry !== prev.retry && server.busy && !server.setRetry(next.retry)) {
+    log('Retry ' + (next.retry ? 'on' : 'off') + ' — restart to apply', 'log-info');
+    markRestartPending();
+  }
+});
+
+document.getElementById('pol-defaults')!.addEventListener('click', () => {
+  fillPolicyForm(DEFAULT_POLICY);
+});
+
+policyForm.addEventListener('toggle', e => {
+  if ((e as ToggleEvent).newState === 'closed') fillPolicyForm(policyFilter.policy);
+});
 
-  const script = document.createElement('script');
-  script.src = 'quic_echo_server.js';
-  script.onload = () => {
-    log('Emscripten JS loaded, spawning worker...');
+document.getElementById('btn-policy-reset')!.addEventListener('click', () => {
+  policyFilter.resetCounters();
+  renderPolicyCounts();
+});
+
+// ── Network impairment ──
+const impairment = new Impairment();
+const impairSelect = document.getElementById('impair-profile') as HTMLSelectElement;
+const impairForm = document.getElementById('impair-panel') as HTMLFormElement;
+const impairErrors = document.getElementById('impair-errors')!;
+const impairInputs: Record<'inbound' | 'outbound', Partial<Record<keyof DirectionImpairment, HTMLInputElement>>> = {
+  inbound: {},
+  outbound: {},
+};
+let impairSettings: ImpairmentSettings = { profile: PROFILES[0].id, custom: DEFAULT_CUSTOM };
+
+/** The clean profile leaves the socket alone, as instance workers do. */
+function applyProfile() {
+  impairment.setProfile(currentProfile());
+  if (!viewMode) setUdpShaper(impairment.active ? impairment : null);
+}
+
+for (const p of [...PROFILES, DEFAULT_CUSTOM]) {
+  const opt = document.createElement('option');
+  opt.value = p.id;
+  opt.textContent = p.name;
+  impairSelect.appendChild(opt);
+}
+
+document.getElementById('impair-fields')!.replaceChildren(...IMPAIRMENT_FIELDS.map(f => {
+  const tr = document.createElement('tr');
+  const th = document.createElement('th');
+  th.textContent = f.label;
+  tr.appendChild(th);
+  for (const dir of ['inbound', 'outbound'] as const) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.max = String(f.max);
+    input.step = 'any';
+    input.required = true;
+    input.setAttribute('aria-label', dir + ' ' + f.label);
+    impairInputs[dir][f.key] = input;
+    const td = document.createElement('td');
+    td.appendChild(input);
+    tr.appendChild(td);
+  }
+  return tr;
+}));
+
+function currentProfile(): ImpairmentProfile {
+  if (impairSettings.profile === CUSTOM_PROFILE) return impairSettings.custom;
+  return PROFILES.find(p => p.id === impairSettings.profile) ?? PROFILES[0];
+}
+
+function fillImpairForm(profile: ImpairmentProfile) {
+  for (const dir of ['inbound', 'outbound'] as const) {
+    for (const f of IMPAIRMENT_FIELDS) impairInputs[dir][f.key]!.value = String(profile[dir][f.key]);
+  }
+  impairErrors.textContent = '';
+}
+
+function renderImpairment() {
+  const profile = currentProfile();
+  impairSelect.value = profile.id;
+  document.getElementById('impair-in')!.textContent = describeDirection(profile.inbound);
+  document.getElementById('impair-out')!.textContent = describeDirection(profile.outbound);
+  const pill = document.getElementById('status-impair')!;
+  pill.hidden = !impairment.active;
+  pill.textContent = 'impaired: ' + profile.name;
+  pill.title = 'in: ' + describeDirection(profile.inbound) + '\nout: ' + describeDirection(profile.outbound);
+  renderImpairmentStats();
+  renderInstances();
+}
+
+function renderImpairmentStats() {
+  const describe = (label: string, s: DirectionStats) => {
+    const parts = [formatCount(s.passed) + ' passed'];
+    if (s.lost) parts.push(formatCount(s.lost) + ' lost');
+    if (s.queueDrops) parts.push(formatCount(s.queueDrops) + ' queue drops');
+    if (s.mtuDrops) parts.push(formatCount(s.mtuDrops) + ' over mtu');
+    if (s.reordered) parts.push(formatCount(s.reordered) + ' reordered');
+    if (s.duplicated) parts.push(formatCount(s.duplicated) + ' duplicated');
+    return label + ' ' + parts.join(', ');
   };
-  script.onerror = () => {
-    log('Failed to load quic_echo_server.js', 'log-err');
-    setStatus('load failed', 'status-error');
-    loadingOverlay.classList.remove('active');
-    btnStart.disabled = false;
+  const { inbound, outbound } = impairment.stats;
+  document.getElementById('impair-stats')!.textContent = impairment.active
+    ? describe('in:', inbound) + ' · ' + describe('out:', outbound)
+    : '';
+}
+
+async function applyImpairment(next: ImpairmentSettings) {
+  impairSettings = next;
+  applyProfile();
+  impairment.resetStats();
+  renderImpairment();
+  await saveImpairment(next).catch(err => log('Could not save impairment: ' + (err as Error).message, 'log-err'));
+}
+
+const impairmentReady = loadImpairment().then(s => {
+  impairSettings = s;
+  applyProfile();
+  fillImpairForm(s.custom);
+  renderImpairment();
+});
+
+impairSelect.addEventListener('change', () => {
+  applyImpairment({ ...impairSettings, profile: impairSelect.value });
+  const p = currentProfile();
+  log(impairment.active
+    ? 'Impairment: ' + p.name + ' — in ' + describeDirection(p.inbound) + ', out ' + describeDirection(p.outbound)
+    : 'Impairment off', impairment.active ? 'log-warn' : 'log-info');
+});
+
+impairForm.addEventListener('submit', e => {
+  e.preventDefault();
+  const read = (dir: 'inbound' | 'outbound'): DirectionImpairment => {
+    const d = { ...NO_IMPAIRMENT };
+    for (const f of IMPAIRMENT_FIELDS) d[f.key] = Number(impairInputs[dir][f.key]!.value);
+    return d;
+  };
+  const custom: ImpairmentProfile = { ...DEFAULT_CUSTOM, inbound: read('inbound'), outbound: read('outbound') };
+  const problems = [...validateImpairment(custom.inbound, 'inbound'), ...validateImpairment(custom.outbound, 'outbound')];
+  if (problems.length > 0) {
+    impairErrors.textContent = problems.join('; ');
+    return;
+  }
+  impairForm.hidePopover();
+  applyImpairment({ profile: CUSTOM_PROFILE, custom });
+  log('Impairment: custom — in ' + describeDirection(custom.inbound) + ', out ' + describeDirection(custom.outbound),
+    impairment.active ? 'log-warn' : 'log-info');
+});
+
+document.getElementById('impair-reset')!.addEventListener('click', () => {
+  fillImpairForm(DEFAULT_CUSTOM);
+});
+
+impairForm.addEventListener('toggle', e => {
+  if ((e as ToggleEvent).newState === 'closed') fillImpairForm(impairSettings.custom);
+});
+
+// ── Alerts, wake lock and idle ──
+const alertsForm = document.getElementById('alerts-form') as HTMLFormElement;
+const alertErrors = document.getElementById('alert-errors')!;
+const alertInputs = {
+  notify: document.getElementById('alert-notify') as HTMLInputElement,
+  rate: document.getElementById('alert-rate') as HTMLInputElement,
+  group: document.getElementById('alert-group') as HTMLInputElement,
+  wakeLock: document.getElementById('alert-wakelock') as HTMLInputElement,
+  idle: document.getElementById('alert-idle') as HTMLInputElement,
+  idleAction: document.getElementById('alert-idle-action') as HTMLSelectElement,
+};
+const alertKindInputs = Object.fromEntries(ALERT_KINDS.map(k =>
+  [k, document.getElementById('alert-kind-' + k) as HTMLInputElement])) as Record<typeof ALERT_KINDS[number], HTMLInputElement>;
+let alerts: AlertSettings = { ...DEFAULT_ALERTS };
+let pausedForIdle = false;
+
+const notifier = new Notifier(() => alerts, data => {
+  const n = (data as { conn?: number } | undefined)?.conn;
+  if (n !== undefined) wall.showConnection(n);
+});
+
+const wakeLock = new WakeLockKeeper(held => {
+  document.getElementById('power-wakelock')!.textContent = held ? 'held' : 'released';
+});
+
+const idleWatcher = new IdleWatcher(onIdleState);
+
+function fillAlertsForm(a: AlertSettings) {
+  alertInputs.notify.checked = a.notify;
+  for (const k of ALERT_KINDS) alertKindInputs[k].checked = a.kinds[k];
+  alertInputs.rate.value = String(a.maxPerMinute);
+  alertInputs.group.value = String(a.groupSeconds);
+  alertInputs.wakeLock.checked = a.wakeLock;
+  alertInputs.idle.value = String(a.idleMinutes);
+  alertInputs.idleAction.value = a.idleAction;
+  alertErrors.textContent = '';
+}
+
+function renderIdleState(state: IdleState) {
+  const labels: Record<IdleState, string> = {
+    off: 'not watched',
+    active: 'active',
+    idle: 'idle',
+    locked: 'screen locked',
+    'no-permission': 'permission needed',
+    unsupported: 'idle detection unavailable',
   };
-  document.body.appendChild(script);
+  document.getElementById('power-idle')!.textContent = labels[state] + (pausedForIdle ? ' · paused' : '');
 }
 
+function pauseForIdle(paused: boolean) {
+  if (pausedForIdle === paused) return;
+  pausedForIdle = paused;
+  policyFilter.paused = paused;
+  if (paused) {
+    log('User idle — refusing new connections until they return', 'log-warn');
+    setStatus('paused — user idle', 'status-draining');
+  } else {
+    log('User back — accepting connections again', 'log-info');
+    if (server.state === 'running') setStatus('running — ' + formatEndpoint(config.bindAddress, config.port), 'status-running');
+  }
+}
+
+function onIdleState(state: IdleState) {
+  if (idleWatcher.away && server.state === 'running') {
+    if (alerts.idleAction === 'stop') {
+      log('User idle for ' + alerts.idleMinutes + ' min — stopping the server', 'log-warn');
+      stopServer();
+    } else {
+      pauseForIdle(true);
+    }
+  } else if (!idleWatcher.away) {
+    pauseForIdle(false);
+  }
+  renderIdleState(state);
+}
+
+function powerOnState(state: ServerState) {
+  wakeLock.set(state === 'running' && alerts.wakeLock);
+  if (state !== 'running') pauseForIdle(false);
+  // Became idle before the server finished starting
+  if (state === 'running' && idleWatcher.away) onIdleState(idleWatcher.state);
+  renderIdleState(idleWatcher.state);
+}
+
+function applyIdleWatch() {
+  if (alerts.idleMinutes > 0) idleWatcher.start(alerts.idleMinutes);
+  else idleWatcher.stop();
+}
+
+const alertsReady = viewMode ? Promise.resolve() : loadAlerts().then(a => {
+  alerts = a;
+  fillAlertsForm(a);
+  applyIdleWatch();
+});
+
+alertsForm.addEventListener('submit', e => e.preventDefault());
+alertsForm.addEventListener('change', async e => {
+  const next: AlertSettings = {
+    notify: alertInputs.notify.checked,
+    kinds: Object.fromEntries(ALERT_KINDS.map(k => [k, alertKindInputs[k].checked])) as AlertSettings['kinds'],
+    maxPerMinute: Number(alertInputs.rate.value),
+    groupSeconds: Number(alertInputs.group.value),
+    wakeLock: alertInputs.wakeLock.checked,
+    idleMinutes: Number(alertInputs.idle.value),
+    idleAction: alertInputs.idleAction.value as IdleAction,
+  };
+  const problems = validateAlerts(next);
+  if (problems.length > 0) {
+    alertErrors.textContent = problems.join('; ');
+    return;
+  }
+  alertErrors.textContent = '';
+
+  // Permission prompts need the user gesture this change came from
+  if (e.target === alertInputs.notify && next.notify) {
+    if (!notificationsSupported() || await requestNotificationPermission() !== 'granted') {
+      log('Notifications are blocked for this app', 'log-warn');
+      next.notify = false;
+      alertInputs.notify.checked = false;
+    }
+  }
+  if (next.idleMinutes > 0 && (e.target === alertInputs.idle || alerts.idleMinutes === 0)) {
+    if (!await IdleWatcher.requestPermission().catch(() => false)) {
+      log('Idle detection permission was not granted', 'log-warn');
+    }
+  }
+
+  const prev = alerts;
+  alerts = next;
+  if (!next.notify) notifier.reset();
+  wakeLock.set(server.state === 'running' && next.wakeLock);
+  if (next.idleMinutes !== prev.idleMinutes) applyIdleWatch();
+  await saveAlerts(next).catch(err => log('Could not save alert settings: ' + (err as Error).message, 'log-err'));
+});
+
+// ── Monitor wall ──
+const wallForm = document.getElementById('wall-form') as HTMLFormElement;
+const wallInputs = {
+  enabled: document.getElementById('wall-enabled') as HTMLInputElement,
+  connScreen: document.getElementById('wall-conn-screen') as HTMLSelectElement,
+  max: document.getElementById('wall-max') as HTMLInputElement,
+};
+const wallPanelsEl = document.getElementById('wall-panels')!;
+const wallErrors = document.getElementById('wall-errors')!;
+let wallSettings: WallSettings = { ...DEFAULT_WALL };
+// Connection numbers by cid, for the per-connection panel in a wall window
+let wallLabels = new Map<string, number>();
+
+const wall = new MonitorWall(() => wallSettings, {
+  log: (msg, cls) => log(msg, cls),
+  onChange: renderWall,
+  onLayout: () => {
+    saveWall(wallSettings).catch(() => {});
+    renderWall();
+  },
+});
+const wallChannel = connMode ? null : new BroadcastChannel(WALL_CHANNEL);
+
+function postWallMetrics() {
+  if (panelMode) return;
+  const labels = [...connections.values()].map(c => [c.cid, c.n] as [string, number]);
+  wallChannel?.postMessage({ type: 'metrics', state: metrics.state(), labels } satisfies WallMessage);
+}
+
+wallChannel?.addEventListener('message', (e: MessageEvent<WallMessage>) => {
+  const msg = e.data;
+  if (msg.type === 'hello' && !panelMode) {
+    postWallMetrics();
+  } else if (msg.type === 'metrics' && panelMode) {
+    metrics.load(msg.state);
+    wallLabels = new Map(msg.labels);
+    renderMetrics();
+  }
+});
+
+/** Screen choices, keeping saved screens that aren't connected right now. */
+function screenOptions(select: HTMLSelectElement, selected: string) {
+  const options = wall.screens.map(sc => new Option(describeScreen(sc), screenKey(sc)));
+  if (!options.length) options.push(new Option('primary screen', ''));
+  if (selected && !options.some(o => o.value === selected)) {
+    options.push(new Option(selected.replace(/@.*/, '') + ' (not connected)', selected));
+  }
+  select.replaceChildren(...options);
+  select.value = selected || options[0].value;
+}
+
+function renderWall() {
+  if (viewMode) return;
+  const w = wallSettings;
+  wallInputs.enabled.checked = w.enabled;
+  wallInputs.max.value = String(w.maxConnWindows);
+  screenOptions(wallInputs.connScreen, w.connScreen);
+  wallPanelsEl.replaceChildren(...WALL_PANELS.flatMap(def => {
+    const slot = w.panels.find(p => p.id === def.id);
+    const label = document.createElement('label');
+    label.className = 'toggle';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.dataset.panel = def.id;
+    box.checked = !!slot;
+    label.append(box, ' ' + def.label);
+    const select = document.createElement('select');
+    select.dataset.panelScreen = def.id;
+    screenOptions(select, slot?.screen ?? '');
+    select.disabled = !slot;
+    return [label, select];
+  }));
+  document.getElementById('wall-screens')!.textContent = MonitorWall.supported
+    ? (wall.screens.length ? String(wall.screens.length) : 'not yet allowed')
+    : 'window management unavailable';
+  document.getElementById('wall-windows')!.textContent =
+    wall.panelCount + ' panel' + (wall.panelCount !== 1 ? 's' : '') + ' · ' + wall.connCount + ' connection' + (wall.connCount !== 1 ? 's' : '');
+  (document.getElementById('btn-wall-open') as HTMLButtonElement).disabled = !MonitorWall.supported;
+}
+
+function readWallForm(): WallSettings {
+  const panels = WALL_PANELS.filter(def =>
+    (wallPanelsEl.querySelector('[data-panel="' + def.id + '"]') as HTMLInputElement).checked,
+  ).map(def => {
+    const screen = (wallPanelsEl.querySelector('[data-panel-screen="' + def.id + '"]') as HTMLSelectElement).value;
+    const prev = wallSettings.panels.find(p => p.id === def.id);
+    // A window moved to another screen by hand keeps its bounds until the screen is changed here
+    return prev && prev.screen === screen ? prev : { id: def.id, screen };
+  });
+  return {
+    enabled: wallInputs.enabled.checked,
+    connScreen: wallInputs.connScreen.value,
+    maxConnWindows: Number(wallInputs.max.value),
+    panels,
+  };
+}
+
+wallForm.addEventListener('submit', e => e.preventDefault());
+wallForm.addEventListener('change', async () => {
+  const next = readWallForm();
+  const problems = validateWall(next);
+  if (problems.length > 0) {
+    wallErrors.textContent = problems.join('; ');
+    return;
+  }
+  wallErrors.textContent = '';
+  const prev = wallSettings;
+  wallSettings = next;
+  for (const slot of prev.panels) {
+    const now = next.panels.find(p => p.id === slot.id);
+    if (!now || now.screen !== slot.screen) wall.closePanel(slot.id);
+  }
+  if (prev.enabled && !next.enabled) wall.closeConnections();
+  renderWall();
+  await saveWall(next).catch(err => log('Could not save monitor wall: ' + (err as Error).message, 'log-err'));
+});
+
+async function openWall() {
+  // The click is the gesture both the permission prompt and the popups need
+  if (!await wall.loadScreens()) return;
+  const blocked = wall.openPanels();
+  if (wallSettings.enabled) for (const c of connections.values()) wall.connectionOpened(c.n);
+  if (blocked) log('Monitor wall: ' + blocked + ' window(s) were blocked as popups', 'log-warn');
+}
+
+document.getElementById('btn-wall-open')!.addEventListener('click', openWall);
+document.getElementById('btn-wall-close')!.addEventListener('click', () => {
+  wall.closeAll();
+  saveWall(wallSettings).catch(() => {});
+});
+
+/** Strip the page down to one metric panel and ask the server tab for data. */
+function mountPanelView(id: WallPanelId) {
+  const def = WALL_PANELS.find(p => p.id === id);
+  document.body.classList.add('panel-mode');
+  for (const el of document.querySelectorAll<HTMLElement>('[data-wall-panel]')) {
+    el.classList.toggle('wall-shown', !def || el.dataset.wallPanel === id);
+  }
+  const title = def ? def.label : 'Metrics';
+  document.title = title + ' — Socket.IWA';
+  document.querySelector('.quic-header h1')!.textContent = title;
+  wallChannel?.postMessage({ type: 'hello' } satisfies WallMessage);
+}
+
+// Screens allowed through the borderless component's button
+window.addEventListener('screendetails', e => wall.useScreenDetails((e as CustomEvent).detail));
+
+if (!viewMode) {
+  loadWall().then(async w => {
+    wallSettings = w;
+    renderWall();
+    if (!await wall.loadScreensIfGranted() || !w.enabled || !w.panels.length) return;
+    // Without a user gesture the popup blocker may say no; the button still works
+    const blocked = wall.openPanels();
+    if (blocked) log('Monitor wall: reopening was blocked — press "open wall"', 'log-warn');
+  });
+}
+
+// ── Admin API (loopback) ──
+const adminForm = document.getElementById('admin-form') as HTMLFormElement;
+const adminInputs = {
+  enabled: document.getElementById('admin-enabled') as HTMLInputElement,
+  port: document.getElementById('admin-port') as HTMLInputElement,
+};
+const adminErrors = document.getElementById('admin-errors')!;
+let adminSettings: AdminSettings = { ...DEFAULT_ADMIN };
+
+const admin = new AdminServer({
+  log: (msg, cls) => log(msg, cls),
+  status: () => ({
+    state: server.state,
+    endpoint: server.state === 'running' ? formatEndpoint(config.bindAddress, config.port) : null,
+    paused: policyFilter.paused,
+    connections: connections.size,
+    tcp: tcp.listening ? { port: tcp.port, open: tcp.open } : null,
+    restartPending: btnRestart.classList.contains('pending'),
+  }),
+  start: async () => {
+    if (server.busy) throw new Error('server is ' + server.state);
+    await startServer();
+  },
+  stop: () => stopServer(),
+  restart: async () => {
+    if (server.state !== 'running') throw new Error('server is ' + server.state);
+    await restartServer();
+  },
+  getConfig: () => config,
+  setConfig: async patch => {
+    const { config: next, problems } = patchConfig(config, patch);
+    if (problems.length === 0) await applyConfig(next);
+    return problems;
+  },
+  restartPending: () => btnRestart.classList.contains('pending'),
+  connections: () => [...connections.values()],
+  metrics: () => metrics.snapshot(),
+  cert: () => {
+    const info = certHashInfo();
+    return info && { algorithm: 'sha-256', ...info, notAfter: new Date(info.notAfter).toISOString() };
+  },
+  recentLog: () => logConsole.all(),
+}, () => adminSettings.token);
+
+logListeners.add(e => admin.publish(e));
+
+function renderAdmin() {
+  adminInputs.enabled.checked = adminSettings.enabled;
+  adminInputs.port.value = String(adminSettings.port);
+  document.getElementById('admin-token')!.textContent = adminSettings.token;
+  document.getElementById('admin-status')!.textContent = admin.listening
+    ? '127.0.0.1:' + admin.port
+    : adminSettings.enabled ? 'not listening' : 'off';
+  document.getElementById('admin-hint')!.textContent =
+    'curl -H "Authorization: Bearer $TOKEN" http://127.0.0.1:' + adminSettings.port + '/status';
+}
+
+/** Bring the listener in line with the settings. */
+async function applyAdmin() {
+  if (admin.listening && (!adminSettings.enabled || admin.port !== adminSettings.port)) await admin.stop();
+  if (adminSettings.enabled && !admin.listening) {
+    try {
+      await admin.start(adminSettings.port);
+    } catch (err) {
+      log('[admin] Could not listen on ' + adminSettings.port + ': ' + (err as Error).message, 'log-err');
+    }
+  }
+  renderAdmin();
+}
+
+if (!viewMode) {
+  loadAdmin().then(a => {
+    adminSettings = a;
+    applyAdmin();
+  });
+}
+
+adminForm.addEventListener('submit', e => e.preventDefault());
+adminForm.addEventListener('change', async () => {
+  const next: AdminSettings = { ...adminSettings, enabled: adminInputs.enabled.checked, port: Number(adminInputs.port.value) };
+  const problems = validateAdmin(next);
+  adminErrors.textContent = problems.join('; ');
+  if (problems.length > 0) return;
+  adminSettings = next;
+  await saveAdmin(next).catch(err => log('Could not save admin settings: ' + (err as Error).message, 'log-err'));
+  applyAdmin();
+});
+
+document.getElementById('btn-admin-copy')!.addEventListener('click', () => {
+  navigator.clipboard.writeText(adminSettings.token).catch(() => {});
+});
+
+// A new token locks out whoever held the old one, including open /log streams
+document.getElementById('btn-admin-regen')!.addEventListener('click', async () => {
+  adminSettings = { ...adminSettings, token: generateToken() };
+  await saveAdmin(adminSettings).catch(err => log('Could not save admin settings: ' + (err as Error).message, 'log-err'));
+  if (admin.listening) {
+    await admin.stop();
+    await applyAdmin();
+  }
+  renderAdmin();
+  log('[admin] New token generated', 'log-info');
+});
+
+// ── Updates ──
+const updateForm = document.getElementById('update-form') as HTMLFormElement;
+const updateUrl = document.getElementById('update-url') as HTMLInputElement;
+const updateErrors = document.getElementById('update-errors')!;
+const updateLatest = document.getElementById('update-latest')!;
+const updateHint = document.getElementById('update-hint')!;
+const updateFlag = document.getElementById('app-update')!;
+let updateSettings: UpdateSettings = { ...DEFAULT_UPDATES };
+const running = appInfo();
+
+running.then(info => {
+  document.getElementById('app-version')!.textContent = 'v' + info.version;
+  document.getElementById('app-bundle')!.textContent = info.bundleId ?? 'not installed (no bundle id)';
+  document.getElementById('update-current')!.textContent = info.version;
+});
+
+/** `quiet` keeps launch checks out of the log when the manifest can't be reached. */
+async function runUpdateCheck(quiet: boolean) {
+  const url = updateSettings.manifestUrl;
+  if (!url) return;
+  updateLatest.textContent = 'checking...';
+  try {
+    const { version } = await running;
+    const result = await checkForUpdates(url, version);
+    updateLatest.textContent = result.latest.version + (result.available ? ' (update available)' : ' (up to date)');
+    updateLatest.title = result.latest.src;
+    updateFlag.hidden = !result.available;
+    updateFlag.textContent = 'v' + result.latest.version + ' available';
+    updateHint.textContent = result.available
+      ? 'chrome installs it on its own update check; dev-mode installs can update from chrome://web-app-internals'
+      : 'checked ' + new Date(result.checkedAt).toLocaleTimeString();
+    if (result.available) log('[update] v' + result.latest.version + ' is available, running v' + version, 'log-info');
+  } catch (err) {
+    const msg = (err as Error).message;
+    updateLatest.textContent = 'check failed';
+    updateHint.textContent = msg;
+    if (!quiet) log('[update] Check failed: ' + msg, 'log-warn');
+  }
+}
+
+async function saveUpdateForm(): Promise<boolean> {
+  const next: UpdateSettings = { ...updateSettings, manifestUrl: updateUrl.value.trim() };
+  const problems = validateUpdates(next);
+  updateErrors.textContent = problems.join('; ');
+  if (problems.length > 0) return false;
+  if (next.manifestUrl !== updateSettings.manifestUrl) {
+    updateSettings = next;
+    await saveUpdates(next).catch(err => log('Could not save update settings: ' + (err as Error).message, 'log-err'));
+  }
+  return true;
+}
+
+if (!viewMode) {
+  loadUpdates().then(u => {
+    updateSettings = u;
+    updateUrl.value = u.manifestUrl;
+    runUpdateCheck(true);
+  });
+}
+
+updateForm.addEventListener('change', () => saveUpdateForm());
+updateForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  if (!(await saveUpdateForm())) return;
+  if (!updateSettings.manifestUrl) {
+    updateErrors.textContent = 'set the update manifest url first';
+    return;
+  }
+  runUpdateCheck(false);
+});
+
+// ── HTTP/3 static origin ──
+let httpRoot: FileSystemDirectoryHandle | null = null;
+let httpRootGranted = false;
+const httpLog = document.getElementById('http-log')!;
+const btnHttpGrant = document.getElementById('btn-http-grant') as HTMLButtonElement;
+const btnHttpForget = document.getElementById('btn-http-forget') as HTMLButtonElement;
+const MAX_HTTP_LOG_ROWS = 100;
+
+async function renderHttpRoot() {
+  const perm = httpRoot ? await rootPermission(httpRoot).catch((): PermissionState => 'denied') : 'denied';
+  httpRootGranted = perm === 'granted';
+  document.getElementById('http-root')!.textContent = httpRoot ? httpRoot.name + '/' : 'none';
+  btnHttpGrant.hidden = !httpRoot || perm !== 'prompt';
+  btnHttpForget.hidden = !httpRoot;
+  document.getElementById('http-hint')!.textContent = !httpRoot
+    ? 'serves the folder when the "http/3 files" handler is selected'
+    : httpRootGranted
+      ? 'https://localhost:' + config.port + '/ — ranges, index pages and conditional requests supported'
+      : 'read access to this folder needs to be granted again';
+}
+
+function logRequest(e: RequestLogEntry) {
+  const n = connections.get(e.cid)?.n;
+  log(e.method + ' ' + e.path + ' → ' + e.status + ' (' + formatBytes(e.bytes) + ', ' + e.ms.toFixed(0) + ' ms)' +
+    (e.error ? ': ' + e.error : ''),
+    e.status >= 500 ? 'log-err' : e.status >= 400 ? 'log-warn' : 'log-dim', n);
+
+  const item = document.createElement('div');
+  item.className = 'trace-item';
+  const status = document.createElement('span');
+  status.className = 'http-status s' + String(e.status)[0];
+  status.textContent = String(e.status);
+  const name = document.createElement('span');
+  name.className = 'trace-name';
+  name.textContent = e.method + ' ' + e.path;
+  name.title = new Date(e.time).toLocaleTimeString() + (n !== undefined ? ', connection #' + n : '');
+  const meta = document.createElement('span');
+  meta.className = 'trace-meta';
+  meta.textContent = formatBytes(e.bytes) + ' · ' + e.ms.toFixed(0) + 'ms';
+  item.append(status, name, meta);
+  httpLog.prepend(item);
+  while (httpLog.childElementCount > MAX_HTTP_LOG_ROWS) httpLog.lastElementChild!.remove();
+}
+
+document.getElementById('btn-http-pick')!.addEventListener('click', async () => {
+  try {
+    const root: FileSystemDirectoryHandle = await (window as any).showDirectoryPicker({ id: 'http-root', mode: 'read' });
+    httpRoot = root;
+    await saveRoot(root);
+    log('HTTP/3 origin folder: ' + root.name, 'log-ok');
+  } catch (err) {
+    if ((err as DOMException).name !== 'AbortError') log('Folder pick failed: ' + (err as Error).message, 'log-err');
+  }
+  renderHttpRoot();
+});
+
+btnHttpGrant.addEventListener('click', async () => {
+  if (httpRoot) await rootPermission(httpRoot, true).catch(() => {});
+  renderHttpRoot();
+});
+
+btnHttpForget.addEventListener('click', async () => {
+  httpRoot = null;
+  await saveRoot(null).catch(() => {});
+  renderHttpRoot();
+});
+
+if (!viewMode) {
+  loadRoot().then(root => {
+    httpRoot = root;
+    return configReady.then(renderHttpRoot);
+  });
+}
+
+// ── qlog traces ──
+const qlogList = document.getElementById('qlog-list')!;
+
+function traceButton(label: string, onClick: () => void): HTMLButtonElement {
+  const btn = document.createElement('button');
+  btn.className = 'mini-btn';
+  btn.type = 'button';
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+async function downloadTrace(id: number, format: 'sqlog' | 'json') {
+  const trace = await getTrace(id);
+  if (!trace) return;
+  const base = 'qlog-' + trace.cid + '-' + fileTimestamp(new Date(trace.createdAt));
+  if (format === 'sqlog') {
+    downloadBlob(base + '.sqlog', trace.data);
+    return;
+  }
+  try {
+    const json = JSON.stringify(sqlogToJson(await trace.data.text()));
+    downloadBlob(base + '.qlog', new Blob([json], { type: 'application/json' }));
+  } catch (err) {
+    log('qlog conversion failed: ' + (err as Error).message, 'log-err');
+  }
+}
+
+async function renderTraces() {
+  const traces = await listTraces().catch(() => []);
+  qlogList.replaceChildren(...traces.map(t => {
+    const item = document.createElement('div');
+    item.className = 'trace-item';
+
+    const name = document.createElement('span');
+    name.className = 'trace-name';
+    name.textContent = (t.peer || t.cid) + (t.alpn ? ' · ' + t.alpn : '');
+    name.title = 'cid ' + t.cid + ', ' + new Date(t.createdAt).toLocaleString();
+
+    const meta = document.createElement('span');
+    meta.className = 'trace-meta';
+    meta.textContent = formatBytes(t.size);
+
+    item.append(
+      name,
+      meta,
+      traceButton('.sqlog', () => downloadTrace(t.id!, 'sqlog')),
+      traceButton('.json', () => downloadTrace(t.id!, 'json')),
+      traceButton('×', () => deleteTrace(t.id!).then(renderTraces)),
+    );
+    return item;
+  }));
+  const used = traces.reduce((a, t) => a + t.size, 0);
+  document.getElementById('qlog-usage')!.textContent =
+    traces.length ? formatBytes(used) + ' of ' + formatBytes(QLOG_CAP_BYTES) + ' used; oldest traces are evicted first' : '';
+}
+
+serverEvents.on('qlog-written', async e => {
+  const data = server.readFile(e.path);
+  if (!data) {
+    log('qlog file missing: ' + e.path, 'log-warn');
+    return;
+  }
+  server.unlink(e.path);
+  // The connection may already be closed; closed ones stay in connsByNumber
+  const conn = [...connsByNumber.values()].find(c => c.conn.cid === e.cid)?.conn;
+  try {
+    await saveTrace({
+      cid: e.cid,
+      peer: conn?.peer ?? '',
+      alpn: conn?.alpn ?? '',
+      createdAt: Date.now(),
+      size: data.byteLength,
+      data: new Blob([data.slice()], { type: 'application/json-seq' }),
+    });
+    log('qlog trace saved for ' + (conn ? 'connection #' + conn.n : e.cid) + ' (' + formatBytes(data.byteLength) + ')',
+      'log-info', conn?.n);
+    renderTraces();
+  } catch (err) {
+    log('Saving qlog trace failed: ' + (err as Error).message, 'log-err');
+  }
+});
+
+handlerSelect.addEventListener('change', async () => {
+  const previous = config.handler;
+  config = { ...config, handler: handlerSelect.value };
+  try {
+    await saveConfig(config);
+  } catch (_) {}
+  if (!server.busy) return;
+  // JS handlers of the same protocol can be swapped live; anything else changes the module args
+  const prev = getHandler(previous);
+  const next = getHandler(config.handler);
+  if (previous !== NATIVE_HANDLER && config.handler !== NATIVE_HANDLER &&
+      (prev?.protocol ?? 'raw') === (next?.protocol ?? 'raw')) {
+    handlerHost.handler = getHandler(config.handler);
+    tcp.setHandler(handlerHost.handler);
+    log('Handler ' + config.handler + ' selected — applies to new connections', 'log-info');
+  } else {
+    log('Handler ' + config.handler + ' selected — restart to apply', 'log-info');
+    markRestartPending();
+  }
+});
+
+qlogToggle.addEventListener('change', async () => {
+  config = { ...config, qlog: qlogToggle.checked };
+  try {
+    await saveConfig(config);
+  } catch (_) {}
+  log('qlog ' + (config.qlog ? 'enabled' : 'disabled') + (server.busy ? ' — restart to apply' : ''), 'log-info');
+  if (server.busy) markRestartPending();
+});
+
+document.getElementById('btn-qlog-clear')!.addEventListener('click', () => {
+  clearTraces().then(renderTraces);
+});
+
+if (!viewMode) renderTraces();
+
+// ── WebTransport loopback client / benchmark ──
+const loopResults = document.querySelector('#loop-results tbody')!;
+const loopProgress = document.getElementById('loop-progress')!;
+const loopErrors = document.getElementById('loop-errors')!;
+const btnLoopRun = document.getElementById('btn-loop-run') as HTMLButtonElement;
+const btnLoopBench = document.getElementById('btn-loop-bench') as HTMLButtonElement;
+const btnLoopStop = document.getElementById('btn-loop-stop') as HTMLButtonElement;
+const BASELINE_KEY = 'benchmark-baseline';
+type NamedResult = LoadResult & { name: string };
+let loopAbort: AbortController | null = null;
+let shownResults: NamedResult[] = [];
+let benchRuns: BenchmarkRun[] = [];
+let baselineId: number | null = null;
+
+function formatDelta(d: number | null, label: string): HTMLElement {
+  const span = document.createElement('span');
+  if (d === null) return span;
+  span.className = Math.abs(d) < 0.02 ? '' : d > 0 ? 'better' : 'worse';
+  span.textContent = label + ' ' + (d >= 0 ? '+' : '−') + Math.abs(d * 100).toFixed(0) + '% ';
+  return span;
+}
+
+function renderLoopResults() {
+  const base = benchRuns.find(r => r.id === baselineId);
+  loopResults.replaceChildren(...shownResults.map(r => {
+    const tr = document.createElement('tr');
+    const cells = [
+      r.name,
+      r.ok + '/' + r.errors,
+      r.latencyMs.p50.toFixed(1),
+      r.latencyMs.p99.toFixed(1),
+      (r.bytesPerSec / 1e6).toFixed(2),
+    ];
+    for (const text of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    const vs = document.createElement('td');
+    const b = base?.results.find(x => x.name === r.name);
+    if (b && base !== undefined) {
+      vs.title = 'compared with ' + base.label;
+      vs.append(
+        formatDelta(improvement(r.bytesPerSec, b.bytesPerSec, true), 'thr'),
+        formatDelta(improvement(r.latencyMs.p50, b.latencyMs.p50, false), 'p50'),
+      );
+    }
+    tr.appendChild(vs);
+    return tr;
+  }));
+  const samples = [...new Set(shownResults.flatMap(r => r.errorSamples))];
+  loopErrors.textContent = samples.length ? 'errors: ' + samples.join('; ') : '';
+}
+
+async function runSteps(steps: BenchmarkStep[]): Promise<NamedResult[] | null> {
+  if (server.state !== 'running' || !certState) {
+    log('Loopback client: start the server first', 'log-warn');
+    return null;
+  }
+  if (config.handler !== NATIVE_HANDLER) {
+    log('Loopback client expects echo; the ' + config.handler + ' handler will show up as errors', 'log-warn');
+  }
+  const abort = new AbortController();
+  loopAbort = abort;
+  btnLoopRun.disabled = btnLoopBench.disabled = true;
+  btnLoopStop.disabled = false;
+  shownResults = [];
+  renderLoopResults();
+
+  const url = loopbackUrl(config.bindAddress, config.port);
+  try {
+    for (const step of steps) {
+      if (abort.signal.aborted) break;
+      loopProgress.textContent = step.name + '...';
+      try {
+        const result = await runLoadTest({ ...step, url, hashes: advertisedHashes(certState) }, abort.signal, p => {
+          loopProgress.textContent = step.name + ' · ' + p.ok + ' ok, ' + p.errors + ' err · ' +
+            (p.elapsedMs / 1000).toFixed(1) + 's';
+        });
+        shownResults.push({ ...result, name: step.name });
+        renderLoopResults();
+        log('Loopback ' + step.name + ': ' + result.ok + ' ok, ' + result.errors + ' errors, p50 ' +
+          result.latencyMs.p50.toFixed(1) + ' ms, p99 ' + result.latencyMs.p99.toFixed(1) + ' ms, ' +
+          formatBytes(result.bytesPerSec) + '/s', result.errors ? 'log-warn' : 'log-ok');
+      } catch (err) {
+        log('Loopback ' + step.name + ' failed: ' + (err as Error).message, 'log-err');
+        return null;
+      }
+    }
+  } finally {
+    loopAbort = null;
+    btnLoopRun.disabled = btnLoopBench.disabled = false;
+    btnLoopStop.disabled = true;
+    loopProgress.textContent = abort.signal.aborted ? 'stopped' : '';
+  }
+  return abort.signal.aborted ? null : shownResults;
+}
+
+async function renderBenchList() {
+  benchRuns = await listBenchmarks().catch(() => []);
+  const list = document.getElementById('bench-list')!;
+  list.replaceChildren(...benchRuns.map(run => {
+    const item = document.createElement('div');
+    item.className = 'trace-item' + (run.id === baselineId ? ' baseline' : '');
+    const name = document.createElement('span');
+    name.className = 'trace-name';
+    name.textContent = run.label + (run.server.impairment ? ' · ' + run.server.impairment : '');
+    name.title = run.userAgent + '\nhandler ' + run.server.handler + (run.server.qlog ? ', qlog on' : '') +
+      (run.server.impairment ? ', impaired: ' + run.server.impairment : '');
+    item.append(
+      name,
+      traceButton('show', () => {
+        shownResults = run.results;
+        renderLoopResults();
+      }),
+      traceButton(run.id === baselineId ? 'unbase' : 'base', async () => {
+        baselineId = run.id === baselineId ? null : run.id!;
+        await putSetting(BASELINE_KEY, baselineId).catch(() => {});
+        renderBenchList();
+        renderLoopResults();
+      }),
+      traceButton('×', async () => {
+        await deleteBenchmark(run.id!);
+        if (baselineId === run.id) baselineId = null;
+        renderBenchList();
+      }),
+    );
+    return item;
+  }));
+}
+
+document.getElementById('loop-form')!.addEventListener('submit', e => {
+  e.preventDefault();
+  const mode = (document.getElementById('loop-mode') as HTMLSelectElement).value as LoadMode;
+  const payloadSize = Number((document.getElementById('loop-size') as HTMLInputElement).value);
+  const concurrency = Number((document.getElementById('loop-concurrency') as HTMLInputElement).value);
+  const durationMs = Number((document.getElementById('loop-duration') as HTMLInputElement).value) * 1000;
+  runSteps([{ name: mode + ' ' + formatBytes(payloadSize) + ' ×' + concurrency, mode, payloadSize, concurrency, durationMs }]);
+});
+
+btnLoopBench.addEventListener('click', async () => {
+  const results = await runSteps(BENCHMARK_PRESET);
+  if (!results) return;
+  try {
+    await saveBenchmark({
+      createdAt: Date.now(),
+      label: new Date().toLocaleString(),
+      userAgent: navigator.userAgent,
+      server: {
+        handler: config.handler,
+        qlog: config.qlog,
+        ...(impairment.active ? { impairment: currentProfile().name } : {}),
+      },
+      results,
+    });
+    log('Benchmark saved', 'log-ok');
+  } catch (err) {
+    log('Saving benchmark failed: ' + (err as Error).message, 'log-err');
+  }
+  renderBenchList();
+});
+
+btnLoopStop.addEventListener('click', () => loopAbort?.abort());
+
+if (!viewMode) {
+  getSetting<number | null>(BASELINE_KEY)
+    .then(id => (baselineId = id ?? null), () => {})
+    .then(renderBenchList);
+}
+
+// ── Server instances ──
+const instanceBody = document.querySelector('#instance-table tbody')!;
+const instanceForm = document.getElementById('instance-form') as HTMLFormElement;
+const instanceErrors = document.getElementById('instance-errors')!;
+const instanceInputs = {
+  name: document.getElementById('instance-name') as HTMLInputElement,
+  port: document.getElementById('instance-port') as HTMLInputElement,
+  alpn: document.getElementById('instance-alpn') as HTMLInputElement,
+  handler: document.getElementById('instance-handler') as HTMLSelectElement,
+  impair: document.getElementById('instance-impair') as HTMLSelectElement,
+};
+let instances: ServerInstance[] = [];
+
+for (const h of BUILTIN_HANDLERS) instanceInputs.handler.add(new Option(h.label, h.id));
+for (const p of PROFILES) instanceInputs.impair.add(new Option(p.name, p.id));
+
+function createInstance(def: InstanceDef): ServerInstance {
+  return new ServerInstance(def, {
+    log: (inst, msg, cls) => log('[' + inst.def.name + '] ' + msg, cls),
+    onChange: () => refreshBadge(),
+  });
+}
+
+function usedPorts(except?: InstanceDef): number[] {
+  return [config.port, ...instances.filter(i => i.def !== except).map(i => i.def.config.port)];
+}
+
+function instanceRow(cells: (string | Node)[], state: ServerState): HTMLTableRowElement {
+  const tr = document.createElement('tr');
+  for (const c of cells) {
+    const td = document.createElement('td');
+    td.append(c);
+    tr.appendChild(td);
+  }
+  tr.cells[1].className = state === 'running' ? 'instance-running' : state === 'error' ? 'instance-error' : '';
+  return tr;
+}
+
+function instanceActions(busy: boolean, start: () => void, stop: () => void, ...extra: HTMLButtonElement[]): HTMLElement {
+  const span = document.createElement('span');
+  span.append(busy ? traceButton('stop', stop) : traceButton('start', start), ...extra);
+  return span;
+}
+
+function renderInstances() {
+  const profileName = (id: string) => PROFILES.find(p => p.id === id)?.name ?? id;
+  const rows = [instanceRow([
+    'main',
+    server.state,
+    String(config.port),
+    config.alpn.join(', '),
+    config.handler,
+    impairment.profile.name,
+    String(connections.size),
+    instanceActions(server.busy, startServer, stopServer),
+  ], server.state)];
+  for (const inst of instances) {
+    const def = inst.def;
+    rows.push(instanceRow([
+      def.name,
+      inst.detail,
+      String(def.config.port),
+      def.config.alpn.join(', '),
+      def.config.handler,
+      profileName(def.impairment),
+      String(inst.connections),
+      instanceActions(inst.busy,
+        () => inst.start().catch(err => log((err as Error).message, 'log-err')),
+        () => inst.stop(),
+        traceButton('log', () => saveInstanceLog(inst)),
+        traceButton('remove', () => removeInstance(inst))),
+    ], inst.state));
+    if (inst.certHash) rows[rows.length - 1].title = 'certificate ' + inst.certHash;
+  }
+  instanceBody.replaceChildren(...rows);
+}
+
+async function saveInstanceLog(inst: ServerInstance) {
+  const name = 'socket-iwa-' + inst.def.name.replace(/[^\w-]+/g, '_') + '-' + fileTimestamp() + '.txt';
+  try {
+    await saveTextFile(name, toPlainText(inst.lines), { description: 'Plain text log', mime: 'text/plain', ext: '.txt' });
+  } catch (err) {
+    log('Saving log failed: ' + (err as Error).message, 'log-err');
+  }
+}
+
+async function removeInstance(inst: ServerInstance) {
+  await inst.stop();
+  instances = instances.filter(i => i !== inst);
+  refreshBadge();
+  await saveInstances(instances.map(i => i.def)).catch(() => {});
+  await deleteInstanceData(inst.def.id).catch(() => {});
+  log('Removed instance ' + inst.def.name, 'log-info');
+}
+
+function fillInstanceForm() {
+  const ports = usedPorts();
+  let port = config.port + 1;
+  while (ports.includes(port)) port++;
+  instanceInputs.name.value = 'instance ' + (instances.length + 2);
+  instanceInputs.port.value = String(port);
+  instanceInputs.alpn.value = config.alpn.join(', ');
+  instanceInputs.handler.value = NATIVE_HANDLER;
+  instanceInputs.impair.value = PROFILES[0].id;
+}
+
+instanceForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  if (instances.length >= MAX_INSTANCES) {
+    instanceErrors.textContent = 'at most ' + MAX_INSTANCES + ' extra instances';
+    return;
+  }
+  const def = newInstanceDef(instanceInputs.name.value.trim(), Number(instanceInputs.port.value));
+  def.config.alpn = instanceInputs.alpn.value.split(',').map(p => p.trim()).filter(Boolean);
+  def.config.handler = instanceInputs.handler.value;
+  def.impairment = instanceInputs.impair.value;
+  const problems = validateInstance(def, usedPorts());
+  instanceErrors.textContent = problems.join('; ');
+  if (problems.length > 0) return;
+  instances.push(createInstance(def));
+  try {
+    await saveInstances(instances.map(i => i.def));
+  } catch (err) {
+    instanceErrors.textContent = 'Could not save instances: ' + (err as Error).message;
+  }
+  fillInstanceForm();
+  renderInstances();
+});
+
+if (!viewMode) {
+  Promise.all([configReady, loadInstances()]).then(([, defs]) => {
+    instances = defs.map(createInstance);
+    fillInstanceForm();
+    renderInstances();
+  });
+}
+
+// ── Connection history ──
+const historyBody = document.querySelector('#history-table tbody')!;
+const historyErrors = document.getElementById('history-errors')!;
+const historyInputs = {
+  peer: document.getElementById('history-peer') as HTMLInputElement,
+  from: document.getElementById('history-from') as HTMLInputElement,
+  to: document.getElementById('history-to') as HTMLInputElement,
+  days: document.getElementById('history-days') as HTMLInputElement,
+  max: document.getElementById('history-max') as HTMLInputElement,
+};
+const MAX_HISTORY_ROWS = 200;
+let historyRecords: HistoryRecord[] = [];
+let retention: HistoryRetention = { ...DEFAULT_RETENTION };
+let historySort: { key: HistorySortKey; descending: boolean } = { key: 'openedAt', descending: true };
+
+function formatDuration(ms: number): string {
+  if (ms < 1000) return ms + 'ms';
+  if (ms < 60000) return (ms / 1000).toFixed(1) + 's';
+  return Math.floor(ms / 60000) + 'm' + Math.round((ms % 60000) / 1000) + 's';
+}
+
+function historyQuery(): HistoryQuery {
+  const time = (input: HTMLInputElement) => (input.value ? new Date(input.value).getTime() : undefined);
+  return {
+    peer: historyInputs.peer.value,
+    from: time(historyInputs.from),
+    to: time(historyInputs.to),
+    sort: historySort.key,
+    descending: historySort.descending,
+  };
+}
+
+function renderHistory() {
+  const shown = queryHistory(historyRecords, historyQuery());
+  historyBody.replaceChildren(...shown.slice(0, MAX_HISTORY_ROWS).map(r => {
+    const tr = document.createElement('tr');
+    tr.title = 'cid ' + r.cid + '\nalpn ' + (r.alpn || 'none') + ' · ' + r.streams + ' streams · rtt ' +
+      r.rttMs.toFixed(1) + 'ms' + '\nclosed ' + new Date(r.closedAt).toLocaleString() + (r.reason ? '\n' + r.reason : '');
+    const cells = [
+      new Date(r.openedAt).toLocaleString(),
+      r.peer,
+      formatDuration(r.durationMs),
+      formatBytes(r.bytesIn) + ' / ' + formatBytes(r.bytesOut),
+      r.code ? '0x' + r.code.toString(16) : 'ok',
+    ];
+    for (const text of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    }
+    tr.lastElementChild!.classList.toggle('err', r.code !== 0);
+    return tr;
+  }));
+  document.getElementById('history-count')!.textContent = shown.length > MAX_HISTORY_ROWS
+    ? 'showing ' + MAX_HISTORY_ROWS + ' of ' + shown.length
+    : shown.length + ' of ' + historyRecords.length;
+  for (const btn of document.querySelectorAll<HTMLButtonElement>('#history-table th button')) {
+    const active = btn.dataset.sort === historySort.key;
+    btn.classList.toggle('asc', active && !historySort.descending);
+    btn.classList.toggle('desc', active && historySort.descending);
+  }
+}
+
+async function refreshHistory() {
+  historyRecords = await listHistory().catch(() => []);
+  renderHistory();
+}
+
+function recordHistory(conn: ConnectionSnapshot) {
+  if (viewMode) return;
+  const closedAt = conn.closedAt ?? Date.now();
+  const rec: HistoryRecord = {
+    cid: conn.cid,
+    peer: conn.peer,
+    alpn: conn.alpn,
+    openedAt: conn.openedAt,
+    closedAt,
+    durationMs: closedAt - conn.openedAt,
+    bytesIn: conn.bytesIn,
+    bytesOut: conn.bytesOut,
+    streams: conn.streams,
+    rttMs: conn.rttMs,
+    code: conn.code ?? 0,
+    reason: conn.reason ?? '',
+  };
+  addHistory(rec).then(id => {
+    historyRecords.push({ ...rec, id });
+    // Pruning rereads the store, so only do it once in a while
+    if (historyRecords.length > retention.maxRecords || id % 100 === 0) {
+      return pruneHistory(retention).then(n => (n ? refreshHistory() : renderHistory()));
+    }
+    renderHistory();
+  }).catch(err => log('Could not save connection history: ' + (err as Error).message, 'log-err'));
+}
+
+function exportHistory(format: 'csv' | 'json') {
+  const shown = queryHistory(historyRecords, historyQuery());
+  const text = format === 'csv' ? historyToCsv(shown) : historyToJson(shown);
+  downloadBlob('socket-iwa-connections-' + fileTimestamp() + '.' + format,
+    new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' }));
+}
+
+document.getElementById('history-filter')!.addEventListener('input', renderHistory);
+document.getElementById('history-filter')!.addEventListener('submit', e => e.preventDefault());
+
+document.querySelector('#history-table thead')!.addEventListener('click', e => {
+  const key = (e.target as HTMLElement).closest('button')?.dataset.sort as HistorySortKey | undefined;
+  if (!key) return;
+  historySort = { key, descending: historySort.key === key ? !historySort.descending : key !== 'peer' };
+  renderHistory();
+});
+
+document.getElementById('btn-history-csv')!.addEventListener('click', () => exportHistory('csv'));
+document.getElementById('btn-history-json')!.addEventListener('click', () => exportHistory('json'));
+document.getElementById('btn-history-clear')!.addEventListener('click', async () => {
+  await clearHistory().catch(() => {});
+  refreshHistory();
+});
+
+const retentionForm = document.getElementById('history-retention') as HTMLFormElement;
+retentionForm.addEventListener('submit', e => e.preventDefault());
+retentionForm.addEventListener('change', async () => {
+  const next: HistoryRetention = { days: Number(historyInputs.days.value), maxRecords: Number(historyInputs.max.value) };
+  const problems = validateRetention(next);
+  historyErrors.textContent = problems.join('; ');
+  if (problems.length > 0) return;
+  retention = next;
+  try {
+    await saveRetention(next);
+    const n = await pruneHistory(next);
+    if (n) log('Removed ' + n + ' connection history records past retention', 'log-info');
+  } catch (err) {
+    historyErrors.textContent = 'Could not apply retention: ' + (err as Error).message;
+  }
+  refreshHistory();
+});
+
+if (!viewMode) {
+  loadRetention().then(async r => {
+    retention = r;
+    historyInputs.days.value = String(r.days);
+    historyInputs.max.value = String(r.maxRecords);
+    await pruneHistory(r).catch(() => {});
+    refreshHistory();
+  });
+}
+
+serverEvents.on('error', e => {
+  log(e.message, 'log-err');
+  notifier.notify('error', e.fatal ? 'Server stopped with an error' : 'Server error', e.message);
+});
+
 // ── Wire up event listeners ──
 btnStart.addEventListener('click', startServer);
+btnStop.addEventListener('click', stopServer);
+btnRestart.addEventListener('click', restartServer);
 btnClear.addEventListener('click', clearLog);
 
+if (connMode) mountConnectionView(Number(viewConn));
+if (panelMode) mountPanelView(viewPanel as WallPanelId);
+if (pageParams.has('wall') || panelMode) document.body.classList.add('wall-window');
+
 // ── Clear badge on page unload ──
+// (connection views don't own the badge, so they leave it alone)
 window.addEventListener('beforeunload', () => {
+  if (viewMode) return;
+  // Wall windows have nothing to show without this tab
+  wall.closeAll();
   if (badgingSupported) {
     (navigator as any).clearAppBadge().catch(() => {});
   }
@@ -0,0 +1,345 @@
+import { getSetting, putSetting } from './store';
+import { LogEntry, toNdjson } from './log-console';
+import { parseAddress } from './policy';
+import {
+  ByteReader,
+  HttpError,
+  Request,
+  bodyLength,
+  closeSocket,
+  parseHead,
+  wantsKeepAlive,
+  writeResponse,
+  writeStreamHead,
+} from './http1';
+
+/**
+ * Opt-in admin API for scripts on the same machine, on a TCPServerSocket
+ * bound to 127.0.0.1. Every request needs `Authorization: Bearer <token>`,
+ * with the token generated here and shown in the UI. JSON in and out:
+ *   GET  /status         server state, endpoint and counts
+ *   POST /start          202; poll /status for "running"
+ *   POST /stop           drains, then answers
+ *   POST /restart
+ *   GET  /config
+ *   PUT  /config         partial config; says whether a restart is needed
+ *   GET  /connections    open connections
+ *   GET  /metrics        the metrics snapshot
+ *   GET  /cert           current certificate hash(es)
+ *   GET  /log            NDJSON log lines, following until the client
+ *                        disconnects; ?backlog=N replays the last N first
+ * No CORS headers are sent, so web pages on the machine can't use it.
+ */
+
+export interface AdminSettings {
+  enabled: boolean;
+  port: number;
+  token: string;
+}
+
+export const DEFAULT_ADMIN: AdminSettings = { enabled: false, port: 8787, token: '' };
+
+const ADMIN_KEY = 'admin';
+const LOOPBACK = '127.0.0.1';
+const MAX_BACKLOG = 10000;
+/** Log lines a follower may fall behind by before it's disconnected. */
+const MAX_FOLLOW_PENDING = 2000;
+
+/** 256 random bits, base64url. */
+export function generateToken(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function validateAdmin(a: AdminSettings): string[] {
+  const problems: string[] = [];
+  if (!Number.isInteger(a.port) || a.port < 1 || a.port > 65535) problems.push('admin port must be 1–65535');
+  if (a.token.length < 16) problems.push('token is too short');
+  return problems;
+}
+
+/** Saved settings; the first load generates and stores a token. */
+export async function loadAdmin(): Promise<AdminSettings> {
+  let a: AdminSettings;
+  try {
+    a = { ...DEFAULT_ADMIN, ...(await getSetting<Partial<AdminSettings>>(ADMIN_KEY)) };
+  } catch (_) {
+    a = { ...DEFAULT_ADMIN };
+  }
+  if (!a.token) {
+    a.token = generateToken();
+    await saveAdmin(a).catch(() => {});
+  }
+  return validateAdmin(a).length === 0 ? a : { ...DEFAULT_ADMIN, token: a.token.length >= 16 ? a.token : generateToken() };
+}
+
+export function saveAdmin(a: AdminSettings): Promise<void> {
+  return putSetting(ADMIN_KEY, a);
+}
+
+/** What the page exposes to the API. */
+export interface AdminApi {
+  log(msg: string, cls?: string): void;
+  status(): object;
+  /** Throws if the server is already running. */
+  start(): Promise<void>;
+  stop(): Promise<void>;
+  /** Throws unless the server is running. */
+  restart(): Promise<void>;
+  getConfig(): object;
+  /** Returns problems, empty when the patch was applied. */
+  setConfig(patch: Record<string, unknown>): Promise<string[]>;
+  /** True when a saved change waits for a restart. */
+  restartPending(): boolean;
+  connections(): object[];
+  metrics(): object;
+  cert(): object | null;
+  recentLog(): LogEntry[];
+}
+
+/** An accepted socket and, once it has opened, the locks on its streams. */
+interface Peer {
+  reader: ByteReader | null;
+  writer: WritableStreamDefaultWriter<Uint8Array> | null;
+}
+
+interface Follower {
+  writer: WritableStreamDefaultWriter<Uint8Array>;
+  pending: number;
+  done: () => void;
+}
+
+/** Constant-time, so response timing says nothing about the token. */
+function sameToken(a: string, b: string): boolean {
+  const x = new TextEncoder().encode(a);
+  const y = new TextEncoder().encode(b);
+  // Every token is the same length, so only the contents are secret
+  if (x.length !== y.length) return false;
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+  return diff === 0;
+}
+
+function isLoopback(address: string): boolean {
+  const a = parseAddress(address);
+  if (!a) return false;
+  return a.v6 ? a.n === 1n : a.n >> 24n === 127n;
+}
+
+export class AdminServer {
+  port = 0;
+  private server: any = null;
+  private sockets = new Map<any, Peer>();
+  private followers = new Set<Follower>();
+
+  constructor(private api: AdminApi, private token: () => string) {}
+
+  get listening(): boolean {
+    return this.server !== null;
+  }
+
+  async start(port: number) {
+    if (this.server) return;
+    const Server = (globalThis as any).TCPServerSocket;
+    if (typeof Server !== 'function') throw new Error('TCPServerSocket is not available');
+    const server = new Server(LOOPBACK, { localPort: port });
+    const { readable, localPort } = await server.opened;
+    this.server = server;
+    this.port = localPort;
+    this.api.log('[admin] Listening on ' + LOOPBACK + ':' + localPort, 'log-ok');
+    this.accept(server, readable);
+  }
+
+  async stop() {
+    const server = this.server;
+    if (!server) return;
+    this.server = null;
+    for (const f of this.followers) f.done();
+    await Promise.all([...this.sockets].map(([socket, p]) => closeSocket(socket, p.reader, p.writer)));
+    try {
+      await server.close();
+    } catch (_) {}
+    this.api.log('[admin] Stopped', 'log-info');
+  }
+
+  /** Send a log line to every /log follower. */
+  publish(entry: LogEntry) {
+    if (!this.followers.size) return;
+    const line = new TextEncoder().encode(toNdjson([entry]));
+    for (const f of this.followers) {
+      if (f.pending >= MAX_FOLLOW_PENDING) {
+        f.done();
+        continue;
+      }
+      f.pending++;
+      f.writer.write(line).then(() => f.pending--, () => f.done());
+    }
+  }
+
+  private async accept(server: any, readable: ReadableStream<any>) {
+    const reader = readable.getReader();
+    try {
+      for (;;) {
+        const { value: socket, done } = await reader.read();
+        if (done) break;
+        this.serve(socket);
+      }
+    } catch (err) {
+      if (this.server === server) this.api.log('[admin] Accept failed: ' + (err as Error).message, 'log-err');
+    }
+  }
+
+  private async serve(socket: any) {
+    const entry: Peer = { reader: null, writer: null };
+    this.sockets.set(socket, entry);
+    try {
+      const { readable, writable, remoteAddress } = await socket.opened;
+      if (!isLoopback(remoteAddress)) {
+        this.api.log('[admin] Refused non-loopback peer ' + remoteAddress, 'log-warn');
+        return;
+      }
+      const reader = new ByteReader(readable.getReader());
+      const writer: WritableStreamDefaultWriter<Uint8Array> = writable.getWriter();
+      Object.assign(entry, { reader, writer });
+      await this.http(reader, writer);
+    } catch (err) {
+      this.api.log('[admin] ' + (err as Error).message, 'log-warn');
+    } finally {
+      await closeSocket(socket, entry.reader, entry.writer);
+      this.sockets.delete(socket);
+    }
+  }
+
+  private async http(reader: ByteReader, writer: WritableStreamDefaultWriter<Uint8Array>) {
+    for (;;) {
+      let req: Request;
+      let body: Uint8Array;
+      try {
+        const head = await reader.readHead();
+        if (head === null) return;
+        req = parseHead(head);
+        body = await reader.readBody(bodyLength(req));
+      } catch (err) {
+        if (!(err instanceof HttpError)) throw err;
+        await this.json(writer, err.status, { error: err.message }, false);
+        return;
+      }
+
+      const keepAlive = wantsKeepAlive(req);
+      const url = new URL(req.target, 'http://' + LOOPBACK);
+      let status: number;
+      try {
+        if (!sameToken(req.headers.get('authorization') ?? '', 'Bearer ' + this.token())) {
+          throw new HttpError(401, 'missing or wrong bearer token');
+        }
+        if (req.method === 'GET' && url.pathname === '/log') {
+          await this.follow(reader, writer, url);
+          return;
+        }
+        const [code, result] = await this.route(req.method, url.pathname, body);
+        status = code;
+        await this.json(writer, status, result, keepAlive);
+      } catch (err) {
+        status = err instanceof HttpError ? err.status : 500;
+        await this.json(writer, status, { error: (err as Error).message }, keepAlive);
+      }
+      if (status >= 400 || req.method !== 'GET') {
+        this.api.log('[admin] ' + req.method + ' ' + url.pathname + ' → ' + status, status >= 400 ? 'log-warn' : 'log-dim');
+      }
+      if (!keepAlive) return;
+    }
+  }
+
+  private async route(method: string, path: string, body: Uint8Array): Promise<[number, unknown]> {
+    const api = this.api;
+    const allow = (...methods: string[]) => {
+      if (!methods.includes(method)) throw new HttpError(405, path + ' takes ' + methods.join(' or '));
+    };
+    // start and restart refuse when the server is in the wrong state
+    const transition = async (action: () => Promise<void>) => {
+      try {
+        await action();
+      } catch (err) {
+        throw new HttpError(409, (err as Error).message);
+      }
+    };
+    switch (path) {
+      case '/status':
+        allow('GET');
+        return [200, api.status()];
+      case '/start':
+        allow('POST');
+        await transition(() => api.start());
+        return [202, api.status()];
+      case '/stop':
+        allow('POST');
+        await api.stop();
+        return [200, api.status()];
+      case '/restart':
+        allow('POST');
+        await transition(() => api.restart());
+        return [200, api.status()];
+      case '/config':
+        allow('GET', 'PUT', 'PATCH');
+        if (method !== 'GET') {
+          let patch: unknown;
+          try {
+            patch = JSON.parse(new TextDecoder().decode(body));
+          } catch (_) {
+            throw new HttpError(400, 'body is not JSON');
+          }
+          if (typeof patch !== 'object' || patch === null || Array.isArray(patch)) {
+            throw new HttpError(400, 'body must be a JSON object');
+          }
+          const problems = await api.setConfig(patch as Record<string, unknown>);
+          if (problems.length) return [422, { error: 'invalid config', problems }];
+        }
+        return [200, { config: api.getConfig(), restartRequired: api.restartPending() }];
+      case '/connections':
+        allow('GET');
+        return [200, api.connections()];
+      case '/metrics':
+        allow('GET');
+        return [200, api.metrics()];
+      case '/cert': {
+        allow('GET');
+        const cert = api.cert();
+        if (!cert) throw new HttpError(503, 'no certificate yet');
+        return [200, cert];
+      }
+      default:
+        throw new HttpError(404, 'no such endpoint: ' + path);
+    }
+  }
+
+  private json(writer: WritableStreamDefaultWriter<Uint8Array>, status: number, value: unknown, keepAlive: boolean) {
+    return writeResponse(writer, status, {
+      'content-type': 'application/json',
+      'cache-control': 'no-store',
+    }, JSON.stringify(value) + '\n', keepAlive);
+  }
+
+  /** Stream the log until the client goes away or the server stops. */
+  private async follow(reader: ByteReader, writer: WritableStreamDefaultWriter<Uint8Array>, url: URL) {
+    const backlog = Math.min(MAX_BACKLOG, Math.max(0, Number(url.searchParams.get('backlog')) || 0));
+    await writeStreamHead(writer, 200, { 'content-type': 'application/x-ndjson', 'cache-control': 'no-store' });
+    const recent = backlog ? this.api.recentLog().slice(-backlog) : [];
+    if (recent.length) await writer.write(new TextEncoder().encode(toNdjson(recent)));
+    await new Promise<void>(resolve => {
+      const f: Follower = {
+        writer,
+        pending: 0,
+        done: () => {
+          this.followers.delete(f);
+          resolve();
+        },
+      };
+      this.followers.add(f);
+      // Anything the client sends is ignored; its end of stream ends the follow
+      (async () => {
+        while (await reader.read().catch(() => null)) {}
+        f.done();
+      })();
+    });
+  }
+}
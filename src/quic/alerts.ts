@@ -0,0 +1,180 @@
+import { getSetting, putSetting } from './store';
+
+/**
+ * System notifications for server activity, grouped and rate-limited so a
+ * burst of connections produces one summary instead of a flood.
+ *
+ * Each kind shares a notification tag, so a newer notification replaces the
+ * older one. The first alert of a kind shows at once; anything more within
+ * the group window is folded into a single "N new ..." summary at its end.
+ */
+
+export type AlertKind = 'connection' | 'error' | 'cert';
+
+export const ALERT_KINDS: AlertKind[] = ['connection', 'error', 'cert'];
+
+export type IdleAction = 'pause' | 'stop';
+
+export interface AlertSettings {
+  notify: boolean;
+  kinds: Record<AlertKind, boolean>;
+  /** Notifications shown per minute, across all kinds. */
+  maxPerMinute: number;
+  groupSeconds: number;
+  /** Keep the screen on while the server runs. */
+  wakeLock: boolean;
+  /** 0 turns idle handling off. */
+  idleMinutes: number;
+  idleAction: IdleAction;
+}
+
+export const DEFAULT_ALERTS: AlertSettings = {
+  notify: false,
+  kinds: { connection: true, error: true, cert: true },
+  maxPerMinute: 6,
+  groupSeconds: 30,
+  wakeLock: true,
+  idleMinutes: 0,
+  idleAction: 'pause',
+};
+
+export function validateAlerts(a: AlertSettings): string[] {
+  const problems: string[] = [];
+  if (!Number.isInteger(a.maxPerMinute) || a.maxPerMinute < 1 || a.maxPerMinute > 60) {
+    problems.push('notifications per minute must be 1–60');
+  }
+  if (!Number.isInteger(a.groupSeconds) || a.groupSeconds < 0 || a.groupSeconds > 600) {
+    problems.push('grouping window must be 0–600 s');
+  }
+  // Whole minutes: IdleDetector's threshold can't go below one
+  if (!Number.isInteger(a.idleMinutes) || a.idleMinutes < 0 || a.idleMinutes > 1440) {
+    problems.push('idle minutes must be 0–1440');
+  }
+  if (a.idleAction !== 'pause' && a.idleAction !== 'stop') problems.push('unknown idle action');
+  return problems;
+}
+
+const ALERTS_KEY = 'alerts';
+
+export async function loadAlerts(): Promise<AlertSettings> {
+  try {
+    const saved = await getSetting<Partial<AlertSettings>>(ALERTS_KEY);
+    const a = { ...DEFAULT_ALERTS, ...saved, kinds: { ...DEFAULT_ALERTS.kinds, ...saved?.kinds } };
+    return validateAlerts(a).length === 0 ? a : { ...DEFAULT_ALERTS };
+  } catch (_) {
+    return { ...DEFAULT_ALERTS };
+  }
+}
+
+export function saveAlerts(a: AlertSettings): Promise<void> {
+  return putSetting(ALERTS_KEY, a);
+}
+
+export function notificationsSupported(): boolean {
+  return typeof Notification !== 'undefined';
+}
+
+/** Ask for permission; must run from a user gesture. */
+export async function requestNotificationPermission(): Promise<NotificationPermission> {
+  if (!notificationsSupported()) return 'denied';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+const SUMMARY: Record<AlertKind, (n: number) => string> = {
+  connection: n => n + ' new connections',
+  error: n => n + ' server errors',
+  cert: n => n + ' certificate alerts',
+};
+
+interface Group {
+  windowEnd: number;
+  pending: number;
+  lastBody: string;
+  timer?: number;
+}
+
+export class Notifier {
+  /** Alerts not shown because of the rate limit (they still count in summaries). */
+  suppressed = 0;
+  private groups = new Map<AlertKind, Group>();
+  private shownAt: number[] = [];
+
+  constructor(
+    private settings: () => AlertSettings,
+    private onClick: (data: unknown) => void,
+  ) {}
+
+  notify(kind: AlertKind, title: string, body: string, data?: unknown) {
+    const s = this.settings();
+    if (!s.notify || !s.kinds[kind] || !notificationsSupported() || Notification.permission !== 'granted') return;
+    const now = Date.now();
+    let g = this.groups.get(kind);
+    if (!g) {
+      g = { windowEnd: 0, pending: 0, lastBody: '' };
+      this.groups.set(kind, g);
+    }
+    if (now < g.windowEnd || !this.show(kind, title, body, data)) {
+      g.pending++;
+      g.lastBody = body;
+      this.scheduleFlush(kind, g);
+      return;
+    }
+    g.windowEnd = now + s.groupSeconds * 1000;
+  }
+
+  /** Drop anything waiting to be summarised. */
+  reset() {
+    for (const g of this.groups.values()) clearTimeout(g.timer);
+    this.groups.clear();
+  }
+
+  private scheduleFlush(kind: AlertKind, g: Group) {
+    if (g.timer !== undefined) return;
+    const delay = Math.max(g.windowEnd - Date.now(), this.nextSlotIn(), 1000);
+    g.timer = window.setTimeout(() => {
+      g.timer = undefined;
+      if (!g.pending) return;
+      const title = g.pending === 1 ? SUMMARY[kind](1).replace(/s$/, '') : SUMMARY[kind](g.pending);
+      if (this.show(kind, title, 'latest: ' + g.lastBody)) {
+        g.pending = 0;
+        g.windowEnd = Date.now() + this.settings().groupSeconds * 1000;
+      } else {
+        this.scheduleFlush(kind, g);
+      }
+    }, delay);
+  }
+
+  /** Milliseconds until the rate limit allows another notification. */
+  private nextSlotIn(): number {
+    const max = this.settings().maxPerMinute;
+    if (this.shownAt.length < max) return 0;
+    return this.shownAt[this.shownAt.length - max] + 60000 - Date.now();
+  }
+
+  private show(kind: AlertKind, title: string, body: string, data?: unknown): boolean {
+    const now = Date.now();
+    this.shownAt = this.shownAt.filter(t => t > now - 60000);
+    if (this.shownAt.length >= this.settings().maxPerMinute) {
+      this.suppressed++;
+      return false;
+    }
+    try {
+      const n = new Notification(title, {
+        body,
+        tag: 'socket-iwa-' + kind,
+        icon: '/app-icon.svg',
+        data,
+      });
+      n.onclick = () => {
+        window.focus();
+        n.close();
+        this.onClick(data);
+      };
+    } catch (_) {
+      return false;
+    }
+    this.shownAt.push(now);
+    return true;
+  }
+}
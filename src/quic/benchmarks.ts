@@ -0,0 +1,59 @@
+import { LoadMode, LoadResult } from './loopback';
+import { withStore } from './store';
+
+/**
+ * The fixed "benchmark" preset and its saved runs.
+ *
+ * The preset never changes between runs, so any two saved runs are directly
+ * comparable: same modes, payload sizes, concurrency and duration.
+ */
+
+export interface BenchmarkStep {
+  name: string;
+  mode: LoadMode;
+  payloadSize: number;
+  concurrency: number;
+  durationMs: number;
+}
+
+export const BENCHMARK_PRESET: BenchmarkStep[] = [
+  { name: 'bidi 1 KiB ×1', mode: 'bidi', payloadSize: 1024, concurrency: 1, durationMs: 5000 },
+  { name: 'bidi 1 KiB ×16', mode: 'bidi', payloadSize: 1024, concurrency: 16, durationMs: 5000 },
+  { name: 'bidi 256 KiB ×4', mode: 'bidi', payloadSize: 256 * 1024, concurrency: 4, durationMs: 5000 },
+  { name: 'uni 1 KiB ×16', mode: 'uni', payloadSize: 1024, concurrency: 16, durationMs: 5000 },
+  { name: 'datagram 512 B ×16', mode: 'datagram', payloadSize: 512, concurrency: 16, durationMs: 5000 },
+];
+
+export interface BenchmarkRun {
+  id?: number;
+  createdAt: number;
+  label: string;
+  userAgent: string;
+  /** Handler, qlog setting and impairment profile at the time; all affect the numbers. */
+  server: { handler: string; qlog: boolean; impairment?: string };
+  results: (LoadResult & { name: string })[];
+}
+
+export async function saveBenchmark(run: Omit<BenchmarkRun, 'id'>): Promise<number> {
+  return (await withStore('benchmarks', 'readwrite', s => s.add(run))) as number;
+}
+
+/** Newest first. */
+export async function listBenchmarks(): Promise<BenchmarkRun[]> {
+  const all = await withStore<BenchmarkRun[]>('benchmarks', 'readonly', s => s.getAll());
+  return all.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function deleteBenchmark(id: number): Promise<void> {
+  await withStore('benchmarks', 'readwrite', s => s.delete(id));
+}
+
+/**
+ * Relative change from `base` to `value`, signed so that positive is
+ * better: higher throughput, lower latency.
+ */
+export function improvement(value: number, base: number, higherIsBetter: boolean): number | null {
+  if (!base) return null;
+  const delta = (value - base) / base;
+  return higherIsBetter ? delta : -delta;
+}
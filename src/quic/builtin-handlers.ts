@@ -0,0 +1,198 @@
+import { Handler, NATIVE_HANDLER, StreamContext, registerHandler } from './handlers';
+
+/** Built-in modes for the handler dropdown. */
+
+const echo: Handler = {
+  id: NATIVE_HANDLER,
+  label: 'echo',
+  description: 'Native echo: every stream and datagram is sent straight back',
+  // QUIC echo never leaves C; these run where there is no native path (TCP/WebSocket)
+  onStreamData(s, data, fin, text) {
+    // A text message goes back as text
+    if (s.bidi) s.write(text ? new TextDecoder().decode(data) : data, fin);
+  },
+  onDatagram(c, data) {
+    c.sendDatagram(data);
+  },
+};
+
+const discard: Handler = {
+  id: 'discard',
+  label: 'discard',
+  description: 'Sink: reads everything, answers nothing (RFC 863 style)',
+  onStreamData(s, _data, fin) {
+    // Finish our half too so the peer sees a clean, empty response
+    if (fin && s.bidi) s.end();
+  },
+};
+
+// RFC 864 pattern: 72-char lines of the 95 printable ASCII characters,
+// each line starting one character later than the previous
+const CHARGEN_LINE = 72;
+const CHARGEN_BLOCK = (() => {
+  const out = new Uint8Array(95 * (CHARGEN_LINE + 2));
+  let o = 0;
+  for (let line = 0; line < 95; line++) {
+    for (let i = 0; i < CHARGEN_LINE; i++) out[o++] = 0x20 + ((line + i) % 95);
+    out[o++] = 0x0d;
+    out[o++] = 0x0a;
+  }
+  return out;
+})();
+/** Pattern blocks written per turn of the event loop while flow control allows. */
+const CHARGEN_BURST = 16;
+
+function chargenPump(s: StreamContext) {
+  if (s.state.get('pumping')) return;
+  s.state.set('pumping', true);
+  const pump = () => {
+    s.state.set('pumping', false);
+    for (let i = 0; i < CHARGEN_BURST; i++) {
+      if (s.ended) return;
+      // Blocked: resume from onStreamWritable
+      if (!s.write(CHARGEN_BLOCK)) return;
+    }
+    s.state.set('pumping', true);
+    setTimeout(pump, 0);
+  };
+  pump();
+}
+
+const chargen: Handler = {
+  id: 'chargen',
+  label: 'chargen',
+  description: 'Source: streams the RFC 864 character pattern until the peer resets or closes',
+  onStreamOpen(s) {
+    if (s.bidi) chargenPump(s);
+  },
+  onStreamWritable(s) {
+    chargenPump(s);
+  },
+  onStreamData(s, _data, fin) {
+    if (fin && !s.ended) s.end();
+  },
+  onDatagram(c) {
+    // UDP chargen answers each datagram with a random-length line slice
+    const len = Math.floor(Math.random() * 512);
+    const offset = Math.floor(Math.random() * (CHARGEN_BLOCK.length - len));
+    c.sendDatagram(CHARGEN_BLOCK.subarray(offset, offset + len));
+  },
+};
+
+/** Largest frame the length-prefixed handlers accept, 16 MiB. */
+export const MAX_FRAME = 16 * 1024 * 1024;
+
+export type Responder = (
+  request: Uint8Array,
+  stream: StreamContext,
+) => Uint8Array | string | Promise<Uint8Array | string>;
+
+/**
+ * Request/response framing: each message is a 4-byte big-endian length
+ * followed by that many bytes. Requests on one stream are answered in
+ * order, a response waits for flow control before the next is written, and
+ * the stream is finished once the peer's FIN has been answered. After the
+ * first failure the stream is reset and nothing more on it is answered.
+ */
+export function lengthPrefixed(
+  respond: Responder,
+): Pick<Handler, 'onStreamData' | 'onStreamWritable' | 'onStreamReset' | 'onConnectionClose'> {
+  const encoder = new TextEncoder();
+
+  // Streams waiting in writable(), per connection, so a close can let them go
+  const blocked = (s: StreamContext) => {
+    let set = s.conn.state.get('blocked') as Set<StreamContext> | undefined;
+    if (!set) {
+      set = new Set();
+      s.conn.state.set('blocked', set);
+    }
+    return set;
+  };
+  const writable = (s: StreamContext) => new Promise<void>(resolve => {
+    s.state.set('writable', resolve);
+    blocked(s).add(s);
+  });
+  const release = (s: StreamContext) => {
+    const resolve = s.state.get('writable') as (() => void) | undefined;
+    s.state.delete('writable');
+    blocked(s).delete(s);
+    resolve?.();
+  };
+  const fail = (s: StreamContext, msg: string): never => {
+    s.state.set('failed', true);
+    throw new Error(msg);
+  };
+
+  return {
+    onStreamData(s, data, fin) {
+      if (s.state.get('failed')) return;
+      let buf = (s.state.get('buf') as Uint8Array | undefined) ?? new Uint8Array(0);
+      if (data.length) {
+        const next = new Uint8Array(buf.length + data.length);
+        next.set(buf);
+        next.set(data, buf.length);
+        buf = next;
+      }
+
+      const requests: Uint8Array[] = [];
+      while (buf.length >= 4) {
+        const len = new DataView(buf.buffer, buf.byteOffset, 4).getUint32(0);
+        if (len > MAX_FRAME) fail(s, 'frame of ' + len + ' bytes exceeds ' + MAX_FRAME);
+        if (buf.length < 4 + len) break;
+        requests.push(buf.slice(4, 4 + len));
+        buf = buf.subarray(4 + len);
+      }
+      s.state.set('buf', buf);
+      if (fin && buf.length) fail(s, buf.length + ' bytes of truncated frame at FIN');
+      if (!requests.length && !fin) return;
+
+      // Only this call's frames are returned, so a failure is reported once;
+      // the stored tail never rejects, it just flags the stream
+      const prev = (s.state.get('chain') as Promise<void> | undefined) ?? Promise.resolve();
+      const work = prev.then(async () => {
+        for (const request of requests) {
+          if (s.state.get('failed') || s.ended) return;
+          const response = await respond(request, s);
+          if (s.ended) return;
+          const body = typeof response === 'string' ? encoder.encode(response) : response;
+          const frame = new Uint8Array(4 + body.length);
+          new DataView(frame.buffer).setUint32(0, body.length);
+          frame.set(body, 4);
+          if (!s.write(frame)) await writable(s);
+        }
+        if (fin && !s.state.get('failed') && !s.ended) s.end();
+      });
+      s.state.set('chain', work.catch(() => {
+        s.state.set('failed', true);
+      }));
+      return work;
+    },
+    onStreamWritable(s) {
+      release(s);
+    },
+    onStreamReset(s) {
+      release(s);
+    },
+    onConnectionClose(c) {
+      for (const s of (c.state.get('blocked') as Set<StreamContext> | undefined) ?? []) release(s);
+    },
+  };
+}
+
+const rpc: Handler = {
+  id: 'rpc',
+  label: 'request/response',
+  description: 'Length-prefixed frames; each request is answered with {"bytes", "sha256"} of its payload',
+  ...lengthPrefixed(async request => {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new Uint8Array(request)));
+    const hex = Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+    return JSON.stringify({ bytes: request.length, sha256: hex });
+  }),
+};
+
+/** The handlers that need nothing from the page, so they also run in instance workers. */
+export const BUILTIN_HANDLERS: Handler[] = [echo, discard, chargen, rpc];
+
+export function registerBuiltinHandlers() {
+  for (const h of BUILTIN_HANDLERS) registerHandler(h);
+}
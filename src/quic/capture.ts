@@ -0,0 +1,92 @@
+import { Datagram, SocketAddress, UdpTap } from './socket-tap';
+import { CapturedPacket, encodePcapng } from './pcapng';
+
+/**
+ * In-memory packet capture, fed by a socket tap.
+ *
+ * Inbound datagrams are recorded before the access policy runs, so packets
+ * the policy drops still show up in the capture. Recording stops by itself
+ * once CAPTURE_CAP_BYTES of payload has been kept.
+ */
+
+export const CAPTURE_CAP_BYTES = 64 * 1024 * 1024;
+
+export class PacketCapture implements UdpTap {
+  active = false;
+  /** Keep TLS secrets from the module's keylog while capturing. */
+  includeKeys = false;
+  /** Set when recording stopped because the cap was reached. */
+  full = false;
+  startedAt = 0;
+  packets: CapturedPacket[] = [];
+  bytes = 0;
+  private keylog = new Set<string>();
+
+  get keyCount(): number {
+    return this.keylog.size;
+  }
+
+  start() {
+    this.active = true;
+    this.full = false;
+    if (!this.startedAt) this.startedAt = Date.now();
+  }
+
+  stop() {
+    this.active = false;
+  }
+
+  clear() {
+    this.packets = [];
+    this.bytes = 0;
+    this.full = false;
+    this.startedAt = this.active ? Date.now() : 0;
+    this.keylog.clear();
+  }
+
+  inbound(d: Datagram, socket: SocketAddress) {
+    this.record(d, socket, true);
+  }
+
+  outbound(d: Datagram, socket: SocketAddress) {
+    this.record(d, socket, false);
+  }
+
+  addKeylogLine(line: string) {
+    line = line.trim();
+    if (this.active && this.includeKeys && line && !line.startsWith('#')) this.keylog.add(line);
+  }
+
+  /** SSLKEYLOGFILE contents for everything captured so far. */
+  keylogText(): string {
+    return [...this.keylog].map(l => l + '\n').join('');
+  }
+
+  toPcapng(): Blob {
+    const comment = 'captured by socket-iwa, ' + this.packets.length + ' datagrams';
+    const keylog = this.includeKeys || this.keylog.size ? this.keylogText() : '';
+    return new Blob(encodePcapng(this.packets, keylog, comment) as BlobPart[], {
+      type: 'application/vnd.tcpdump.pcap',
+    });
+  }
+
+  private record(d: Datagram, socket: SocketAddress, inbound: boolean) {
+    if (!this.active) return;
+    if (this.bytes + d.data.length > CAPTURE_CAP_BYTES) {
+      this.full = true;
+      this.active = false;
+      return;
+    }
+    this.packets.push({
+      timestampUs: (performance.timeOrigin + performance.now()) * 1000,
+      inbound,
+      localAddress: socket.localAddress,
+      localPort: socket.localPort,
+      remoteAddress: d.remoteAddress,
+      remotePort: d.remotePort,
+      // The module may reuse the buffer once the write resolves
+      data: d.data.slice(),
+    });
+    this.bytes += d.data.length;
+  }
+}
@@ -0,0 +1,215 @@
+import { getSetting, putSetting } from './store';
+
+/**
+ * Self-signed ECDSA P-256 certificates for WebTransport
+ * `serverCertificateHashes`, generated in-app with WebCrypto.
+ *
+ * Chrome only accepts hash-pinned certificates whose validity period is at
+ * most 14 days, so certificates are issued for 13 days and rotated after 10.
+ * The previous certificate's hash keeps being advertised until it expires,
+ * which gives clients pinned to it a three-day overlap.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+export const CERT_VALIDITY_MS = 13 * DAY;
+export const CERT_ROTATE_AFTER_MS = 10 * DAY;
+
+const CERT_KEY = 'certificates';
+
+export interface StoredCert {
+  /** base64 SHA-256 of the DER certificate, as used in serverCertificateHashes. */
+  hash: string;
+  certDer: ArrayBuffer;
+  keyPkcs8: ArrayBuffer;
+  notBefore: number;
+  notAfter: number;
+}
+
+export interface CertState {
+  current: StoredCert;
+  /** Still valid, still advertised, no longer served. */
+  previous?: StoredCert;
+}
+
+// ── Minimal DER encoder ──
+
+function derLength(n: number): number[] {
+  if (n < 0x80) return [n];
+  const bytes: number[] = [];
+  while (n > 0) {
+    bytes.unshift(n & 0xff);
+    n >>>= 8;
+  }
+  return [0x80 | bytes.length, ...bytes];
+}
+
+function der(tag: number, ...parts: Uint8Array[]) {
+  const len = parts.reduce((a, p) => a + p.length, 0);
+  const head = [tag, ...derLength(len)];
+  const out = new Uint8Array(head.length + len);
+  out.set(head);
+  let off = head.length;
+  for (const p of parts) {
+    out.set(p, off);
+    off += p.length;
+  }
+  return out;
+}
+
+const seq = (...parts: Uint8Array[]) => der(0x30, ...parts);
+const set = (...parts: Uint8Array[]) => der(0x31, ...parts);
+const utf8 = (s: string) => der(0x0c, new TextEncoder().encode(s));
+const octets = (b: Uint8Array) => der(0x04, b);
+const bitString = (b: Uint8Array) => der(0x03, new Uint8Array([0]), b);
+const explicit = (n: number, inner: Uint8Array) => der(0xa0 | n, inner);
+
+/** Unsigned big-endian integer, with a leading zero if the top bit is set. */
+function integer(bytes: Uint8Array) {
+  let i = 0;
+  while (i < bytes.length - 1 && bytes[i] === 0) i++;
+  const trimmed = bytes.subarray(i);
+  return trimmed[0] & 0x80
+    ? der(0x02, new Uint8Array([0]), trimmed)
+    : der(0x02, trimmed);
+}
+
+function oid(dotted: string) {
+  const ids = dotted.split('.').map(Number);
+  const out = [ids[0] * 40 + ids[1]];
+  for (const id of ids.slice(2)) {
+    const chunk = [id & 0x7f];
+    for (let v = id >>> 7; v > 0; v >>>= 7) chunk.unshift(0x80 | (v & 0x7f));
+    out.push(...chunk);
+  }
+  return der(0x06, new Uint8Array(out));
+}
+
+function utcTime(ms: number) {
+  // YYMMDDHHMMSSZ, valid for 1950–2049
+  const iso = new Date(ms).toISOString();
+  const s = iso.slice(2, 4) + iso.slice(5, 7) + iso.slice(8, 10) +
+    iso.slice(11, 13) + iso.slice(14, 16) + iso.slice(17, 19) + 'Z';
+  return der(0x17, new TextEncoder().encode(s));
+}
+
+const OID_ECDSA_SHA256 = '1.2.840.10045.4.3.2';
+const OID_CN = '2.5.4.3';
+const OID_SAN = '2.5.29.17';
+
+/** WebCrypto returns ECDSA signatures as raw r||s; X.509 wants DER. */
+function ecdsaRawToDer(raw: Uint8Array) {
+  const half = raw.length / 2;
+  return seq(integer(raw.subarray(0, half)), integer(raw.subarray(half)));
+}
+
+export function toBase64(buf: ArrayBuffer | Uint8Array): string {
+  const bytes = buf instanceof Uint8Array ? buf : new Uint8Array(buf);
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+
+export function toPem(label: string, der: ArrayBuffer): string {
+  const b64 = toBase64(der).replace(/.{64}/g, '$&\n').replace(/\n$/, '');
+  return '-----BEGIN ' + label + '-----\n' + b64 + '\n-----END ' + label + '-----\n';
+}
+
+/** Issue a new self-signed certificate for localhost, valid from `now`. */
+export async function generateCertificate(now = Date.now()): Promise<StoredCert> {
+  const keys = await crypto.subtle.generateKey(
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    true,
+    ['sign', 'verify'],
+  );
+  const spki = new Uint8Array(await crypto.subtle.exportKey('spki', keys.publicKey));
+  const keyPkcs8 = await crypto.subtle.exportKey('pkcs8', keys.privateKey);
+
+  const serial = crypto.getRandomValues(new Uint8Array(16));
+  serial[0] &= 0x7f;
+  // Backdate a little so clients with slightly skewed clocks accept it
+  const notBefore = now - 60 * 1000;
+  const notAfter = notBefore + CERT_VALIDITY_MS;
+  const name = seq(set(seq(oid(OID_CN), utf8('localhost'))));
+  const sigAlg = seq(oid(OID_ECDSA_SHA256));
+
+  // subjectAltName: DNS:localhost, IP:127.0.0.1, IP:::1
+  const ipv6Loopback = new Uint8Array(16);
+  ipv6Loopback[15] = 1;
+  const san = seq(
+    der(0x82, new TextEncoder().encode('localhost')),
+    der(0x87, new Uint8Array([127, 0, 0, 1])),
+    der(0x87, ipv6Loopback),
+  );
+
+  const tbs = seq(
+    explicit(0, integer(new Uint8Array([2]))), // v3
+    integer(serial),
+    sigAlg,
+    name,
+    seq(utcTime(notBefore), utcTime(notAfter)),
+    name,
+    spki,
+    explicit(3, seq(seq(oid(OID_SAN), octets(san)))),
+  );
+
+  const sig = new Uint8Array(await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    keys.privateKey,
+    tbs,
+  ));
+  const cert = seq(tbs, sigAlg, bitString(ecdsaRawToDer(sig)));
+  // der() always allocates an exact-size buffer, so this is the whole certificate
+  const certDer = cert.buffer;
+  const hash = toBase64(await crypto.subtle.digest('SHA-256', certDer));
+
+  return { hash, certDer, keyPkcs8, notBefore, notAfter };
+}
+
+export function msUntilRotation(state: CertState, now = Date.now()): number {
+  return state.current.notBefore + CERT_ROTATE_AFTER_MS - now;
+}
+
+/** Hashes clients may pin right now: current first, then the overlap one. */
+export function advertisedHashes(state: CertState, now = Date.now()): string[] {
+  const hashes = [state.current.hash];
+  if (state.previous && state.previous.notAfter > now) hashes.push(state.previous.hash);
+  return hashes;
+}
+
+/** The stored certificates as they are, for pages that connect to the server but don't run it. */
+export async function loadCertificates(key = CERT_KEY): Promise<CertState | undefined> {
+  try {
+    return await getSetting<CertState>(key);
+  } catch (_) {
+    return undefined;
+  }
+}
+
+/**
+ * Load the stored certificates, issuing or rotating as needed. Resolves with
+ * the state to use and whether a new certificate was issued. Extra server
+ * instances pass their own `key` so each keeps a separate certificate.
+ */
+export async function ensureCertificates(
+  now = Date.now(), key = CERT_KEY,
+): Promise<{ state: CertState; changed: boolean }> {
+  let state: CertState | undefined;
+  try {
+    state = await getSetting<CertState>(key);
+  } catch (_) {}
+
+  if (state && msUntilRotation(state, now) > 0 && state.current.notAfter > now) {
+    if (state.previous && state.previous.notAfter <= now) {
+      state = { current: state.current };
+      await putSetting(key, state);
+    }
+    return { state, changed: false };
+  }
+
+  const current = await generateCertificate(now);
+  // Only keep the old certificate around while it is still usable
+  const previous = state && state.current.notAfter > now ? state.current : undefined;
+  const next: CertState = previous ? { current, previous } : { current };
+  await putSetting(key, next);
+  return { state: next, changed: true };
+}
@@ -0,0 +1,132 @@
+import { getSetting, putSetting } from './store';
+import { QLOG_DIR } from './qlog';
+import { NATIVE_HANDLER, getHandler } from './handlers';
+
+/** User-editable server options, persisted in isolated storage. */
+export interface ServerConfig {
+  bindAddress: string;
+  port: number;
+  /** TCP companion (HTTP/1.1 + WebSocket) port; 0 turns it off. */
+  tcpPort: number;
+  /** Idle timeout in seconds. */
+  idleTimeout: number;
+  maxConnections: number;
+  alpn: string[];
+  /** How long Stop waits for connections to drain, in seconds. */
+  drainTimeout: number;
+  /** Write a qlog trace for every connection. */
+  qlog: boolean;
+  /** Stream/datagram handler id; anything but echo runs in JavaScript. */
+  handler: string;
+}
+
+export const DEFAULT_CONFIG: ServerConfig = {
+  bindAddress: '0.0.0.0',
+  port: 4433,
+  tcpPort: 8080,
+  idleTimeout: 30,
+  maxConnections: 100,
+  alpn: ['h3', 'hq-interop'],
+  drainTimeout: 10,
+  qlog: false,
+  handler: NATIVE_HANDLER,
+};
+
+const CONFIG_KEY = 'server-config';
+
+const IPV4 = /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+
+/** Loose IPv6 check; the server does the authoritative parse. */
+const IPV6 = /^[0-9a-f:]+(%\w+)?$/i;
+
+/** Returns a list of human-readable problems, empty when the config is valid. */
+export function validateConfig(c: ServerConfig): string[] {
+  const problems: string[] = [];
+  if (!IPV4.test(c.bindAddress) && !(c.bindAddress.includes(':') && IPV6.test(c.bindAddress))) {
+    problems.push('bind address must be an IPv4 or IPv6 literal');
+  }
+  if (!Number.isInteger(c.port) || c.port < 1 || c.port > 65535) {
+    problems.push('port must be 1–65535');
+  }
+  if (!Number.isInteger(c.tcpPort) || c.tcpPort < 0 || c.tcpPort > 65535) {
+    problems.push('tcp port must be 0–65535 (0 turns it off)');
+  }
+  if (!Number.isInteger(c.idleTimeout) || c.idleTimeout < 1 || c.idleTimeout > 3600) {
+    problems.push('idle timeout must be 1–3600 seconds');
+  }
+  if (!Number.isInteger(c.maxConnections) || c.maxConnections < 1 || c.maxConnections > 10000) {
+    problems.push('max connections must be 1–10000');
+  }
+  if (!Number.isInteger(c.drainTimeout) || c.drainTimeout < 0 || c.drainTimeout > 600) {
+    problems.push('drain timeout must be 0–600 seconds');
+  }
+  if (c.alpn.length === 0) {
+    problems.push('at least one ALPN is required');
+  }
+  // ALPN protocol IDs are length-prefixed with one byte on the wire
+  if (c.alpn.some(p => p.length > 255 || !/^[\x21-\x7e]+$/.test(p))) {
+    problems.push('ALPN entries must be printable ASCII, at most 255 characters');
+  }
+  return problems;
+}
+
+/**
+ * Merge a partial config from outside the UI (the admin API) onto `base`.
+ * Unknown keys and values of the wrong type are problems, as are whatever
+ * validateConfig finds in the result.
+ */
+export function patchConfig(base: ServerConfig, patch: Record<string, unknown>): { config: ServerConfig; problems: string[] } {
+  const config: Record<string, unknown> = { ...base };
+  const problems: string[] = [];
+  for (const [key, value] of Object.entries(patch)) {
+    const expected = DEFAULT_CONFIG[key as keyof ServerConfig];
+    if (expected === undefined) {
+      problems.push('unknown setting: ' + key);
+    } else if (Array.isArray(expected)
+      ? !Array.isArray(value) || value.some(v => typeof v !== 'string')
+      : typeof value !== typeof expected) {
+      problems.push(key + ' must be ' + (Array.isArray(expected) ? 'an array of strings' : 'a ' + typeof expected));
+    } else {
+      config[key] = value;
+    }
+  }
+  const merged = config as unknown as ServerConfig;
+  if (problems.length === 0) problems.push(...validateConfig(merged));
+  if (!getHandler(merged.handler)) problems.push('unknown handler: ' + merged.handler);
+  return { config: merged, problems };
+}
+
+export async function loadConfig(): Promise<ServerConfig> {
+  try {
+    const saved = await getSetting<Partial<ServerConfig>>(CONFIG_KEY);
+    const config = { ...DEFAULT_CONFIG, ...saved };
+    return validateConfig(config).length === 0 ? config : { ...DEFAULT_CONFIG };
+  } catch (_) {
+    return { ...DEFAULT_CONFIG };
+  }
+}
+
+export function saveConfig(config: ServerConfig): Promise<void> {
+  return putSetting(CONFIG_KEY, config);
+}
+
+/** Command line handed to the Emscripten module as `Module.arguments`. */
+export function toModuleArgs(c: ServerConfig): string[] {
+  const args = [
+    '--bind', c.bindAddress,
+    '--port', String(c.port),
+    '--idle-timeout', String(c.idleTimeout * 1000),
+    '--max-connections', String(c.maxConnections),
+    '--alpn', c.alpn.join(','),
+  ];
+  if (c.qlog) args.push('--qlog-dir', QLOG_DIR);
+  if (c.handler !== NATIVE_HANDLER) {
+    args.push('--handler', getHandler(c.handler)?.protocol === 'http3' ? 'http3' : 'js');
+  }
+  return args;
+}
+
+/** `address:port`, bracketing IPv6 literals. */
+export function formatEndpoint(address: string, port: number): string {
+  return (address.includes(':') ? '[' + address + ']' : address) + ':' + port;
+}
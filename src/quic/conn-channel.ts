@@ -0,0 +1,40 @@
+/**
+ * BroadcastChannel protocol between the server tab and the per-connection
+ * views opened at `quic.html?conn=N`.
+ *
+ * The server tab owns all state. A view announces itself with `hello` and
+ * gets back a snapshot plus the connection's log backlog; after that it
+ * follows live `conn` and `log` messages for its connection number.
+ */
+
+export const CONN_CHANNEL = 'socket-iwa-connections';
+
+export interface ConnectionSnapshot {
+  /** Per-session sequence number, as used in `?conn=N`. */
+  n: number;
+  cid: string;
+  peer: string;
+  alpn: string;
+  state: 'open' | 'closed';
+  openedAt: number;
+  closedAt?: number;
+  streams: number;
+  bytesIn: number;
+  bytesOut: number;
+  rttMs: number;
+  code?: number;
+  reason?: string;
+}
+
+export interface ConnLogLine {
+  ts: string;
+  msg: string;
+  cls: string;
+}
+
+export type ConnChannelMessage =
+  | { type: 'hello'; n: number }
+  | { type: 'conn'; conn: ConnectionSnapshot }
+  | { type: 'backlog'; n: number; lines: ConnLogLine[] }
+  | { type: 'log'; n: number; line: ConnLogLine }
+  | { type: 'unknown'; n: number };
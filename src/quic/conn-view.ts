@@ -0,0 +1,104 @@
+import { CONN_CHANNEL, ConnChannelMessage, ConnectionSnapshot, ConnLogLine } from './conn-channel';
+import { formatBytes, formatDuration } from './format';
+
+/**
+ * Render the dedicated view for connection #n. All data comes from the
+ * server tab over the connection BroadcastChannel; this page never starts
+ * a server of its own.
+ */
+export function mountConnectionView(n: number) {
+  const $ = (id: string) => document.getElementById(id)!;
+  const view = $('conn-view');
+  const statusEl = $('conn-status');
+  const statusTextEl = $('conn-status-text');
+  const closedEl = $('conn-closed');
+  const logEl = $('conn-log');
+  const logCountEl = $('conn-log-count');
+
+  document.body.classList.add('conn-mode');
+  view.hidden = false;
+  document.title = 'Connection #' + n + ' — Socket.IWA';
+  document.querySelector('.quic-header h1')!.textContent = 'Connection #' + n;
+  $('conn-n').textContent = String(n);
+
+  let conn: ConnectionSnapshot | null = null;
+  // The server tab has no such connection; its broadcasts still reach us if one appears
+  let unknown = false;
+  let lineCount = 0;
+
+  function setStatus(text: string, cls: string) {
+    statusTextEl.textContent = text;
+    statusEl.className = 'status-pill ' + cls;
+  }
+
+  function appendLine(line: ConnLogLine) {
+    const el = document.createElement('div');
+    el.className = 'log-line ' + line.cls;
+
+    const tsSpan = document.createElement('span');
+    tsSpan.className = 'log-ts';
+    tsSpan.textContent = line.ts;
+    el.appendChild(tsSpan);
+    el.appendChild(document.createTextNode(line.msg));
+
+    logEl.appendChild(el);
+    logEl.scrollTop = logEl.scrollHeight;
+    lineCount++;
+    logCountEl.textContent = lineCount + ' line' + (lineCount !== 1 ? 's' : '');
+  }
+
+  function render() {
+    if (!conn) return;
+    $('conn-peer').textContent = conn.peer || '—';
+    $('conn-alpn').textContent = conn.alpn || '—';
+    $('conn-cid').textContent = conn.cid;
+    $('conn-streams').textContent = String(conn.streams);
+    $('conn-bytes-in').textContent = formatBytes(conn.bytesIn);
+    $('conn-bytes-out').textContent = formatBytes(conn.bytesOut);
+    $('conn-rtt').textContent = conn.rttMs ? conn.rttMs.toFixed(1) + ' ms' : '—';
+    const end = conn.closedAt ?? Date.now();
+    $('conn-duration').textContent = formatDuration(end - conn.openedAt);
+
+    if (conn.state === 'closed') {
+      setStatus('closed', 'status-idle');
+      closedEl.classList.add('visible');
+      closedEl.textContent = 'Connection closed' +
+        (conn.code ? ' with error 0x' + conn.code.toString(16) : '') +
+        (conn.reason ? ' — ' + conn.reason : '');
+    } else {
+      setStatus('open — ' + conn.peer, 'status-running');
+    }
+  }
+
+  const channel = new BroadcastChannel(CONN_CHANNEL);
+  channel.onmessage = (e: MessageEvent<ConnChannelMessage>) => {
+    const msg = e.data;
+    if (msg.type === 'conn' && msg.conn.n === n) {
+      conn = msg.conn;
+      render();
+    } else if (msg.type === 'backlog' && msg.n === n) {
+      while (logEl.firstChild) logEl.removeChild(logEl.firstChild);
+      lineCount = 0;
+      msg.lines.forEach(appendLine);
+    } else if (msg.type === 'log' && msg.n === n) {
+      appendLine(msg.line);
+    } else if (msg.type === 'unknown' && msg.n === n) {
+      unknown = true;
+      setStatus('unknown connection', 'status-error');
+    }
+  };
+
+  const hello: ConnChannelMessage = { type: 'hello', n };
+  channel.postMessage(hello);
+
+  // Keep the duration ticking while open; retry hello until the server answers
+  setInterval(() => {
+    if (!conn) {
+      if (!unknown) channel.postMessage(hello);
+    } else if (conn.state === 'open') {
+      render();
+    }
+  }, 1000);
+
+  setStatus('waiting for server tab...', 'status-loading');
+}
@@ -0,0 +1,268 @@
+/**
+ * Structured events from the wasm server.
+ *
+ * The C side reports lifecycle changes by calling `Module.onServerEvent()`
+ * with one JSON object per event (via EM_ASM), instead of the UI having to
+ * scrape `printErr` text. The log stays human-readable; these events are
+ * the source of truth for the badge, status pill and connection tracking.
+ *
+ * Builds that predate the events only log. Until a module shows it emits
+ * them (an exported `_quic_server_event_version`, or a first event),
+ * LogEventParser turns those log lines into the same events.
+ */
+
+export interface ListeningEvent {
+  type: 'listening';
+  address: string;
+  port: number;
+}
+
+/** Sent once a drain requested by `_quic_server_drain()` has finished. */
+export interface StoppedEvent {
+  type: 'stopped';
+}
+
+export interface ConnectionOpenedEvent {
+  type: 'connection-opened';
+  cid: string;
+  /** Peer as `address:port` (`[address]:port` for IPv6). */
+  peer: string;
+}
+
+export interface HandshakeCompleteEvent {
+  type: 'handshake-complete';
+  cid: string;
+  peer: string;
+  alpn: string;
+}
+
+export interface ConnectionClosedEvent {
+  type: 'connection-closed';
+  cid: string;
+  peer: string;
+  alpn: string;
+  /** QUIC transport/application error code, 0 for a clean close. */
+  code: number;
+  reason: string;
+}
+
+export interface ConnectionStatsEvent {
+  type: 'connection-stats';
+  cid: string;
+  /** Currently open streams. */
+  streams: number;
+  bytesIn: number;
+  bytesOut: number;
+  /** Smoothed RTT in milliseconds. */
+  rttMs: number;
+}
+
+/** A connection's qlog file has been closed and can be read from the FS. */
+export interface QlogWrittenEvent {
+  type: 'qlog-written';
+  cid: string;
+  path: string;
+}
+
+export interface ConnectionMetrics {
+  cid: string;
+  /** Smoothed RTT in milliseconds. */
+  srttMs: number;
+  /** Congestion window in bytes. */
+  cwnd: number;
+  bytesInFlight: number;
+  lost: number;
+  retransmitted: number;
+  streams: number;
+}
+
+/**
+ * Periodic transport counters. Totals are cumulative since the server
+ * started; rates are derived on the JS side.
+ */
+export interface MetricsEvent {
+  type: 'metrics';
+  packetsIn: number;
+  packetsOut: number;
+  bytesIn: number;
+  bytesOut: number;
+  lost: number;
+  retransmitted: number;
+  connections: ConnectionMetrics[];
+}
+
+export interface ServerErrorEvent {
+  type: 'error';
+  message: string;
+  /** Set when the error belongs to a single connection. */
+  cid?: string;
+  /** A fatal error means the server is no longer running. */
+  fatal: boolean;
+}
+
+export type ServerEvent =
+  | ListeningEvent
+  | StoppedEvent
+  | ConnectionOpenedEvent
+  | HandshakeCompleteEvent
+  | ConnectionClosedEvent
+  | ConnectionStatsEvent
+  | MetricsEvent
+  | QlogWrittenEvent
+  | ServerErrorEvent;
+
+export type ServerEventType = ServerEvent['type'];
+export type ServerEventOf<T extends ServerEventType> = Extract<ServerEvent, { type: T }>;
+
+const str = (v: unknown) => (typeof v === 'string' ? v : '');
+const num = (v: unknown) => (typeof v === 'number' && isFinite(v) ? v : 0);
+
+/**
+ * Normalize one raw event from the module. Unknown event types return null
+ * so a newer wasm build can't break an older UI.
+ */
+export function parseServerEvent(raw: unknown): ServerEvent | null {
+  let o: any = raw;
+  if (typeof raw === 'string') {
+    try {
+      o = JSON.parse(raw);
+    } catch (_) {
+      return null;
+    }
+  }
+  if (!o || typeof o !== 'object') return null;
+
+  switch (o.type) {
+    case 'listening':
+      return { type: 'listening', address: str(o.address), port: num(o.port) };
+    case 'stopped':
+      return { type: 'stopped' };
+    case 'connection-opened':
+      return { type: 'connection-opened', cid: str(o.cid), peer: str(o.peer) };
+    case 'handshake-complete':
+      return { type: 'handshake-complete', cid: str(o.cid), peer: str(o.peer), alpn: str(o.alpn) };
+    case 'connection-closed':
+      return {
+        type: 'connection-closed',
+        cid: str(o.cid),
+        peer: str(o.peer),
+        alpn: str(o.alpn),
+        code: num(o.code),
+        reason: str(o.reason),
+      };
+    case 'connection-stats':
+      return {
+        type: 'connection-stats',
+        cid: str(o.cid),
+        streams: num(o.streams),
+        bytesIn: num(o.bytesIn),
+        bytesOut: num(o.bytesOut),
+        rttMs: num(o.rttMs),
+      };
+    case 'qlog-written':
+      return { type: 'qlog-written', cid: str(o.cid), path: str(o.path) };
+    case 'metrics':
+      return {
+        type: 'metrics',
+        packetsIn: num(o.packetsIn),
+        packetsOut: num(o.packetsOut),
+        bytesIn: num(o.bytesIn),
+        bytesOut: num(o.bytesOut),
+        lost: num(o.lost),
+        retransmitted: num(o.retransmitted),
+        connections: (Array.isArray(o.connections) ? o.connections : []).map((c: any) => ({
+          cid: str(c?.cid),
+          srttMs: num(c?.srttMs),
+          cwnd: num(c?.cwnd),
+          bytesInFlight: num(c?.bytesInFlight),
+          lost: num(c?.lost),
+          retransmitted: num(c?.retransmitted),
+          streams: num(c?.streams),
+        })),
+      };
+    case 'error':
+      return {
+        type: 'error',
+        message: str(o.message),
+        cid: typeof o.cid === 'string' ? o.cid : undefined,
+        fatal: o.fatal === true,
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Fallback for modules that only log. The lines carry no connection IDs, so
+ * connections get synthetic ones and a close settles the oldest still open.
+ */
+export class LogEventParser {
+  private open: string[] = [];
+  /** Opened connections whose handshake line hasn't been seen yet, oldest first. */
+  private handshaking: string[] = [];
+  private seq = 0;
+
+  /** `address`/`port` are what the module was started with; the log may omit them. */
+  constructor(private address: string, private port: number) {}
+
+  parse(text: string): ServerEvent | null {
+    if (/^FATAL:/.test(text)) {
+      return { type: 'error', message: text.replace(/^FATAL:\s*/, ''), fatal: true };
+    }
+    // Only this line opens a connection; the handshake lines follow it for the same one
+    if (/new QUIC connection/i.test(text)) {
+      const cid = 'log-' + ++this.seq;
+      this.open.push(cid);
+      this.handshaking.push(cid);
+      return { type: 'connection-opened', cid, peer: '' };
+    }
+    if (/handshake completed|connection established/i.test(text)) {
+      const cid = this.handshaking.shift();
+      if (!cid) return null;
+      return { type: 'handshake-complete', cid, peer: '', alpn: '' };
+    }
+    if (/connection closed|connection timeout|draining/i.test(text)) {
+      const cid = this.open.shift();
+      if (!cid) return null;
+      this.handshaking = this.handshaking.filter(c => c !== cid);
+      return { type: 'connection-closed', cid, peer: '', alpn: '', code: 0, reason: '' };
+    }
+    if (/Listening|Waiting for QUIC/.test(text)) {
+      const m = /(\[[^\]]+\]|[\d.]+):(\d+)/.exec(text);
+      return m
+        ? { type: 'listening', address: m[1].replace(/^\[|\]$/g, ''), port: Number(m[2]) }
+        : { type: 'listening', address: this.address, port: this.port };
+    }
+    return null;
+  }
+}
+
+type Listener<T extends ServerEventType> = (event: ServerEventOf<T>) => void;
+
+/** Minimal typed pub/sub for server events. */
+export class ServerEventBus {
+  private listeners = new Map<ServerEventType, Set<Listener<any>>>();
+
+  /** Subscribe to one event type. Returns an unsubscribe function. */
+  on<T extends ServerEventType>(type: T, fn: Listener<T>): () => void {
+    let set = this.listeners.get(type);
+    if (!set) {
+      set = new Set();
+      this.listeners.set(type, set);
+    }
+    set.add(fn);
+    return () => set!.delete(fn);
+  }
+
+  emit(event: ServerEvent) {
+    const set = this.listeners.get(event.type);
+    if (!set) return;
+    for (const fn of set) {
+      try {
+        fn(event);
+      } catch (err) {
+        console.error('server event listener failed:', err);
+      }
+    }
+  }
+}
@@ -0,0 +1,46 @@
+/** Trigger a browser download of `blob` as `name`. */
+export function downloadBlob(name: string, blob: Blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Filesystem-safe timestamp for export file names. */
+export function fileTimestamp(d = new Date()): string {
+  return d.toISOString().replace(/[:.]/g, '-').replace('Z', '');
+}
+
+/**
+ * Save text through the File System Access API save dialog, falling back to
+ * a plain download where the picker isn't available. Resolves false if the
+ * user cancelled.
+ */
+export async function saveTextFile(
+  suggestedName: string,
+  text: string,
+  type: { description: string; mime: string; ext: string },
+): Promise<boolean> {
+  const picker = (window as any).showSaveFilePicker;
+  if (typeof picker !== 'function') {
+    downloadBlob(suggestedName, new Blob([text], { type: type.mime }));
+    return true;
+  }
+  try {
+    const handle = await picker({
+      suggestedName,
+      types: [{ description: type.description, accept: { [type.mime]: [type.ext] } }],
+    });
+    const writable = await handle.createWritable();
+    await writable.write(text);
+    await writable.close();
+    return true;
+  } catch (err) {
+    if ((err as DOMException).name === 'AbortError') return false;
+    throw err;
+  }
+}
@@ -0,0 +1,21 @@
+export function formatBytes(n: number): string {
+  if (n < 1024) return Math.round(n) + ' B';
+  if (n < 1024 * 1024) return (n / 1024).toFixed(1) + ' KiB';
+  if (n < 1024 * 1024 * 1024) return (n / 1024 / 1024).toFixed(1) + ' MiB';
+  return (n / 1024 / 1024 / 1024).toFixed(2) + ' GiB';
+}
+
+export function formatDuration(ms: number): string {
+  const s = Math.floor(ms / 1000);
+  if (s < 60) return s + 's';
+  const m = Math.floor(s / 60);
+  if (m < 60) return m + 'm ' + (s % 60) + 's';
+  return Math.floor(m / 60) + 'h ' + (m % 60) + 'm';
+}
+
+/** Compact count with k/M suffix, for per-second rates. */
+export function formatCount(n: number): string {
+  if (n < 1000) return n.toFixed(n < 10 && n % 1 ? 1 : 0);
+  if (n < 1e6) return (n / 1e3).toFixed(1) + 'k';
+  return (n / 1e6).toFixed(2) + 'M';
+}
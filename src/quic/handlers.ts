@@ -0,0 +1,352 @@
+/**
+ * JavaScript stream and datagram handlers.
+ *
+ * Echo runs natively in the module. Any other handler starts the module with
+ * `--handler js`, which hands every stream and datagram to the page instead:
+ *   Module.onStreamOpen(cid, streamId, bidi)
+ *   Module.onStreamData(cid, streamId, data, fin)   `data` is a copy
+ *   Module.onStreamWritable(cid, streamId)         flow control opened again
+ *   Module.onStreamReset(cid, streamId, code)      peer reset its side
+ *   Module.onDatagram(cid, data)
+ * and responses go back through the QuicServer write/reset/datagram calls.
+ *
+ * Handlers with `protocol: 'http3'` start it with `--handler http3` instead:
+ * nghttp3 stays in C, and each request arrives once its headers are in as
+ *   Module.onHttpRequest(cid, streamId, method, path, authority, headers, fin)
+ * with `headers` as [name, value] pairs and `fin` set when no body follows.
+ * The response head goes out through `respond()`; stream writes then become
+ * the body.
+ */
+
+export const NATIVE_HANDLER = 'echo';
+
+export type TransportEvent =
+  | { type: 'stream-open'; cid: string; streamId: number; bidi: boolean }
+  | { type: 'stream-data'; cid: string; streamId: number; data: Uint8Array; fin: boolean; text?: boolean }
+  | { type: 'stream-writable'; cid: string; streamId: number }
+  | { type: 'stream-reset'; cid: string; streamId: number; code: number }
+  | { type: 'datagram'; cid: string; data: Uint8Array }
+  | {
+    type: 'http-request';
+    cid: string;
+    streamId: number;
+    method: string;
+    path: string;
+    authority: string;
+    headers: [string, string][];
+    fin: boolean;
+  };
+
+/** What the host needs from the server to answer peers. */
+export interface HandlerIo {
+  /**
+   * Returns bytes accepted (less than `data.length` under flow control), negative if the stream is gone.
+   * `text` is set when the handler wrote a string, for transports that tell text from binary.
+   */
+  writeStream(cid: string, streamId: number, data: Uint8Array, fin: boolean, text?: boolean): number;
+  resetStream(cid: string, streamId: number, code: number): void;
+  sendDatagram(cid: string, data: Uint8Array): boolean;
+  /** Submit an HTTP/3 response head; false if the stream is gone. */
+  respond(cid: string, streamId: number, status: number, headers: [string, string][]): boolean;
+}
+
+export interface ConnectionContext {
+  readonly cid: string;
+  readonly peer: string;
+  readonly alpn: string;
+  sendDatagram(data: Uint8Array | string): boolean;
+  log(msg: string): void;
+  /** Scratch space for the handler, dropped when the connection closes. */
+  readonly state: Map<string, unknown>;
+}
+
+export interface StreamContext {
+  readonly conn: ConnectionContext;
+  readonly id: number;
+  readonly bidi: boolean;
+  /** True once our side has sent FIN or reset. */
+  readonly ended: boolean;
+  /**
+   * Queue bytes for the peer. Returns false when some of them are buffered
+   * behind flow control; `onStreamWritable` fires once they have gone out.
+   * A string goes out as a text message where the transport has them.
+   */
+  write(data: Uint8Array | string, fin?: boolean): boolean;
+  end(): void;
+  reset(code?: number): void;
+  /** Scratch space for the handler, dropped when the stream finishes. */
+  readonly state: Map<string, unknown>;
+}
+
+export interface HttpRequest {
+  readonly stream: StreamContext;
+  readonly method: string;
+  /** `:path` as sent, query string included. */
+  readonly path: string;
+  readonly authority: string;
+  /** Lower-case header names. */
+  readonly headers: Map<string, string>;
+  /** Send the status and headers; the body follows via `stream.write()`. */
+  respond(status: number, headers?: Record<string, string>): void;
+}
+
+export interface Handler {
+  id: string;
+  label: string;
+  description: string;
+  /** 'raw' (default) gets bare streams; 'http3' gets requests via onRequest. */
+  protocol?: 'raw' | 'http3';
+  onRequest?(req: HttpRequest): void | Promise<void>;
+  onStreamOpen?(s: StreamContext): void;
+  /** `text` is set for data that arrived as a WebSocket text message; QUIC streams only carry bytes. */
+  onStreamData?(s: StreamContext, data: Uint8Array, fin: boolean, text: boolean): void | Promise<void>;
+  onStreamWritable?(s: StreamContext): void;
+  onStreamReset?(s: StreamContext, code: number): void;
+  onDatagram?(c: ConnectionContext, data: Uint8Array): void | Promise<void>;
+  onConnectionClose?(c: ConnectionContext): void;
+}
+
+const registry = new Map<string, Handler>();
+
+export function registerHandler(h: Handler) {
+  if (!/^[\w-]+$/.test(h.id)) throw new Error('invalid handler id: ' + h.id);
+  registry.set(h.id, h);
+}
+
+export function getHandler(id: string): Handler | undefined {
+  return registry.get(id);
+}
+
+export function listHandlers(): Handler[] {
+  return [...registry.values()];
+}
+
+/** Application error code used when a handler throws. */
+export const HANDLER_ERROR_CODE = 0x101;
+
+const encoder = new TextEncoder();
+
+function toBytes(data: Uint8Array | string): Uint8Array {
+  return typeof data === 'string' ? encoder.encode(data) : data;
+}
+
+interface Conn {
+  ctx: ConnectionContext & { alpn: string };
+  handler: Handler;
+  streams: Map<number, Stream>;
+}
+
+interface Chunk {
+  bytes: Uint8Array;
+  text: boolean;
+}
+
+interface Stream {
+  ctx: StreamContext;
+  pending: Chunk[];
+  pendingFin: boolean;
+  ended: boolean;
+  peerDone: boolean;
+}
+
+/**
+ * Routes transport callbacks to the selected handler. Each connection keeps
+ * the handler that was selected when it opened, so switching modes at
+ * runtime only affects new connections.
+ */
+export class HandlerHost {
+  handler: Handler | undefined;
+  /** Handler the transport runs itself; its connections never reach JS. */
+  nativeHandler: string | null = NATIVE_HANDLER;
+  private conns = new Map<string, Conn>();
+
+  constructor(
+    private io: HandlerIo,
+    private logger: (msg: string, cls: string, cid: string) => void,
+  ) {}
+
+  connectionOpened(cid: string, peer: string) {
+    const handler = this.handler;
+    if (!handler || handler.id === this.nativeHandler || this.conns.has(cid)) return;
+    const ctx = {
+      cid,
+      peer,
+      alpn: '',
+      sendDatagram: (data: Uint8Array | string) => this.io.sendDatagram(cid, toBytes(data)),
+      log: (msg: string) => this.logger(handler.id + ': ' + msg, 'log-dim', cid),
+      state: new Map<string, unknown>(),
+    };
+    this.conns.set(cid, { ctx, handler, streams: new Map() });
+  }
+
+  handshakeComplete(cid: string, alpn: string) {
+    const conn = this.conns.get(cid);
+    if (conn) conn.ctx.alpn = alpn;
+  }
+
+  connectionClosed(cid: string) {
+    const conn = this.conns.get(cid);
+    if (!conn) return;
+    this.conns.delete(cid);
+    // Stops writers such as chargen that are still pumping
+    for (const s of conn.streams.values()) s.ended = s.peerDone = true;
+    this.call(conn, null, () => conn.handler.onConnectionClose?.(conn.ctx));
+  }
+
+  /** Forget every connection, e.g. after the module is torn down. */
+  reset() {
+    for (const cid of [...this.conns.keys()]) this.connectionClosed(cid);
+  }
+
+  dispatch(e: TransportEvent) {
+    const conn = this.conns.get(e.cid);
+    if (!conn) return;
+    const h = conn.handler;
+
+    if (e.type === 'datagram') {
+      this.call(conn, null, () => h.onDatagram?.(conn.ctx, e.data));
+      return;
+    }
+    if (e.type === 'http-request') {
+      const s = conn.streams.get(e.streamId) ?? this.openStream(conn, e.streamId, true);
+      if (e.fin) s.peerDone = true;
+      const req = this.request(conn, s, e);
+      this.call(conn, s, () => h.onRequest?.(req));
+      this.maybeForget(conn, s);
+      return;
+    }
+
+    let stream = conn.streams.get(e.streamId);
+    if (!stream) {
+      // Data can arrive without a separate open callback
+      stream = this.openStream(conn, e.streamId, e.type === 'stream-open' ? e.bidi : isBidi(e.streamId));
+      const s = stream;
+      this.call(conn, s, () => h.onStreamOpen?.(s.ctx));
+      if (e.type === 'stream-open') return;
+    }
+    const s = stream;
+
+    switch (e.type) {
+      case 'stream-data':
+        if (e.fin) s.peerDone = true;
+        this.call(conn, s, () => h.onStreamData?.(s.ctx, e.data, e.fin, e.text === true));
+        break;
+      case 'stream-writable':
+        if (this.flush(conn, s)) this.call(conn, s, () => h.onStreamWritable?.(s.ctx));
+        break;
+      case 'stream-reset':
+        s.peerDone = true;
+        this.call(conn, s, () => h.onStreamReset?.(s.ctx, e.code));
+        break;
+    }
+    this.maybeForget(conn, s);
+  }
+
+  private openStream(conn: Conn, id: number, bidi: boolean): Stream {
+    const host = this;
+    const stream: Stream = {
+      pending: [],
+      pendingFin: false,
+      // Our side of a peer-initiated unidirectional stream never exists
+      ended: !bidi,
+      peerDone: false,
+      ctx: {
+        conn: conn.ctx,
+        id,
+        bidi,
+        get ended() {
+          return stream.ended;
+        },
+        write(data, fin = false) {
+          if (stream.ended) throw new Error('stream ' + id + ' already ended');
+          const bytes = toBytes(data);
+          if (bytes.length) stream.pending.push({ bytes, text: typeof data === 'string' });
+          if (fin) {
+            stream.pendingFin = true;
+            stream.ended = true;
+          }
+          const flushed = host.flush(conn, stream);
+          host.maybeForget(conn, stream);
+          return flushed;
+        },
+        end() {
+          if (!stream.ended) this.write(new Uint8Array(0), true);
+        },
+        reset(code = 0) {
+          if (stream.ended && !stream.pending.length && !stream.pendingFin) return;
+          stream.pending = [];
+          stream.pendingFin = false;
+          stream.ended = true;
+          host.io.resetStream(conn.ctx.cid, id, code);
+          host.maybeForget(conn, stream);
+        },
+        state: new Map(),
+      },
+    };
+    conn.streams.set(id, stream);
+    return stream;
+  }
+
+  private request(conn: Conn, s: Stream, e: Extract<TransportEvent, { type: 'http-request' }>): HttpRequest {
+    let sent = false;
+    return {
+      stream: s.ctx,
+      method: e.method,
+      path: e.path,
+      authority: e.authority,
+      headers: new Map(e.headers.map(([k, v]) => [k.toLowerCase(), v])),
+      respond: (status, headers = {}) => {
+        if (sent) throw new Error('response already sent on stream ' + s.ctx.id);
+        sent = true;
+        const pairs = Object.entries(headers).map(([k, v]): [string, string] => [k.toLowerCase(), v]);
+        if (!this.io.respond(conn.ctx.cid, s.ctx.id, status, pairs)) s.ended = s.peerDone = true;
+      },
+    };
+  }
+
+  /** Push buffered bytes out; true once nothing is left waiting. */
+  private flush(conn: Conn, s: Stream): boolean {
+    while (s.pending.length || s.pendingFin) {
+      const chunk = s.pending[0] ?? { bytes: new Uint8Array(0), text: false };
+      const fin = s.pendingFin && s.pending.length <= 1;
+      const n = this.io.writeStream(conn.ctx.cid, s.ctx.id, chunk.bytes, fin, chunk.text);
+      if (n < 0) {
+        // Stream is gone on the C side; nothing more will be accepted
+        s.pending = [];
+        s.pendingFin = false;
+        s.ended = s.peerDone = true;
+        return true;
+      }
+      if (n < chunk.bytes.length) {
+        s.pending[0] = { bytes: chunk.bytes.subarray(n), text: chunk.text };
+        return false;
+      }
+      s.pending.shift();
+      if (fin) s.pendingFin = false;
+    }
+    return true;
+  }
+
+  private maybeForget(conn: Conn, s: Stream) {
+    if (s.peerDone && s.ended && !s.pending.length && !s.pendingFin) conn.streams.delete(s.ctx.id);
+  }
+
+  /** Run a handler callback; a throw or rejection resets the stream. */
+  private call(conn: Conn, s: Stream | null, fn: () => void | Promise<void>) {
+    const fail = (err: unknown) => {
+      this.logger(conn.handler.id + ' handler failed: ' + ((err as Error)?.message ?? err), 'log-err', conn.ctx.cid);
+      s?.ctx.reset(HANDLER_ERROR_CODE);
+    };
+    try {
+      const result = fn();
+      if (result instanceof Promise) result.catch(fail);
+    } catch (err) {
+      fail(err);
+    }
+  }
+}
+
+/** Bit 1 of a QUIC stream ID marks unidirectional streams (RFC 9000 §2.1). */
+function isBidi(streamId: number): boolean {
+  return (streamId & 0x2) === 0;
+}
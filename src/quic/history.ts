@@ -0,0 +1,161 @@
+import { getSetting, openDb, promisify, putSetting, withStore } from './store';
+
+/**
+ * Closed connections, kept in IndexedDB so they outlive the log and reloads.
+ *
+ * Records are only ever appended, so the autoincrement key runs in close
+ * order and pruning walks a cursor from the oldest end.
+ */
+
+export interface HistoryRecord {
+  id?: number;
+  cid: string;
+  peer: string;
+  alpn: string;
+  openedAt: number;
+  closedAt: number;
+  durationMs: number;
+  bytesIn: number;
+  bytesOut: number;
+  streams: number;
+  rttMs: number;
+  /** Transport or application close code; 0 for a clean close. */
+  code: number;
+  reason: string;
+}
+
+export interface HistoryRetention {
+  /** 0 keeps records regardless of age. */
+  days: number;
+  maxRecords: number;
+}
+
+export const DEFAULT_RETENTION: HistoryRetention = { days: 30, maxRecords: 10000 };
+
+const RETENTION_KEY = 'history-retention';
+
+export function validateRetention(r: HistoryRetention): string[] {
+  const problems: string[] = [];
+  if (!Number.isInteger(r.days) || r.days < 0 || r.days > 3650) problems.push('retention must be 0–3650 days');
+  if (!Number.isInteger(r.maxRecords) || r.maxRecords < 100 || r.maxRecords > 1_000_000) {
+    problems.push('max records must be 100–1000000');
+  }
+  return problems;
+}
+
+export async function loadRetention(): Promise<HistoryRetention> {
+  try {
+    const r = { ...DEFAULT_RETENTION, ...(await getSetting<HistoryRetention>(RETENTION_KEY)) };
+    return validateRetention(r).length === 0 ? r : { ...DEFAULT_RETENTION };
+  } catch (_) {
+    return { ...DEFAULT_RETENTION };
+  }
+}
+
+export function saveRetention(r: HistoryRetention): Promise<void> {
+  return putSetting(RETENTION_KEY, r);
+}
+
+export async function addHistory(rec: Omit<HistoryRecord, 'id'>): Promise<number> {
+  return (await withStore('history', 'readwrite', s => s.add(rec))) as number;
+}
+
+export function listHistory(): Promise<HistoryRecord[]> {
+  return withStore<HistoryRecord[]>('history', 'readonly', s => s.getAll());
+}
+
+export async function clearHistory(): Promise<void> {
+  await withStore('history', 'readwrite', s => s.clear());
+}
+
+/** Delete records past the age limit, then the oldest beyond maxRecords. Returns how many went. */
+export async function pruneHistory(r: HistoryRetention, now = Date.now()): Promise<number> {
+  const db = await openDb();
+  const store = db.transaction('history', 'readwrite').objectStore('history');
+  let excess = Math.max(0, (await promisify(store.count())) - r.maxRecords);
+  const cutoff = r.days ? now - r.days * 24 * 60 * 60 * 1000 : -Infinity;
+  let deleted = 0;
+  await new Promise<void>((resolve, reject) => {
+    const req = store.openCursor();
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve();
+      const rec = cursor.value as HistoryRecord;
+      if (excess <= 0 && rec.closedAt >= cutoff) return resolve();
+      cursor.delete();
+      excess--;
+      deleted++;
+      cursor.continue();
+    };
+  });
+  return deleted;
+}
+
+// ── Querying ──
+
+export type HistorySortKey = 'openedAt' | 'peer' | 'durationMs' | 'bytes' | 'code';
+
+export interface HistoryQuery {
+  /** Substring of the peer address. */
+  peer: string;
+  /** Opened at or after, ms since epoch. */
+  from?: number;
+  /** Opened before, ms since epoch. */
+  to?: number;
+  sort: HistorySortKey;
+  descending: boolean;
+}
+
+const sortValue: Record<HistorySortKey, (r: HistoryRecord) => number | string> = {
+  openedAt: r => r.openedAt,
+  peer: r => r.peer,
+  durationMs: r => r.durationMs,
+  bytes: r => r.bytesIn + r.bytesOut,
+  code: r => r.code,
+};
+
+export function queryHistory(records: HistoryRecord[], q: HistoryQuery): HistoryRecord[] {
+  const peer = q.peer.trim().toLowerCase();
+  const key = sortValue[q.sort];
+  return records
+    .filter(r => (!peer || r.peer.toLowerCase().includes(peer)) &&
+      (q.from === undefined || r.openedAt >= q.from) &&
+      (q.to === undefined || r.openedAt < q.to))
+    .sort((a, b) => {
+      const x = key(a);
+      const y = key(b);
+      const c = x < y ? -1 : x > y ? 1 : 0;
+      return q.descending ? -c : c;
+    });
+}
+
+// ── Export ──
+
+const CSV_COLUMNS: (keyof HistoryRecord)[] = [
+  'openedAt', 'closedAt', 'durationMs', 'peer', 'alpn', 'cid', 'bytesIn', 'bytesOut', 'streams', 'rttMs', 'code', 'reason',
+];
+
+function csvField(v: unknown): string {
+  let s = String(v ?? '');
+  // Close reasons come from the peer; keep spreadsheets from running them as formulas
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+/** RFC 4180 CSV with ISO timestamps. */
+export function historyToCsv(records: HistoryRecord[]): string {
+  const rows = records.map(r => CSV_COLUMNS.map(c => {
+    if (c === 'openedAt' || c === 'closedAt') return new Date(r[c]).toISOString();
+    return csvField(r[c]);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+export function historyToJson(records: HistoryRecord[]): string {
+  return JSON.stringify(records.map(({ id: _, ...r }) => ({
+    ...r,
+    openedAt: new Date(r.openedAt).toISOString(),
+    closedAt: new Date(r.closedAt).toISOString(),
+  })), null, 2);
+}
@@ -0,0 +1,219 @@
+/**
+ * Minimal HTTP/1.1 pieces shared by the servers built on TCPServerSocket:
+ * a buffered byte reader, request-head parsing and response writing.
+ * Request bodies must carry a content-length; chunked uploads are refused.
+ * The update check reuses the reader and head parsing as a plain client.
+ */
+
+export const MAX_HEAD = 16 * 1024;
+export const MAX_BODY = 1024 * 1024;
+
+export class HttpError extends Error {
+  constructor(readonly status: number, message: string) {
+    super(message);
+  }
+}
+
+const STATUS_TEXT: Record<number, string> = {
+  101: 'Switching Protocols',
+  200: 'OK',
+  202: 'Accepted',
+  204: 'No Content',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  409: 'Conflict',
+  413: 'Content Too Large',
+  415: 'Unsupported Media Type',
+  422: 'Unprocessable Content',
+  426: 'Upgrade Required',
+  431: 'Request Header Fields Too Large',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+};
+
+const CRLF2 = [13, 10, 13, 10];
+
+/** Buffered reader over a socket's byte stream. */
+export class ByteReader {
+  private buf = new Uint8Array(0);
+
+  constructor(private reader: ReadableStreamDefaultReader<Uint8Array>) {}
+
+  private async fill(): Promise<boolean> {
+    const { value, done } = await this.reader.read();
+    if (done) return false;
+    const next = new Uint8Array(this.buf.length + value.length);
+    next.set(this.buf);
+    next.set(value, this.buf.length);
+    this.buf = next;
+    return true;
+  }
+
+  /** The next request head, or null at a clean end of stream. */
+  async readHead(): Promise<string | null> {
+    let from = 0;
+    for (;;) {
+      for (let i = from; i + 3 < this.buf.length; i++) {
+        if (CRLF2.every((b, j) => this.buf[i + j] === b)) {
+          const head = new TextDecoder().decode(this.buf.subarray(0, i));
+          this.buf = this.buf.subarray(i + 4);
+          return head;
+        }
+      }
+      from = Math.max(0, this.buf.length - 3);
+      if (this.buf.length > MAX_HEAD) throw new HttpError(431, 'request head too large');
+      if (!(await this.fill())) {
+        if (this.buf.length) throw new HttpError(400, 'truncated request');
+        return null;
+      }
+    }
+  }
+
+  /** Exactly `n` bytes. */
+  async readBody(n: number): Promise<Uint8Array> {
+    while (this.buf.length < n) {
+      if (!(await this.fill())) throw new HttpError(400, 'truncated body');
+    }
+    const out = this.buf.slice(0, n);
+    this.buf = this.buf.subarray(n);
+    return out;
+  }
+
+  async skip(n: number) {
+    await this.readBody(n);
+  }
+
+  /** Stop reading and give the stream back, so its socket can close. */
+  async cancel() {
+    await this.reader.cancel().catch(() => {});
+    this.reader.releaseLock();
+  }
+
+  /** Buffered bytes first, then straight from the socket; null at end. */
+  async read(): Promise<Uint8Array | null> {
+    if (this.buf.length) {
+      const out = this.buf;
+      this.buf = new Uint8Array(0);
+      return out;
+    }
+    const { value, done } = await this.reader.read();
+    return done ? null : value;
+  }
+}
+
+/**
+ * Close a Direct Sockets TCPSocket whose streams are in use. close() rejects
+ * while they are locked, so the reader is cancelled and the writer released
+ * first. Safe to call more than once.
+ */
+export async function closeSocket(
+  socket: any,
+  reader: ByteReader | null,
+  writer: WritableStreamDefaultWriter<Uint8Array> | null,
+) {
+  await reader?.cancel();
+  writer?.releaseLock();
+  try {
+    await socket.close();
+  } catch (_) {
+    // Already closed, by us or the peer
+  }
+}
+
+export interface Request {
+  method: string;
+  target: string;
+  version: string;
+  headers: Map<string, string>;
+}
+
+function parseHeaders(lines: string[]): Map<string, string> {
+  const headers = new Map<string, string>();
+  for (const h of lines) {
+    const i = h.indexOf(':');
+    if (i <= 0) throw new HttpError(400, 'bad header');
+    const name = h.slice(0, i).trim().toLowerCase();
+    const value = h.slice(i + 1).trim();
+    headers.set(name, headers.has(name) ? headers.get(name) + ', ' + value : value);
+  }
+  return headers;
+}
+
+export function parseHead(head: string): Request {
+  const [line, ...rest] = head.split('\r\n');
+  const m = line.match(/^([A-Z]+) (\S+) (HTTP\/1\.[01])$/);
+  if (!m) throw new HttpError(400, 'bad request line');
+  return { method: m[1], target: m[2], version: m[3], headers: parseHeaders(rest) };
+}
+
+export interface Response {
+  status: number;
+  headers: Map<string, string>;
+}
+
+/** The head of a response, for the few places the app is an HTTP client. */
+export function parseResponseHead(head: string): Response {
+  const [line, ...rest] = head.split('\r\n');
+  const m = line.match(/^HTTP\/1\.[01] (\d{3})(?: .*)?$/);
+  if (!m) throw new HttpError(502, 'bad status line');
+  return { status: Number(m[1]), headers: parseHeaders(rest) };
+}
+
+/** The request's content-length, checked against MAX_BODY. */
+export function bodyLength(req: Request): number {
+  const length = Number(req.headers.get('content-length') ?? 0);
+  if (req.headers.has('transfer-encoding')) throw new HttpError(400, 'chunked request bodies are not supported');
+  if (!Number.isInteger(length) || length < 0) throw new HttpError(400, 'bad content-length');
+  if (length > MAX_BODY) throw new HttpError(413, 'request body too large');
+  return length;
+}
+
+export function hasToken(header: string | undefined, token: string): boolean {
+  return !!header && header.toLowerCase().split(',').some(t => t.trim() === token);
+}
+
+export function wantsKeepAlive(req: Request): boolean {
+  return req.version === 'HTTP/1.1'
+    ? !hasToken(req.headers.get('connection'), 'close')
+    : hasToken(req.headers.get('connection'), 'keep-alive');
+}
+
+function encodeHead(status: number, headers: Record<string, string>): Uint8Array {
+  const lines = ['HTTP/1.1 ' + status + ' ' + (STATUS_TEXT[status] ?? '')];
+  for (const [k, v] of Object.entries({ server: 'socket-iwa', ...headers })) lines.push(k + ': ' + v);
+  return new TextEncoder().encode(lines.join('\r\n') + '\r\n\r\n');
+}
+
+/**
+ * One complete response. `lengthOf` is what content-length describes, so a
+ * HEAD reply can pass a null body and still report the GET length.
+ */
+export function writeResponse(
+  writer: WritableStreamDefaultWriter<Uint8Array>, status: number, headers: Record<string, string>,
+  body: string | null, keepAlive: boolean, lengthOf: string | null = body,
+): Promise<void> {
+  const bytes = new TextEncoder().encode(body ?? '');
+  const all: Record<string, string> = { ...headers };
+  if (status !== 101 && status !== 204) {
+    all['content-length'] = String(new TextEncoder().encode(lengthOf ?? '').length);
+  }
+  if (status !== 101) all.connection = keepAlive ? 'keep-alive' : 'close';
+  const head = encodeHead(status, all);
+  const out = new Uint8Array(head.length + bytes.length);
+  out.set(head);
+  out.set(bytes, head.length);
+  return writer.write(out);
+}
+
+/**
+ * Head of a response whose body runs until the connection closes; the
+ * caller then writes the body straight to `writer`.
+ */
+export function writeStreamHead(
+  writer: WritableStreamDefaultWriter<Uint8Array>, status: number, headers: Record<string, string>,
+): Promise<void> {
+  return writer.write(encodeHead(status, { ...headers, connection: 'close' }));
+}
@@ -0,0 +1,264 @@
+import { getSetting, putSetting } from './store';
+import { Datagram, UdpShaper } from './socket-tap';
+
+/**
+ * Network impairment between Direct Sockets and the wasm server.
+ *
+ * Runs as the socket tap's shaper, so it sits where the network would:
+ * inbound datagrams are impaired before the server (and the capture) sees
+ * them, outbound ones after. Each direction has its own settings.
+ */
+
+export interface DirectionImpairment {
+  /** Independent random loss, percent. */
+  loss: number;
+  /** Chance per packet of starting a loss burst, percent. */
+  burstLoss: number;
+  /** Mean packets lost per burst. */
+  burstLength: number;
+  latencyMs: number;
+  jitterMs: number;
+  /** Packets held back behind later ones, percent. */
+  reorder: number;
+  /** Packets delivered twice, percent. */
+  duplicate: number;
+  /** 0 is unlimited. */
+  bandwidthKbps: number;
+  /** Largest IP packet let through; 0 is unlimited. */
+  mtu: number;
+}
+
+export interface ImpairmentProfile {
+  id: string;
+  name: string;
+  inbound: DirectionImpairment;
+  outbound: DirectionImpairment;
+}
+
+export const NO_IMPAIRMENT: DirectionImpairment = {
+  loss: 0,
+  burstLoss: 0,
+  burstLength: 0,
+  latencyMs: 0,
+  jitterMs: 0,
+  reorder: 0,
+  duplicate: 0,
+  bandwidthKbps: 0,
+  mtu: 0,
+};
+
+const both = (d: Partial<DirectionImpairment>, out: Partial<DirectionImpairment> = d) => ({
+  inbound: { ...NO_IMPAIRMENT, ...d },
+  outbound: { ...NO_IMPAIRMENT, ...out },
+});
+
+export const CLEAN_PROFILE = 'clean';
+export const CUSTOM_PROFILE = 'custom';
+
+export const PROFILES: ImpairmentProfile[] = [
+  { id: CLEAN_PROFILE, name: 'clean', ...both({}) },
+  { id: 'wifi', name: 'lossy wi-fi', ...both({ loss: 1, burstLoss: 0.5, burstLength: 4, latencyMs: 5, jitterMs: 8 }) },
+  { id: '4g', name: '4g', ...both(
+    { latencyMs: 25, jitterMs: 10, loss: 0.2, bandwidthKbps: 20000 },
+    { latencyMs: 25, jitterMs: 10, loss: 0.2, bandwidthKbps: 5000 },
+  ) },
+  { id: '3g', name: '3g', ...both(
+    { latencyMs: 100, jitterMs: 30, loss: 1, reorder: 1, bandwidthKbps: 1600 },
+    { latencyMs: 100, jitterMs: 30, loss: 1, reorder: 1, bandwidthKbps: 750 },
+  ) },
+  { id: 'satellite', name: 'satellite', ...both({ latencyMs: 300, jitterMs: 20, loss: 0.5, bandwidthKbps: 10000 }) },
+  { id: 'tunnel', name: 'small-mtu tunnel', ...both({ mtu: 1280, latencyMs: 10 }) },
+  { id: 'chaos', name: 'chaos', ...both({ loss: 5, burstLoss: 2, burstLength: 8, latencyMs: 40, jitterMs: 40, reorder: 5, duplicate: 2 }) },
+];
+
+export const IMPAIRMENT_FIELDS: { key: keyof DirectionImpairment; label: string; max: number }[] = [
+  { key: 'loss', label: 'loss %', max: 100 },
+  { key: 'burstLoss', label: 'burst start %', max: 100 },
+  { key: 'burstLength', label: 'burst length', max: 1000 },
+  { key: 'latencyMs', label: 'latency ms', max: 10000 },
+  { key: 'jitterMs', label: 'jitter ms', max: 10000 },
+  { key: 'reorder', label: 'reorder %', max: 100 },
+  { key: 'duplicate', label: 'duplicate %', max: 100 },
+  { key: 'bandwidthKbps', label: 'bandwidth kbps', max: 10_000_000 },
+  { key: 'mtu', label: 'mtu', max: 65535 },
+];
+
+export function validateImpairment(d: DirectionImpairment, direction: string): string[] {
+  const problems: string[] = [];
+  for (const { key, label, max } of IMPAIRMENT_FIELDS) {
+    const v = d[key];
+    if (!Number.isFinite(v) || v < 0 || v > max) problems.push(direction + ' ' + label + ' must be 0–' + max);
+  }
+  if (d.mtu && d.mtu < 68) problems.push(direction + ' mtu must be at least 68');
+  return problems;
+}
+
+export function isClean(d: DirectionImpairment): boolean {
+  return IMPAIRMENT_FIELDS.every(({ key }) => !d[key]);
+}
+
+/** Short description of one direction, e.g. "100±30ms 1% loss 750kbps". */
+export function describeDirection(d: DirectionImpairment): string {
+  const parts: string[] = [];
+  if (d.latencyMs || d.jitterMs) parts.push(d.latencyMs + (d.jitterMs ? '±' + d.jitterMs : '') + 'ms');
+  if (d.loss) parts.push(d.loss + '% loss');
+  if (d.burstLoss) parts.push(d.burstLoss + '% bursts of ' + d.burstLength);
+  if (d.reorder) parts.push(d.reorder + '% reorder');
+  if (d.duplicate) parts.push(d.duplicate + '% dup');
+  if (d.bandwidthKbps) parts.push(d.bandwidthKbps + 'kbps');
+  if (d.mtu) parts.push('mtu ' + d.mtu);
+  return parts.join(' ') || 'none';
+}
+
+// ── Persistence ──
+
+export interface ImpairmentSettings {
+  profile: string;
+  custom: ImpairmentProfile;
+}
+
+const IMPAIRMENT_KEY = 'impairment';
+
+export const DEFAULT_CUSTOM: ImpairmentProfile = { id: CUSTOM_PROFILE, name: 'custom', ...both({}) };
+
+export async function loadImpairment(): Promise<ImpairmentSettings> {
+  const fallback = { profile: CLEAN_PROFILE, custom: DEFAULT_CUSTOM };
+  try {
+    const saved = await getSetting<ImpairmentSettings>(IMPAIRMENT_KEY);
+    if (!saved) return fallback;
+    const custom: ImpairmentProfile = {
+      ...DEFAULT_CUSTOM,
+      inbound: { ...NO_IMPAIRMENT, ...saved.custom?.inbound },
+      outbound: { ...NO_IMPAIRMENT, ...saved.custom?.outbound },
+    };
+    const valid = validateImpairment(custom.inbound, 'in').length + validateImpairment(custom.outbound, 'out').length === 0;
+    return {
+      profile: saved.profile === CUSTOM_PROFILE || PROFILES.some(p => p.id === saved.profile) ? saved.profile : CLEAN_PROFILE,
+      custom: valid ? custom : DEFAULT_CUSTOM,
+    };
+  } catch (_) {
+    return fallback;
+  }
+}
+
+export function saveImpairment(s: ImpairmentSettings): Promise<void> {
+  return putSetting(IMPAIRMENT_KEY, s);
+}
+
+// ── Simulator ──
+
+export interface DirectionStats {
+  passed: number;
+  lost: number;
+  /** Dropped because the bandwidth queue was full. */
+  queueDrops: number;
+  mtuDrops: number;
+  reordered: number;
+  duplicated: number;
+}
+
+/** Packets are tail-dropped once the bandwidth queue is this far behind. */
+const MAX_QUEUE_MS = 250;
+
+const emptyStats = (): DirectionStats => ({ passed: 0, lost: 0, queueDrops: 0, mtuDrops: 0, reordered: 0, duplicated: 0 });
+
+class Direction {
+  stats = emptyStats();
+  private burstLeft = 0;
+  /** When the last packet finishes serializing at the bandwidth cap. */
+  private linkFreeAt = 0;
+  /** Delivery time of the last in-order packet, to keep jitter from reordering. */
+  private lastDelivery = 0;
+
+  constructor(public settings: DirectionImpairment) {}
+
+  handle(d: Datagram, forward: () => void, random = Math.random) {
+    const s = this.settings;
+    if (s.mtu && d.data.length + (d.remoteAddress.includes(':') ? 48 : 28) > s.mtu) {
+      this.stats.mtuDrops++;
+      return;
+    }
+    if (this.burstLeft > 0) {
+      this.burstLeft--;
+      this.stats.lost++;
+      return;
+    }
+    if (s.burstLoss && random() * 100 < s.burstLoss) {
+      // Geometric burst length with the configured mean
+      this.burstLeft = Math.max(0, Math.round(-Math.log(1 - random()) * Math.max(1, s.burstLength)) - 1);
+      this.stats.lost++;
+      return;
+    }
+    if (s.loss && random() * 100 < s.loss) {
+      this.stats.lost++;
+      return;
+    }
+
+    const now = performance.now();
+    let at = now;
+    if (s.bandwidthKbps) {
+      const start = Math.max(now, this.linkFreeAt);
+      if (start - now > MAX_QUEUE_MS) {
+        this.stats.queueDrops++;
+        return;
+      }
+      this.linkFreeAt = start + (d.data.length * 8) / s.bandwidthKbps;
+      at = this.linkFreeAt;
+    }
+    at += s.latencyMs + (s.jitterMs ? (random() * 2 - 1) * s.jitterMs : 0);
+
+    if (s.reorder && random() * 100 < s.reorder) {
+      // Held back past a few later packets
+      at += Math.max(s.jitterMs, 5) * 2 + 5;
+      this.stats.reordered++;
+    } else {
+      at = Math.max(at, this.lastDelivery);
+      this.lastDelivery = at;
+    }
+
+    this.stats.passed++;
+    this.deliver(forward, at - now);
+    if (s.duplicate && random() * 100 < s.duplicate) {
+      this.stats.duplicated++;
+      this.deliver(forward, at - now + 1);
+    }
+  }
+
+  private deliver(forward: () => void, delayMs: number) {
+    if (delayMs <= 0) forward();
+    else setTimeout(forward, delayMs);
+  }
+}
+
+export class Impairment implements UdpShaper {
+  private rx = new Direction(NO_IMPAIRMENT);
+  private tx = new Direction(NO_IMPAIRMENT);
+  profile: ImpairmentProfile = PROFILES[0];
+
+  get active(): boolean {
+    return !isClean(this.profile.inbound) || !isClean(this.profile.outbound);
+  }
+
+  get stats(): { inbound: DirectionStats; outbound: DirectionStats } {
+    return { inbound: this.rx.stats, outbound: this.tx.stats };
+  }
+
+  setProfile(profile: ImpairmentProfile) {
+    this.profile = profile;
+    this.rx.settings = profile.inbound;
+    this.tx.settings = profile.outbound;
+  }
+
+  resetStats() {
+    this.rx.stats = emptyStats();
+    this.tx.stats = emptyStats();
+  }
+
+  inbound(d: Datagram, forward: () => void) {
+    this.rx.handle(d, forward);
+  }
+
+  outbound(d: Datagram, forward: () => void) {
+    this.tx.handle(d, forward);
+  }
+}
@@ -0,0 +1,62 @@
+import { QuicServer, ServerState, StartOptions } from './server';
+import { ServerEvent } from './events';
+import { HandlerHost, getHandler } from './handlers';
+import { registerBuiltinHandlers } from './builtin-handlers';
+import { setUdpShaper } from './socket-tap';
+import { Impairment, ImpairmentProfile } from './impairment';
+
+/**
+ * One extra server instance (see instances.ts), alone in a classic worker so
+ * its `Module` global, wasm heap, UDP socket and pthreads are its own. The
+ * worker serves a single module lifetime: the page terminates it after stop
+ * and starts a new one for the next run.
+ *
+ * Only the built-in handlers exist here; the static origin needs the folder
+ * handle the page holds.
+ */
+
+export type WorkerCommand =
+  | { type: 'start'; opts: StartOptions; handler: string; impairment: ImpairmentProfile }
+  | { type: 'stop'; deadlineMs: number };
+
+export type WorkerMessage =
+  | { type: 'state'; state: ServerState; detail: string }
+  | { type: 'event'; event: ServerEvent }
+  | { type: 'print'; text: string; cls?: string };
+
+const post = (msg: WorkerMessage) => postMessage(msg);
+
+registerBuiltinHandlers();
+
+const server = new QuicServer({
+  print: text => post({ type: 'print', text }),
+  // stderr carries routine diagnostics too; only FATAL lines are errors, the page classifies the rest
+  printErr: text => post({ type: 'print', text, cls: /^FATAL:/.test(text) ? 'log-err' : undefined }),
+  onEvent: event => {
+    if (event.type === 'connection-opened') host.connectionOpened(event.cid, event.peer);
+    else if (event.type === 'handshake-complete') host.handshakeComplete(event.cid, event.alpn);
+    else if (event.type === 'connection-closed') host.connectionClosed(event.cid);
+    post({ type: 'event', event });
+  },
+  onTransport: event => host.dispatch(event),
+  onState: (state, detail) => {
+    if (state === 'stopped' || state === 'error') host.reset();
+    post({ type: 'state', state, detail });
+  },
+});
+
+const host = new HandlerHost(server, (msg, cls) => post({ type: 'print', text: msg, cls }));
+
+addEventListener('message', (e: MessageEvent<WorkerCommand>) => {
+  const cmd = e.data;
+  if (cmd.type === 'start') {
+    host.handler = getHandler(cmd.handler);
+    // Installed before the glue loads, so its UDPSocket is the shaped one
+    const impairment = new Impairment();
+    impairment.setProfile(cmd.impairment);
+    setUdpShaper(impairment.active ? impairment : null);
+    server.start(cmd.opts);
+  } else if (cmd.type === 'stop') {
+    server.stop(cmd.deadlineMs);
+  }
+});
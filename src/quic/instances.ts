@@ -0,0 +1,222 @@
+import { deleteSetting, getSetting, putSetting } from './store';
+import { DEFAULT_CONFIG, ServerConfig, formatEndpoint, toModuleArgs, validateConfig } from './config';
+import { ServerState, StartOptions } from './server';
+import { ensureCertificates, toPem } from './cert';
+import { CLEAN_PROFILE, PROFILES } from './impairment';
+import { BUILTIN_HANDLERS } from './builtin-handlers';
+import { LogEntry } from './log-console';
+import type { WorkerCommand, WorkerMessage } from './instance-worker';
+
+/**
+ * Extra server instances, each in its own worker (instance-worker.ts) with
+ * its own port, config, certificate and log, for running two setups side by
+ * side. The page's own server stays the primary: the access policy, packet
+ * capture, connection history, TCP companion and admin API only cover it.
+ */
+
+export interface InstanceDef {
+  id: string;
+  name: string;
+  /** tcpPort and qlog are ignored; instances run QUIC only. */
+  config: ServerConfig;
+  /** A built-in impairment profile id. */
+  impairment: string;
+}
+
+export const MAX_INSTANCES = 8;
+const INSTANCES_KEY = 'instances';
+const MAX_INSTANCE_LOG = 5000;
+/** How long past the drain deadline a worker gets before it's terminated. */
+const STOP_GRACE_MS = 2000;
+
+export function newInstanceDef(name: string, port: number): InstanceDef {
+  return {
+    id: crypto.randomUUID(),
+    name,
+    config: { ...DEFAULT_CONFIG, port, tcpPort: 0, qlog: false },
+    impairment: CLEAN_PROFILE,
+  };
+}
+
+/** `usedPorts` are the UDP ports of the primary and every other instance. */
+export function validateInstance(def: InstanceDef, usedPorts: number[]): string[] {
+  const problems = validateConfig(def.config);
+  if (!def.name.trim() || def.name.length > 32) problems.push('name must be 1–32 characters');
+  if (usedPorts.includes(def.config.port)) problems.push('port ' + def.config.port + ' is already in use');
+  if (!BUILTIN_HANDLERS.some(h => h.id === def.config.handler)) problems.push('instances run built-in handlers only');
+  if (!PROFILES.some(p => p.id === def.impairment)) problems.push('unknown impairment profile');
+  return problems;
+}
+
+export async function loadInstances(): Promise<InstanceDef[]> {
+  try {
+    const saved = (await getSetting<InstanceDef[]>(INSTANCES_KEY)) ?? [];
+    return saved
+      .map(d => ({ ...d, config: { ...DEFAULT_CONFIG, ...d.config } }))
+      .filter((d, i, all) => validateInstance(d, all.slice(0, i).map(o => o.config.port)).length === 0)
+      .slice(0, MAX_INSTANCES);
+  } catch (_) {
+    return [];
+  }
+}
+
+export function saveInstances(defs: InstanceDef[]): Promise<void> {
+  return putSetting(INSTANCES_KEY, defs);
+}
+
+const certKey = (id: string) => 'certificates-' + id;
+
+/** Forget an instance's certificate along with it. */
+export function deleteInstanceData(id: string): Promise<void> {
+  return deleteSetting(certKey(id));
+}
+
+export interface InstanceHooks {
+  log(instance: ServerInstance, msg: string, cls?: string): void;
+  /** State, connection count or certificate changed. */
+  onChange(instance: ServerInstance): void;
+}
+
+export type InstanceLogLine = Pick<LogEntry, 'time' | 'msg' | 'cls'>;
+
+export class ServerInstance {
+  state: ServerState = 'idle';
+  detail = 'idle';
+  /** Bound endpoint while running. */
+  endpoint = '';
+  certHash = '';
+  lines: InstanceLogLine[] = [];
+  private open = new Set<string>();
+  private worker: Worker | null = null;
+  private stopped: (() => void) | null = null;
+
+  constructor(public def: InstanceDef, private hooks: InstanceHooks) {}
+
+  get busy(): boolean {
+    return this.state === 'loading' || this.state === 'running' || this.state === 'draining';
+  }
+
+  get connections(): number {
+    return this.open.size;
+  }
+
+  async start() {
+    if (this.busy) throw new Error(this.def.name + ' is ' + this.state);
+    this.setState('loading', 'loading...');
+    let opts: StartOptions;
+    try {
+      const { state: cert } = await ensureCertificates(Date.now(), certKey(this.def.id));
+      this.certHash = cert.current.hash;
+      const args = toModuleArgs({ ...this.def.config, qlog: false });
+      args.push('--cert', '/certs/cert.pem', '--key', '/certs/key.pem');
+      opts = {
+        args,
+        files: {
+          '/certs/cert.pem': toPem('CERTIFICATE', cert.current.certDer),
+          '/certs/key.pem': toPem('PRIVATE KEY', cert.current.keyPkcs8),
+        },
+      };
+    } catch (err) {
+      this.log('Certificate generation failed: ' + (err as Error).message, 'log-err');
+      this.setState('error', 'no certificate');
+      return;
+    }
+
+    const worker = new Worker(new URL('./instance-worker.ts', import.meta.url));
+    this.worker = worker;
+    worker.addEventListener('message', (e: MessageEvent<WorkerMessage>) => {
+      if (this.worker === worker) this.onMessage(e.data);
+    });
+    worker.addEventListener('error', e => {
+      if (this.worker !== worker) return;
+      this.log('Worker failed: ' + (e.message || 'unknown error'), 'log-err');
+      this.terminate();
+      this.setState('error', 'worker failed');
+    });
+    const profile = PROFILES.find(p => p.id === this.def.impairment) ?? PROFILES[0];
+    this.post({ type: 'start', opts, handler: this.def.config.handler, impairment: profile });
+  }
+
+  /** Drain, then terminate the worker whether or not the drain finished. */
+  async stop() {
+    if (!this.worker) return;
+    if (this.state !== 'running') {
+      this.terminate();
+      this.setState('stopped', 'stopped');
+      return;
+    }
+    const deadlineMs = this.def.config.drainTimeout * 1000;
+    const settled = await new Promise<boolean>(resolve => {
+      const timer = setTimeout(() => resolve(false), deadlineMs + STOP_GRACE_MS);
+      this.stopped = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+      this.post({ type: 'stop', deadlineMs });
+    });
+    this.stopped = null;
+    this.terminate();
+    if (!settled) this.setState('stopped', 'stopped (forced)');
+  }
+
+  private post(cmd: WorkerCommand) {
+    this.worker?.postMessage(cmd);
+  }
+
+  private terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.stopped?.();
+    if (this.open.size) {
+      this.open.clear();
+      this.hooks.onChange(this);
+    }
+  }
+
+  private onMessage(msg: WorkerMessage) {
+    switch (msg.type) {
+      case 'print':
+        this.log(msg.text, msg.cls);
+        break;
+      case 'state':
+        // 'running' waits for the listening event, which knows the endpoint
+        if (msg.state !== 'running') this.setState(msg.state, msg.detail);
+        if (msg.state === 'stopped' || msg.state === 'error') {
+          this.stopped?.();
+          if (!this.stopped) this.terminate();
+        }
+        break;
+      case 'event': {
+        const e = msg.event;
+        if (e.type === 'listening') {
+          this.endpoint = formatEndpoint(e.address, e.port);
+          this.log('Listening on ' + this.endpoint, 'log-ok');
+          this.setState('running', 'running');
+        } else if (e.type === 'connection-opened') {
+          this.open.add(e.cid);
+          this.log('Connection opened from ' + e.peer + ' (cid ' + e.cid + ')', 'log-info');
+          this.hooks.onChange(this);
+        } else if (e.type === 'connection-closed') {
+          if (this.open.delete(e.cid)) this.hooks.onChange(this);
+          this.log('Connection ' + e.cid + ' closed' + (e.code ? ' (0x' + e.code.toString(16) + ')' : ''), 'log-info');
+        } else if (e.type === 'error') {
+          this.log(e.message, 'log-err');
+        }
+        break;
+      }
+    }
+  }
+
+  private log(msg: string, cls?: string) {
+    this.lines.push({ time: Date.now(), msg, cls: cls ?? 'log-info' });
+    if (this.lines.length > MAX_INSTANCE_LOG) this.lines.shift();
+    this.hooks.log(this, msg, cls);
+  }
+
+  private setState(state: ServerState, detail: string) {
+    this.state = state;
+    this.detail = detail;
+    if (state !== 'running') this.endpoint = '';
+    this.hooks.onChange(this);
+  }
+}
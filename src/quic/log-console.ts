@@ -0,0 +1,220 @@
+/**
+ * Virtualized log view over a fixed-size ring buffer.
+ *
+ * Only the rows inside the scroll viewport exist in the DOM, so a load test
+ * producing hundreds of thousands of lines costs a few dozen nodes. Once the
+ * buffer is full the oldest entries are dropped.
+ */
+
+export interface LogEntry {
+  seq: number;
+  /** Wall-clock time, ms since epoch. */
+  time: number;
+  /** Display timestamp (HH:MM:SS.mmm). */
+  ts: string;
+  msg: string;
+  cls: string;
+  /** Connection sequence number this line belongs to, if known. */
+  conn?: number;
+}
+
+export interface LogFilter {
+  levels: Set<string>;
+  text: string;
+  regex: boolean;
+  conn: number | null;
+}
+
+const OVERSCAN = 10;
+
+export class LogConsole {
+  private entries: (LogEntry | undefined)[];
+  private head = 0; // index of the oldest entry
+  private size = 0;
+  private nextSeq = 0;
+  private visible: LogEntry[] = [];
+  private filter: LogFilter = {
+    levels: new Set(['log-err', 'log-warn', 'log-ok', 'log-info', 'log-dim']),
+    text: '',
+    regex: false,
+    conn: null,
+  };
+  private matcher: ((msg: string) => boolean) | null = null;
+  private spacer: HTMLElement;
+  private window: HTMLElement;
+  private rowHeight = 0;
+  private hovered = false;
+  private follow = true;
+  private frame = 0;
+  private rowsDirty = false;
+
+  /** Called after every render with (visible, total) counts. */
+  onCount: ((shown: number, total: number) => void) | null = null;
+
+  constructor(private el: HTMLElement, readonly capacity = 50000) {
+    this.entries = new Array(capacity);
+    this.spacer = document.createElement('div');
+    this.spacer.className = 'log-spacer';
+    this.window = document.createElement('div');
+    this.window.className = 'log-window';
+    this.spacer.appendChild(this.window);
+    el.replaceChildren(this.spacer);
+
+    el.addEventListener('scroll', () => {
+      // Re-engage auto-scroll once the user is back at the bottom
+      this.follow = el.scrollTop + el.clientHeight >= el.scrollHeight - this.rowHeight;
+      this.schedule();
+    });
+    el.addEventListener('mouseenter', () => (this.hovered = true));
+    el.addEventListener('mouseleave', () => {
+      this.hovered = false;
+      this.schedule();
+    });
+  }
+
+  get total(): number {
+    return this.size;
+  }
+
+  append(e: Omit<LogEntry, 'seq'>): LogEntry {
+    const entry: LogEntry = { ...e, seq: this.nextSeq++ };
+    const idx = (this.head + this.size) % this.capacity;
+    this.entries[idx] = entry;
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.head = (this.head + 1) % this.capacity;
+    }
+    if (this.matches(entry)) this.visible.push(entry);
+    // rAF doesn't run in background tabs; don't let the view outgrow the ring
+    if (this.visible.length > this.capacity) this.trim();
+    this.rowsDirty = true;
+    this.schedule();
+    return entry;
+  }
+
+  clear() {
+    this.entries = new Array(this.capacity);
+    this.head = 0;
+    this.size = 0;
+    this.visible = [];
+    this.rowsDirty = true;
+    this.schedule();
+  }
+
+  setFilter(patch: Partial<LogFilter>) {
+    this.filter = { ...this.filter, ...patch };
+    this.matcher = null;
+    if (this.filter.text) {
+      if (this.filter.regex) {
+        // Throws on an invalid pattern; the caller shows the error
+        const re = new RegExp(this.filter.text, 'i');
+        this.matcher = msg => re.test(msg);
+      } else {
+        const needle = this.filter.text.toLowerCase();
+        this.matcher = msg => msg.toLowerCase().includes(needle);
+      }
+    }
+    this.visible = this.all().filter(e => this.matches(e));
+    this.follow = true;
+    this.rowsDirty = true;
+    this.schedule();
+  }
+
+  /** Entries passing the current filter, oldest first. */
+  filtered(): LogEntry[] {
+    this.trim();
+    return this.visible.slice();
+  }
+
+  /** Every buffered entry, oldest first. */
+  all(): LogEntry[] {
+    const out: LogEntry[] = [];
+    for (let i = 0; i < this.size; i++) out.push(this.entries[(this.head + i) % this.capacity]!);
+    return out;
+  }
+
+  private matches(e: LogEntry): boolean {
+    const f = this.filter;
+    if (!f.levels.has(e.cls)) return false;
+    if (f.conn !== null && e.conn !== f.conn) return false;
+    return !this.matcher || this.matcher(e.msg);
+  }
+
+  /** Drop filtered entries that have fallen out of the ring. */
+  private trim() {
+    if (this.size === 0) {
+      this.visible = [];
+      return;
+    }
+    const oldest = this.entries[this.head]!.seq;
+    let drop = 0;
+    while (drop < this.visible.length && this.visible[drop].seq < oldest) drop++;
+    if (drop) this.visible.splice(0, drop);
+  }
+
+  private schedule() {
+    if (!this.frame) this.frame = requestAnimationFrame(() => this.render());
+  }
+
+  private measure() {
+    const probe = document.createElement('div');
+    probe.className = 'log-line';
+    probe.textContent = 'M';
+    this.window.appendChild(probe);
+    this.rowHeight = probe.getBoundingClientRect().height || 20;
+    probe.remove();
+  }
+
+  private render() {
+    this.frame = 0;
+    if (this.el.clientHeight === 0) return; // hidden (e.g. connection view)
+    if (!this.rowHeight) this.measure();
+    this.trim();
+
+    const rows = this.visible;
+    this.spacer.style.height = rows.length * this.rowHeight + 'px';
+    if (this.rowsDirty && this.follow && !this.hovered) {
+      this.el.scrollTop = this.el.scrollHeight;
+    }
+    this.rowsDirty = false;
+
+    const first = Math.max(0, Math.floor(this.el.scrollTop / this.rowHeight) - OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((this.el.scrollTop + this.el.clientHeight) / this.rowHeight) + OVERSCAN);
+    this.window.style.transform = 'translateY(' + first * this.rowHeight + 'px)';
+
+    const nodes: HTMLElement[] = [];
+    for (let i = first; i < last; i++) nodes.push(renderRow(rows[i]));
+    this.window.replaceChildren(...nodes);
+    this.onCount?.(rows.length, this.size);
+  }
+}
+
+function renderRow(e: LogEntry): HTMLElement {
+  const line = document.createElement('div');
+  line.className = 'log-line ' + e.cls;
+  // Rows are fixed-height and clipped; the tooltip carries the full line
+  line.title = e.msg;
+
+  const tsSpan = document.createElement('span');
+  tsSpan.className = 'log-ts';
+  tsSpan.textContent = e.ts;
+  line.appendChild(tsSpan);
+  line.appendChild(document.createTextNode(e.msg));
+  return line;
+}
+
+export function toPlainText(entries: Pick<LogEntry, 'time' | 'msg'>[]): string {
+  return entries.map(e => new Date(e.time).toISOString() + ' ' + e.msg).join('\n') + '\n';
+}
+
+export function toNdjson(entries: LogEntry[]): string {
+  return entries
+    .map(e => JSON.stringify({
+      time: new Date(e.time).toISOString(),
+      level: e.cls.replace(/^log-/, ''),
+      conn: e.conn ?? null,
+      msg: e.msg,
+    }))
+    .join('\n') + '\n';
+}
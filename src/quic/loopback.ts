@@ -0,0 +1,243 @@
+import { percentile } from './metrics';
+
+/**
+ * WebTransport client that load-tests the local server with echo
+ * round-trips, so the app can check itself without a second page.
+ *
+ * Every payload starts with an 8-byte sequence number. Bidi echoes come back
+ * on the same stream; uni and datagram echoes arrive on server-initiated
+ * uni streams and datagrams, and are matched up by that number.
+ */
+
+export type LoadMode = 'bidi' | 'uni' | 'datagram';
+
+export interface LoadOptions {
+  url: string;
+  /** Base64 SHA-256 certificate hashes. */
+  hashes: string[];
+  mode: LoadMode;
+  payloadSize: number;
+  concurrency: number;
+  durationMs: number;
+}
+
+export interface LoadResult {
+  mode: LoadMode;
+  payloadSize: number;
+  concurrency: number;
+  durationMs: number;
+  ok: number;
+  errors: number;
+  /** First few distinct error messages. */
+  errorSamples: string[];
+  latencyMs: { mean: number; p50: number; p90: number; p99: number; max: number };
+  /** Echoed payload bytes per second, one direction. */
+  bytesPerSec: number;
+  opsPerSec: number;
+}
+
+export interface LoadProgress {
+  ok: number;
+  errors: number;
+  elapsedMs: number;
+}
+
+const HEADER = 8;
+/** An echo that hasn't arrived by then counts as lost. */
+const ECHO_TIMEOUT_MS = 2000;
+const MAX_ERROR_SAMPLES = 5;
+
+function fromBase64(b64: string): ArrayBuffer {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0)).buffer;
+}
+
+/** Local URL for a server bound to `bindAddress`. */
+export function loopbackUrl(bindAddress: string, port: number): string {
+  const host = bindAddress === '0.0.0.0' ? '127.0.0.1'
+    : bindAddress === '::' ? '[::1]'
+    : bindAddress.includes(':') ? '[' + bindAddress + ']'
+    : bindAddress;
+  return 'https://' + host + ':' + port + '/';
+}
+
+export function maxPayload(mode: LoadMode, wt?: { datagrams: { maxDatagramSize?: number } }): number {
+  if (mode === 'datagram') return wt?.datagrams.maxDatagramSize ?? 1200;
+  return 16 * 1024 * 1024;
+}
+
+async function readAll(readable: ReadableStream<Uint8Array>, expected: number): Promise<Uint8Array> {
+  const out = new Uint8Array(expected);
+  let got = 0;
+  const reader = readable.getReader();
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      if (got + value.length > expected) throw new Error('echo longer than payload');
+      out.set(value, got);
+      got += value.length;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+  if (got !== expected) throw new Error('echo truncated (' + got + ' of ' + expected + ' bytes)');
+  return out;
+}
+
+function sameBytes(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+function withTimeout<T>(p: Promise<T>, ms: number, what: string): Promise<T> {
+  let timer: number | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = window.setTimeout(() => reject(new Error(what + ' timed out')), ms);
+  });
+  return Promise.race([p, timeout]).finally(() => clearTimeout(timer));
+}
+
+export async function runLoadTest(
+  opts: LoadOptions,
+  signal: AbortSignal,
+  onProgress?: (p: LoadProgress) => void,
+): Promise<LoadResult> {
+  const WT = (globalThis as any).WebTransport;
+  if (typeof WT !== 'function') throw new Error('WebTransport is not available');
+  const wt = new WT(opts.url, {
+    serverCertificateHashes: opts.hashes.map(h => ({ algorithm: 'sha-256', value: fromBase64(h) })),
+  });
+  // Echo pumps end once the session is closed
+  const pumps: Promise<void>[] = [];
+  try {
+    await withTimeout(wt.ready as Promise<void>, 5000, 'connect');
+
+    const size = Math.max(HEADER, opts.payloadSize);
+    if (size > maxPayload(opts.mode, wt)) {
+      throw new Error(opts.mode + ' payload is limited to ' + maxPayload(opts.mode, wt) + ' bytes');
+    }
+
+    // Echoes that arrive on their own (uni streams, datagrams), by sequence number
+    const waiting = new Map<number, (data: Uint8Array) => void>();
+    const deliver = (data: Uint8Array) => {
+      if (data.length < HEADER) return;
+      const seq = new DataView(data.buffer, data.byteOffset, HEADER).getFloat64(0);
+      waiting.get(seq)?.(data);
+    };
+    const expect = (seq: number) =>
+      withTimeout(new Promise<Uint8Array>(resolve => waiting.set(seq, resolve)), ECHO_TIMEOUT_MS, 'echo')
+        .finally(() => waiting.delete(seq));
+
+    if (opts.mode === 'uni') {
+      pumps.push((async () => {
+        const incoming = wt.incomingUnidirectionalStreams.getReader();
+        for (;;) {
+          const { value, done } = await incoming.read();
+          if (done) return;
+          readAll(value, size).then(deliver, () => {});
+        }
+      })().catch(() => {}));
+    } else if (opts.mode === 'datagram') {
+      pumps.push((async () => {
+        const reader = wt.datagrams.readable.getReader();
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) return;
+          deliver(value);
+        }
+      })().catch(() => {}));
+    }
+    const datagramWriter = opts.mode === 'datagram' ? wt.datagrams.writable.getWriter() : null;
+
+    let nextSeq = 1;
+    let ok = 0;
+    let errors = 0;
+    const errorSamples: string[] = [];
+    const latencies: number[] = [];
+    const started = performance.now();
+    const deadline = started + opts.durationMs;
+
+    const roundTrip = async () => {
+      const seq = nextSeq++;
+      const payload = new Uint8Array(size);
+      // getRandomValues fills at most 64 KiB per call
+      for (let o = HEADER; o < size; o += 65536) crypto.getRandomValues(payload.subarray(o, Math.min(size, o + 65536)));
+      new DataView(payload.buffer).setFloat64(0, seq);
+      const t0 = performance.now();
+
+      let echo: Uint8Array;
+      if (opts.mode === 'bidi') {
+        const stream = await wt.createBidirectionalStream();
+        const writer = stream.writable.getWriter();
+        await writer.write(payload);
+        await writer.close();
+        echo = await withTimeout(readAll(stream.readable, size), ECHO_TIMEOUT_MS + size / 1000, 'echo');
+      } else if (opts.mode === 'uni') {
+        const arrived = expect(seq);
+        const writable = await wt.createUnidirectionalStream();
+        const writer = writable.getWriter();
+        await writer.write(payload);
+        await writer.close();
+        echo = await arrived;
+      } else {
+        const arrived = expect(seq);
+        await datagramWriter!.write(payload);
+        echo = await arrived;
+      }
+
+      if (!sameBytes(echo, payload)) throw new Error('echo mismatch');
+      latencies.push(performance.now() - t0);
+    };
+
+    const worker = async () => {
+      while (!signal.aborted && performance.now() < deadline) {
+        try {
+          await roundTrip();
+          ok++;
+        } catch (err) {
+          errors++;
+          const msg = (err as Error).message;
+          if (errorSamples.length < MAX_ERROR_SAMPLES && !errorSamples.includes(msg)) errorSamples.push(msg);
+        }
+      }
+    };
+
+    const ticker = window.setInterval(() => {
+      onProgress?.({ ok, errors, elapsedMs: performance.now() - started });
+    }, 250);
+    try {
+      await Promise.all(Array.from({ length: opts.concurrency }, worker));
+    } finally {
+      clearInterval(ticker);
+    }
+
+    const elapsed = performance.now() - started;
+    const sorted = latencies.sort((a, b) => a - b);
+    return {
+      mode: opts.mode,
+      payloadSize: size,
+      concurrency: opts.concurrency,
+      durationMs: Math.round(elapsed),
+      ok,
+      errors,
+      errorSamples,
+      latencyMs: {
+        mean: sorted.length ? sorted.reduce((a, b) => a + b, 0) / sorted.length : 0,
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p99: percentile(sorted, 99),
+        max: sorted[sorted.length - 1] ?? 0,
+      },
+      bytesPerSec: (ok * size) / (elapsed / 1000),
+      opsPerSec: ok / (elapsed / 1000),
+    };
+  } finally {
+    try {
+      wt.close();
+    } catch (_) {}
+    await Promise.all(pumps);
+  }
+}
@@ -0,0 +1,140 @@
+import { ConnectionMetrics, MetricsEvent } from './events';
+
+/** One per-second sample derived from two consecutive metrics events. */
+export interface RateSample {
+  t: number;
+  packetsInPerSec: number;
+  packetsOutPerSec: number;
+  bytesInPerSec: number;
+  bytesOutPerSec: number;
+}
+
+export interface MetricsSnapshot {
+  takenAt: string;
+  userAgent: string;
+  totals: Omit<MetricsEvent, 'type' | 'connections'>;
+  rates: RateSample[];
+  handshakeMs: { count: number; last: number; mean: number; p50: number; p95: number; max: number };
+  streams: number;
+  connections: ConnectionMetrics[];
+}
+
+/** Everything the charts are drawn from; metric panel windows get a copy. */
+export interface MetricsState {
+  rates: RateSample[];
+  latest: MetricsEvent | null;
+  handshakes: number[];
+}
+
+const HISTORY = 60;
+const MAX_HANDSHAKES = 500;
+
+export function percentile(sorted: number[], p: number): number {
+  if (sorted.length === 0) return 0;
+  const i = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[i];
+}
+
+/**
+ * Turns the server's cumulative counters into rates and keeps a short
+ * rolling history for the charts, plus handshake latencies measured from
+ * the connection-opened/handshake-complete event pair.
+ */
+export class MetricsCollector {
+  rates: RateSample[] = [];
+  latest: MetricsEvent | null = null;
+  private prev: { t: number; m: MetricsEvent } | null = null;
+  private handshakes: number[] = [];
+  private opening = new Map<string, number>();
+
+  addMetrics(m: MetricsEvent, now = performance.now()) {
+    if (this.prev) {
+      const dt = (now - this.prev.t) / 1000;
+      const p = this.prev.m;
+      // Counters reset on restart; a negative delta just means "new server"
+      if (dt > 0 && m.packetsIn >= p.packetsIn && m.packetsOut >= p.packetsOut) {
+        this.rates.push({
+          t: Date.now(),
+          packetsInPerSec: (m.packetsIn - p.packetsIn) / dt,
+          packetsOutPerSec: (m.packetsOut - p.packetsOut) / dt,
+          bytesInPerSec: (m.bytesIn - p.bytesIn) / dt,
+          bytesOutPerSec: (m.bytesOut - p.bytesOut) / dt,
+        });
+        if (this.rates.length > HISTORY) this.rates.shift();
+      }
+    }
+    this.prev = { t: now, m };
+    this.latest = m;
+  }
+
+  connectionOpened(cid: string, now = performance.now()) {
+    this.opening.set(cid, now);
+  }
+
+  /** Returns the handshake latency in ms, if the open was seen. */
+  handshakeComplete(cid: string, now = performance.now()): number | undefined {
+    const start = this.opening.get(cid);
+    if (start === undefined) return undefined;
+    this.opening.delete(cid);
+    const ms = now - start;
+    this.handshakes.push(ms);
+    if (this.handshakes.length > MAX_HANDSHAKES) this.handshakes.shift();
+    return ms;
+  }
+
+  connectionClosed(cid: string) {
+    this.opening.delete(cid);
+  }
+
+  reset() {
+    this.rates = [];
+    this.latest = null;
+    this.prev = null;
+    this.handshakes = [];
+    this.opening.clear();
+  }
+
+  state(): MetricsState {
+    return { rates: this.rates, latest: this.latest, handshakes: this.handshakes };
+  }
+
+  load(state: MetricsState) {
+    this.rates = state.rates;
+    this.latest = state.latest;
+    this.handshakes = state.handshakes;
+  }
+
+  handshakeStats() {
+    const sorted = [...this.handshakes].sort((a, b) => a - b);
+    const n = sorted.length;
+    return {
+      count: n,
+      last: this.handshakes[n - 1] ?? 0,
+      mean: n ? sorted.reduce((a, b) => a + b, 0) / n : 0,
+      p50: percentile(sorted, 50),
+      p95: percentile(sorted, 95),
+      max: sorted[n - 1] ?? 0,
+    };
+  }
+
+  snapshot(): MetricsSnapshot {
+    const m = this.latest;
+    const connections = m?.connections ?? [];
+    return {
+      takenAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      totals: {
+        packetsIn: m?.packetsIn ?? 0,
+        packetsOut: m?.packetsOut ?? 0,
+        bytesIn: m?.bytesIn ?? 0,
+        bytesOut: m?.bytesOut ?? 0,
+        lost: m?.lost ?? 0,
+        retransmitted: m?.retransmitted ?? 0,
+      },
+      rates: [...this.rates],
+      handshakeMs: this.handshakeStats(),
+      streams: connections.reduce((a, c) => a + c.streams, 0),
+      connections,
+    };
+  }
+}
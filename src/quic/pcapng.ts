@@ -0,0 +1,222 @@
+import { parseAddress } from './policy';
+
+/**
+ * pcapng writer for captured UDP datagrams.
+ *
+ * Direct Sockets only hands us UDP payloads, so each packet gets synthetic
+ * IPv4/IPv6 and UDP headers (LINKTYPE_RAW) built from the socket addresses.
+ * A TLS key log, when present, goes into a Decryption Secrets Block, which
+ * Wireshark uses to decrypt QUIC without a separate keylog file.
+ */
+
+export interface CapturedPacket {
+  /** Microseconds since the Unix epoch. */
+  timestampUs: number;
+  inbound: boolean;
+  localAddress: string;
+  localPort: number;
+  remoteAddress: string;
+  remotePort: number;
+  data: Uint8Array;
+}
+
+const SHB = 0x0a0d0d0a;
+const IDB = 0x00000001;
+const EPB = 0x00000006;
+const DSB = 0x0000000a;
+const BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+const LINKTYPE_RAW = 101;
+const SECRETS_TLS_KEYLOG = 0x544c534b;
+
+const OPT_END = 0;
+const OPT_COMMENT = 1;
+const SHB_USERAPPL = 4;
+const IF_NAME = 2;
+const EPB_FLAGS = 2;
+
+const encoder = new TextEncoder();
+const pad4 = (n: number) => (n + 3) & ~3;
+
+function option(code: number, value: Uint8Array): Uint8Array {
+  const out = new Uint8Array(4 + pad4(value.length));
+  const v = new DataView(out.buffer);
+  v.setUint16(0, code, true);
+  v.setUint16(2, value.length, true);
+  out.set(value, 4);
+  return out;
+}
+
+function options(list: Uint8Array[]): Uint8Array[] {
+  return list.length ? [...list, option(OPT_END, new Uint8Array(0))] : [];
+}
+
+/** A block: type, total length, `body` (already 4-byte aligned), total length. */
+function block(type: number, body: Uint8Array[]): Uint8Array {
+  const bodyLen = body.reduce((n, b) => n + b.length, 0);
+  const total = 12 + bodyLen;
+  const out = new Uint8Array(total);
+  const v = new DataView(out.buffer);
+  v.setUint32(0, type, true);
+  v.setUint32(4, total, true);
+  let off = 8;
+  for (const b of body) {
+    out.set(b, off);
+    off += b.length;
+  }
+  v.setUint32(total - 4, total, true);
+  return out;
+}
+
+function fixed(len: number, fill: (v: DataView) => void): Uint8Array {
+  const out = new Uint8Array(len);
+  fill(new DataView(out.buffer));
+  return out;
+}
+
+function padded(data: Uint8Array): Uint8Array {
+  if (data.length % 4 === 0) return data;
+  const out = new Uint8Array(pad4(data.length));
+  out.set(data);
+  return out;
+}
+
+// ── Synthetic IP/UDP headers ──
+
+interface Address {
+  v6: boolean;
+  bytes: Uint8Array;
+}
+
+function addressBytes(n: bigint, len: number): Uint8Array {
+  const out = new Uint8Array(len);
+  for (let i = len - 1; i >= 0; i--) {
+    out[i] = Number(n & 0xffn);
+    n >>= 8n;
+  }
+  return out;
+}
+
+/** Both ends in one family; an end that doesn't parse or fit becomes unspecified. */
+function endpoints(localAddress: string, remoteAddress: string): [Address, Address] {
+  const remote = parseAddress(remoteAddress) ?? { v6: false, n: 0n };
+  let local = parseAddress(localAddress);
+  if (!local || local.v6 !== remote.v6) local = { v6: remote.v6, n: 0n };
+  const len = remote.v6 ? 16 : 4;
+  return [
+    { v6: local.v6, bytes: addressBytes(local.n, len) },
+    { v6: remote.v6, bytes: addressBytes(remote.n, len) },
+  ];
+}
+
+function checksum(parts: Uint8Array[]): number {
+  let sum = 0;
+  for (const p of parts) {
+    for (let i = 0; i < p.length; i += 2) sum += (p[i] << 8) | (p[i + 1] ?? 0);
+  }
+  while (sum > 0xffff) sum = (sum & 0xffff) + (sum >>> 16);
+  return ~sum & 0xffff;
+}
+
+/** The datagram wrapped in IPv4/IPv6 and UDP headers, as seen on the wire. */
+export function ipPacket(p: CapturedPacket): Uint8Array {
+  const [local, remote] = endpoints(p.localAddress, p.remoteAddress);
+  const [src, dst] = p.inbound ? [remote, local] : [local, remote];
+  const [srcPort, dstPort] = p.inbound ? [p.remotePort, p.localPort] : [p.localPort, p.remotePort];
+  const udpLen = 8 + p.data.length;
+  const ipLen = remote.v6 ? 40 : 20;
+  const out = new Uint8Array(ipLen + udpLen);
+  const v = new DataView(out.buffer);
+
+  if (remote.v6) {
+    v.setUint32(0, 0x60000000);
+    v.setUint16(4, udpLen);
+    out[6] = 17; // next header: UDP
+    out[7] = 64;
+    out.set(src.bytes, 8);
+    out.set(dst.bytes, 24);
+  } else {
+    out[0] = 0x45;
+    v.setUint16(2, Math.min(ipLen + udpLen, 0xffff));
+    v.setUint16(6, 0x4000); // don't fragment
+    out[8] = 64;
+    out[9] = 17;
+    out.set(src.bytes, 12);
+    out.set(dst.bytes, 16);
+    v.setUint16(10, checksum([out.subarray(0, 20)]));
+  }
+
+  v.setUint16(ipLen, srcPort);
+  v.setUint16(ipLen + 2, dstPort);
+  v.setUint16(ipLen + 4, udpLen & 0xffff);
+  out.set(p.data, ipLen + 8);
+  const pseudo = fixed(remote.v6 ? 40 : 12, pv => {
+    const a = new Uint8Array(pv.buffer);
+    a.set(src.bytes, 0);
+    a.set(dst.bytes, src.bytes.length);
+    if (remote.v6) {
+      pv.setUint32(32, udpLen);
+      a[39] = 17;
+    } else {
+      a[9] = 17;
+      pv.setUint16(10, udpLen & 0xffff);
+    }
+  });
+  v.setUint16(ipLen + 6, checksum([pseudo, out.subarray(ipLen)]) || 0xffff);
+  return out;
+}
+
+// ── File ──
+
+/** Blob parts for a pcapng file with one interface and every packet. */
+export function encodePcapng(packets: CapturedPacket[], keylog?: string, comment?: string): Uint8Array[] {
+  const parts: Uint8Array[] = [];
+  parts.push(block(SHB, [
+    fixed(16, v => {
+      v.setUint32(0, BYTE_ORDER_MAGIC, true);
+      v.setUint16(4, 1, true);
+      v.setUint16(6, 0, true);
+      v.setBigInt64(8, -1n, true); // section length unknown
+    }),
+    ...options([
+      option(SHB_USERAPPL, encoder.encode('socket-iwa')),
+      ...(comment ? [option(OPT_COMMENT, encoder.encode(comment))] : []),
+    ]),
+  ]));
+
+  if (keylog) {
+    const secrets = encoder.encode(keylog);
+    parts.push(block(DSB, [
+      fixed(8, v => {
+        v.setUint32(0, SECRETS_TLS_KEYLOG, true);
+        v.setUint32(4, secrets.length, true);
+      }),
+      padded(secrets),
+    ]));
+  }
+
+  // Default timestamp resolution is microseconds; snaplen 0 means unlimited
+  parts.push(block(IDB, [
+    fixed(8, v => {
+      v.setUint16(0, LINKTYPE_RAW, true);
+      v.setUint32(4, 0, true);
+    }),
+    ...options([option(IF_NAME, encoder.encode('direct-sockets'))]),
+  ]));
+
+  for (const p of packets) {
+    const pkt = ipPacket(p);
+    const ts = BigInt(Math.round(p.timestampUs));
+    parts.push(block(EPB, [
+      fixed(20, v => {
+        v.setUint32(0, 0, true);
+        v.setUint32(4, Number(ts >> 32n), true);
+        v.setUint32(8, Number(ts & 0xffffffffn), true);
+        v.setUint32(12, pkt.length, true);
+        v.setUint32(16, pkt.length, true);
+      }),
+      padded(pkt),
+      ...options([option(EPB_FLAGS, fixed(4, v => v.setUint32(0, p.inbound ? 1 : 2, true)))]),
+    ]));
+  }
+  return parts;
+}
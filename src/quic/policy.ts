@@ -0,0 +1,262 @@
+import { getSetting, putSetting } from './store';
+
+/**
+ * Datagram-level access policy, applied in front of the wasm server.
+ *
+ * PolicyFilter runs as an inbound socket tap (socket-tap.ts), so a dropped
+ * packet never reaches ngtcp2. Everything except Retry applies immediately.
+ * Retry is the module's own address validation, toggled with
+ *   _quic_server_set_retry(enabled)
+ * (or `--retry` at start).
+ */
+
+export interface Policy {
+  /** CIDRs; when non-empty, only matching sources are let through. */
+  allow: string[];
+  /** CIDRs that are always dropped, even if also allowed. */
+  deny: string[];
+  /** Per-source packets per second; 0 turns the limit off. */
+  packetRate: number;
+  /** Per-source burst above packetRate. */
+  packetBurst: number;
+  /** Per-source new connections (fresh Initial packets) per second; 0 is off. */
+  connRate: number;
+  /** New connections are dropped while this many are open; 0 is off. */
+  connectionCap: number;
+  /** Require address validation with a Retry round-trip. */
+  retry: boolean;
+}
+
+export const DEFAULT_POLICY: Policy = {
+  allow: [],
+  deny: [],
+  packetRate: 0,
+  packetBurst: 200,
+  connRate: 0,
+  connectionCap: 0,
+  retry: false,
+};
+
+export type DropReason = 'denied' | 'packet-rate' | 'conn-rate' | 'cap' | 'paused';
+
+export const DROP_REASONS: DropReason[] = ['denied', 'packet-rate', 'conn-rate', 'cap', 'paused'];
+
+// ── CIDR matching ──
+
+interface Cidr {
+  v6: boolean;
+  net: bigint;
+  bits: number;
+}
+
+function parseV4(s: string): bigint | null {
+  const parts = s.split('.');
+  if (parts.length !== 4) return null;
+  let n = 0n;
+  for (const p of parts) {
+    if (!/^\d{1,3}$/.test(p) || Number(p) > 255) return null;
+    n = (n << 8n) | BigInt(p);
+  }
+  return n;
+}
+
+function parseV6(s: string): bigint | null {
+  s = s.replace(/%.*$/, '');
+  // Trailing dotted quad, e.g. ::ffff:10.0.0.1
+  const quad = s.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (quad) {
+    const v4 = parseV4(quad[2]);
+    if (v4 === null) return null;
+    s = quad[1] + (v4 >> 16n).toString(16) + ':' + (v4 & 0xffffn).toString(16);
+  }
+  const halves = s.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  let n = 0n;
+  for (const g of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(g)) return null;
+    n = (n << 16n) | BigInt(parseInt(g, 16));
+  }
+  return n;
+}
+
+/** Parse an address; IPv4-mapped IPv6 addresses come back as IPv4. */
+export function parseAddress(addr: string): { v6: boolean; n: bigint } | null {
+  const v4 = parseV4(addr);
+  if (v4 !== null) return { v6: false, n: v4 };
+  const v6 = parseV6(addr.replace(/^\[|\]$/g, ''));
+  if (v6 === null) return null;
+  if (v6 >> 32n === 0xffffn) return { v6: false, n: v6 & 0xffffffffn };
+  return { v6: true, n: v6 };
+}
+
+export function parseCidr(s: string): Cidr | null {
+  const [addr, prefix, ...rest] = s.trim().split('/');
+  if (rest.length) return null;
+  const a = parseAddress(addr);
+  if (!a) return null;
+  const max = a.v6 ? 128 : 32;
+  const bits = prefix === undefined ? max : Number(prefix);
+  if (!Number.isInteger(bits) || bits < 0 || bits > max || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+    return null;
+  }
+  const shift = BigInt(max - bits);
+  return { v6: a.v6, net: (a.n >> shift) << shift, bits };
+}
+
+function inCidr(a: { v6: boolean; n: bigint }, c: Cidr): boolean {
+  if (a.v6 !== c.v6) return false;
+  const shift = BigInt((c.v6 ? 128 : 32) - c.bits);
+  return (a.n >> shift) << shift === c.net;
+}
+
+/** Returns a list of human-readable problems, empty when the policy is valid. */
+export function validatePolicy(p: Policy): string[] {
+  const problems: string[] = [];
+  for (const c of [...p.allow, ...p.deny]) {
+    if (!parseCidr(c)) problems.push('not a CIDR: ' + c);
+  }
+  const counts: [string, number, number][] = [
+    ['packet rate', p.packetRate, 1e6],
+    ['packet burst', p.packetBurst, 1e6],
+    ['connection rate', p.connRate, 1e4],
+    ['connection cap', p.connectionCap, 1e5],
+  ];
+  for (const [name, v, max] of counts) {
+    if (!Number.isFinite(v) || v < 0 || v > max) problems.push(name + ' must be 0–' + max);
+  }
+  return problems;
+}
+
+const POLICY_KEY = 'policy';
+
+export async function loadPolicy(): Promise<Policy> {
+  try {
+    const saved = await getSetting<Partial<Policy>>(POLICY_KEY);
+    const policy = { ...DEFAULT_POLICY, ...saved };
+    return validatePolicy(policy).length === 0 ? policy : { ...DEFAULT_POLICY };
+  } catch (_) {
+    return { ...DEFAULT_POLICY };
+  }
+}
+
+export function savePolicy(p: Policy): Promise<void> {
+  return putSetting(POLICY_KEY, p);
+}
+
+// ── QUIC packet inspection ──
+
+const QUIC_V1 = 0x00000001;
+const QUIC_V2 = 0x6b3343cf;
+
+/**
+ * The Destination Connection ID of a client Initial packet, as hex, or
+ * null for anything else. A DCID not seen before means a new connection.
+ */
+export function initialDcid(data: Uint8Array): string | null {
+  if (data.length < 7 || (data[0] & 0x80) === 0) return null;
+  const version = ((data[1] << 24) | (data[2] << 16) | (data[3] << 8) | data[4]) >>> 0;
+  const type = (data[0] >> 4) & 0x3;
+  if (!((version === QUIC_V1 && type === 0) || (version === QUIC_V2 && type === 1))) return null;
+  const len = data[5];
+  if (len > 20 || data.length < 6 + len) return null;
+  let hex = '';
+  for (let i = 6; i < 6 + len; i++) hex += data[i].toString(16).padStart(2, '0');
+  return hex;
+}
+
+// ── Filter ──
+
+interface Bucket {
+  tokens: number;
+  last: number;
+}
+
+/** Per-source state is forgotten past this many sources, oldest first. */
+const MAX_SOURCES = 10000;
+const MAX_DCIDS = 4096;
+
+export class PolicyFilter {
+  passed = 0;
+  dropped: Record<DropReason, number> = { denied: 0, 'packet-rate': 0, 'conn-rate': 0, cap: 0, paused: 0 };
+  /** Refuse new connections without touching open ones. */
+  paused = false;
+  private allow: Cidr[] = [];
+  private deny: Cidr[] = [];
+  private packetBuckets = new Map<string, Bucket>();
+  private connBuckets = new Map<string, Bucket>();
+  private dcids = new Set<string>();
+
+  constructor(public policy: Policy, private openConnections: () => number) {
+    this.update(policy);
+  }
+
+  update(policy: Policy) {
+    this.policy = policy;
+    this.allow = policy.allow.map(parseCidr).filter((c): c is Cidr => c !== null);
+    this.deny = policy.deny.map(parseCidr).filter((c): c is Cidr => c !== null);
+    this.packetBuckets.clear();
+    this.connBuckets.clear();
+  }
+
+  resetCounters() {
+    this.passed = 0;
+    for (const r of DROP_REASONS) this.dropped[r] = 0;
+  }
+
+  /** Why `data` from `source` should be dropped, or null to let it through. */
+  check(data: Uint8Array, source: string, now = performance.now()): DropReason | null {
+    const p = this.policy;
+    if (this.allow.length || this.deny.length) {
+      const a = parseAddress(source);
+      if (!a) return 'denied';
+      if (this.deny.some(c => inCidr(a, c))) return 'denied';
+      if (this.allow.length && !this.allow.some(c => inCidr(a, c))) return 'denied';
+    }
+    if (p.packetRate > 0 && !take(this.packetBuckets, source, p.packetRate, p.packetRate + p.packetBurst, now)) {
+      return 'packet-rate';
+    }
+
+    const dcid = initialDcid(data);
+    if (dcid !== null && !this.dcids.has(dcid)) {
+      if (this.paused) return 'paused';
+      if (p.connectionCap > 0 && this.openConnections() >= p.connectionCap) return 'cap';
+      if (p.connRate > 0 && !take(this.connBuckets, source, p.connRate, p.connRate, now)) return 'conn-rate';
+      this.dcids.add(dcid);
+      if (this.dcids.size > MAX_DCIDS) this.dcids.delete(this.dcids.values().next().value!);
+    }
+    return null;
+  }
+
+  /** check() plus bookkeeping; true if the packet may pass. */
+  admit(data: Uint8Array, source: string): boolean {
+    const reason = this.check(data, source);
+    if (reason) {
+      this.dropped[reason]++;
+      return false;
+    }
+    this.passed++;
+    return true;
+  }
+}
+
+/** Token bucket refilled at `rate`/s up to `capacity`; false when empty. */
+function take(buckets: Map<string, Bucket>, key: string, rate: number, capacity: number, now: number): boolean {
+  let b = buckets.get(key);
+  if (!b) {
+    b = { tokens: capacity, last: now };
+    if (buckets.size >= MAX_SOURCES) buckets.delete(buckets.keys().next().value!);
+  } else {
+    buckets.delete(key); // re-insert to keep Map order least-recently-used first
+    b.tokens = Math.min(capacity, b.tokens + ((now - b.last) / 1000) * rate);
+    b.last = now;
+  }
+  buckets.set(key, b);
+  if (b.tokens < 1) return false;
+  b.tokens -= 1;
+  return true;
+}
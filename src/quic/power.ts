@@ -0,0 +1,107 @@
+/**
+ * Screen wake lock while serving, and idle detection to pause or stop the
+ * server when nobody is at the machine.
+ */
+
+export class WakeLockKeeper {
+  private want = false;
+  private sentinel: any = null;
+
+  constructor(private onChange: (held: boolean) => void) {
+    // The browser releases the lock whenever the page is hidden
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && this.want && !this.sentinel) this.acquire();
+    });
+  }
+
+  get supported(): boolean {
+    return 'wakeLock' in navigator;
+  }
+
+  get held(): boolean {
+    return this.sentinel !== null;
+  }
+
+  set(want: boolean) {
+    this.want = want;
+    if (want && !this.sentinel) this.acquire();
+    if (!want && this.sentinel) {
+      this.sentinel.release().catch(() => {});
+      this.sentinel = null;
+      this.onChange(false);
+    }
+  }
+
+  private async acquire() {
+    if (!this.supported || document.visibilityState !== 'visible') return;
+    try {
+      const sentinel = await (navigator as any).wakeLock.request('screen');
+      if (!this.want) {
+        sentinel.release().catch(() => {});
+        return;
+      }
+      this.sentinel = sentinel;
+      sentinel.addEventListener('release', () => {
+        if (this.sentinel === sentinel) this.sentinel = null;
+        this.onChange(false);
+      });
+      this.onChange(true);
+    } catch (_) {
+      this.onChange(false);
+    }
+  }
+}
+
+export type IdleState = 'off' | 'active' | 'idle' | 'locked' | 'no-permission' | 'unsupported';
+
+export class IdleWatcher {
+  state: IdleState = 'off';
+  private abort: AbortController | null = null;
+
+  constructor(private onState: (state: IdleState) => void) {}
+
+  static get supported(): boolean {
+    return typeof (globalThis as any).IdleDetector !== 'undefined';
+  }
+
+  /** Ask for idle-detection permission; must run from a user gesture. */
+  static async requestPermission(): Promise<boolean> {
+    if (!IdleWatcher.supported) return false;
+    return (await (globalThis as any).IdleDetector.requestPermission()) === 'granted';
+  }
+
+  async start(minutes: number) {
+    this.stop();
+    if (!IdleWatcher.supported) return this.set('unsupported');
+    const abort = new AbortController();
+    this.abort = abort;
+    const detector = new (globalThis as any).IdleDetector();
+    detector.addEventListener('change', () => {
+      if (abort.signal.aborted) return;
+      this.set(detector.screenState === 'locked' ? 'locked' : detector.userState === 'idle' ? 'idle' : 'active');
+    });
+    try {
+      await detector.start({ threshold: Math.max(1, minutes) * 60000, signal: abort.signal });
+      if (!abort.signal.aborted) this.set('active');
+    } catch (_) {
+      if (!abort.signal.aborted) this.set('no-permission');
+    }
+  }
+
+  stop() {
+    this.abort?.abort();
+    this.abort = null;
+    this.set('off');
+  }
+
+  /** Idle or locked: nobody is watching. */
+  get away(): boolean {
+    return this.state === 'idle' || this.state === 'locked';
+  }
+
+  private set(state: IdleState) {
+    if (state === this.state) return;
+    this.state = state;
+    this.onState(state);
+  }
+}
@@ -0,0 +1,89 @@
+import { openDb, withStore } from './store';
+
+/**
+ * Captured qlog traces, kept in isolated storage under a total size cap.
+ *
+ * ngtcp2 writes one JSON-SEQ (`.sqlog`) file per connection; it is stored
+ * verbatim so qvis and other viewers can open the download directly, and
+ * can also be exported as a single JSON document.
+ */
+
+export const QLOG_DIR = '/qlog';
+export const QLOG_CAP_BYTES = 64 * 1024 * 1024;
+
+export interface QlogTrace {
+  id?: number;
+  cid: string;
+  peer: string;
+  alpn: string;
+  createdAt: number;
+  size: number;
+  data: Blob;
+}
+
+export type QlogSummary = Omit<QlogTrace, 'data'>;
+
+export async function saveTrace(trace: Omit<QlogTrace, 'id'>): Promise<number> {
+  const id = await withStore('qlog', 'readwrite', s => s.add(trace));
+  await enforceCap();
+  return id as number;
+}
+
+/** Newest first, without the trace bodies. */
+export async function listTraces(): Promise<QlogSummary[]> {
+  const all = await withStore<QlogTrace[]>('qlog', 'readonly', s => s.getAll());
+  return all
+    .map(({ data: _data, ...summary }) => summary)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function getTrace(id: number): Promise<QlogTrace | undefined> {
+  return withStore('qlog', 'readonly', s => s.get(id));
+}
+
+export async function deleteTrace(id: number): Promise<void> {
+  await withStore('qlog', 'readwrite', s => s.delete(id));
+}
+
+export async function clearTraces(): Promise<void> {
+  await withStore('qlog', 'readwrite', s => s.clear());
+}
+
+/** Evict the oldest traces until the store fits in QLOG_CAP_BYTES. */
+async function enforceCap() {
+  const traces = await listTraces();
+  let total = traces.reduce((a, t) => a + t.size, 0);
+  if (total <= QLOG_CAP_BYTES) return;
+
+  const tx = (await openDb()).transaction('qlog', 'readwrite');
+  const store = tx.objectStore('qlog');
+  for (const t of traces.reverse()) {
+    if (total <= QLOG_CAP_BYTES) break;
+    store.delete(t.id!);
+    total -= t.size;
+  }
+  await new Promise<void>((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Convert a JSON-SEQ qlog (RFC 7464 records: RS, JSON, LF) into the
+ * single-document JSON form: the header record's `trace` gains an
+ * `events` array holding every following record.
+ */
+export function sqlogToJson(text: string): object {
+  const records = text
+    .split('\x1e')
+    .map(r => r.trim())
+    .filter(Boolean)
+    .map(r => JSON.parse(r));
+  const [header = {}, ...events] = records;
+  const { trace = {}, ...rest } = header;
+  return {
+    ...rest,
+    qlog_format: 'JSON',
+    traces: [{ ...trace, events }],
+  };
+}
@@ -0,0 +1,174 @@
+import { ConnectionContext, Handler, StreamContext } from './handlers';
+import { MSG, MessageReader, MessageType, Role, Status, decodeJson, encodeJson, encodeMessage } from '../screencapture/protocol';
+
+/**
+ * Relay for screencapture.html: one publisher, any number of viewers, all
+ * speaking the protocol in ../screencapture/protocol.ts. Keyframes and
+ * stream-mode deltas are copied onto every viewer's control stream;
+ * datagram fragments are passed on unchanged.
+ *
+ * A viewer that falls behind flow control skips deltas until it has drained
+ * and a fresh keyframe arrives, so one slow viewer never holds back the rest.
+ */
+
+/** Reset code for a second publisher while one is live. */
+export const PUBLISHER_BUSY = 0x102;
+
+/** Keyframe requests forwarded to the publisher at most this often. */
+const KEYREQ_INTERVAL_MS = 500;
+
+interface Viewer {
+  stream: StreamContext;
+  blocked: boolean;
+  /** Deltas are useless to it until the next keyframe. */
+  needKey: boolean;
+}
+
+export function createScreencastHandler(): Handler {
+  let publisher: StreamContext | null = null;
+  /** Encoded CONFIG message, replayed to viewers that join late. */
+  let config: Uint8Array | null = null;
+  let lastKeyRequest = -Infinity;
+  const viewers = new Map<string, Viewer>();
+
+  const status = (): Status => ({ viewers: viewers.size, publisher: !!publisher });
+
+  function send(v: Viewer, msg: Uint8Array) {
+    if (v.stream.ended) return;
+    if (!v.stream.write(msg)) v.blocked = true;
+  }
+
+  function requestKey() {
+    const now = performance.now();
+    if (!publisher || publisher.ended || now - lastKeyRequest < KEYREQ_INTERVAL_MS) return;
+    lastKeyRequest = now;
+    publisher.write(encodeMessage(MSG.KEYREQ));
+  }
+
+  function tellPublisher() {
+    if (publisher && !publisher.ended) publisher.write(encodeJson(MSG.STATUS, status()));
+  }
+
+  function join(s: StreamContext, role: Role) {
+    const c = s.conn;
+    if (c.state.has('role')) throw new Error('one control stream per connection');
+    if (role === 'publish') {
+      if (publisher) {
+        c.log('publisher refused, one is already live');
+        s.reset(PUBLISHER_BUSY);
+        return;
+      }
+      c.state.set('role', role);
+      publisher = s;
+      c.log('publisher joined, ' + viewers.size + ' viewer(s)');
+      for (const v of viewers.values()) {
+        v.needKey = true;
+        send(v, encodeJson(MSG.STATUS, status()));
+      }
+      tellPublisher();
+      return;
+    }
+    c.state.set('role', role);
+    const v: Viewer = { stream: s, blocked: false, needKey: true };
+    viewers.set(c.cid, v);
+    c.log('viewer joined');
+    send(v, encodeJson(MSG.STATUS, status()));
+    if (config) send(v, config);
+    requestKey();
+    tellPublisher();
+  }
+
+  function leave(c: ConnectionContext) {
+    const role = c.state.get('role');
+    c.state.delete('role');
+    if (role === 'publish' && publisher?.conn === c) {
+      publisher = null;
+      config = null;
+      c.log('publisher left');
+      const end = encodeMessage(MSG.END);
+      for (const v of viewers.values()) {
+        v.needKey = true;
+        send(v, end);
+      }
+    } else if (role === 'view' && viewers.delete(c.cid)) {
+      c.log('viewer left');
+      tellPublisher();
+    }
+  }
+
+  function fromPublisher(type: number, msg: Uint8Array) {
+    switch (type) {
+      case MSG.CONFIG:
+        config = msg;
+        for (const v of viewers.values()) {
+          v.needKey = true;
+          send(v, msg);
+        }
+        break;
+      case MSG.KEY:
+        for (const v of viewers.values()) {
+          v.needKey = v.blocked;
+          if (!v.blocked) send(v, msg);
+        }
+        break;
+      case MSG.DELTA:
+        for (const v of viewers.values()) {
+          if (v.blocked) v.needKey = true;
+          else if (!v.needKey) send(v, msg);
+        }
+        break;
+    }
+  }
+
+  return {
+    id: 'screencast',
+    label: 'screen capture relay',
+    description: 'Relays screencapture.html frames to viewers: keyframes on streams, deltas as datagrams or streams',
+    onStreamData(s, data, fin) {
+      if (!s.bidi) throw new Error('the screencast protocol only uses a bidi control stream');
+      let reader = s.state.get('reader') as MessageReader | undefined;
+      if (!reader) {
+        reader = new MessageReader();
+        s.state.set('reader', reader);
+      }
+      for (const { type, payload } of reader.push(data)) {
+        const role = s.conn.state.get('role');
+        if (!role) {
+          if (type !== MSG.HELLO) throw new Error('expected HELLO, got message type ' + type);
+          const hello = decodeJson<{ role: Role }>(payload);
+          if (hello.role !== 'publish' && hello.role !== 'view') throw new Error('unknown role: ' + hello.role);
+          join(s, hello.role);
+          if (s.ended) return;
+        } else if (role === 'publish') {
+          fromPublisher(type, encodeMessage(type as MessageType, payload));
+        } else if (type === MSG.KEYREQ) {
+          const v = viewers.get(s.conn.cid);
+          if (v) v.needKey = true;
+          requestKey();
+        }
+      }
+      if (fin) {
+        leave(s.conn);
+        if (!s.ended) s.end();
+      }
+    },
+    onStreamWritable(s) {
+      const v = viewers.get(s.conn.cid);
+      if (!v || v.stream !== s) return;
+      v.blocked = false;
+      if (v.needKey) requestKey();
+    },
+    onStreamReset(s) {
+      if (publisher === s || viewers.get(s.conn.cid)?.stream === s) leave(s.conn);
+    },
+    onDatagram(c, data) {
+      if (publisher?.conn !== c) return;
+      for (const v of viewers.values()) {
+        if (!v.needKey) v.stream.conn.sendDatagram(data);
+      }
+    },
+    onConnectionClose(c) {
+      leave(c);
+    },
+  };
+}
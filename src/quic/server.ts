@@ -0,0 +1,333 @@
+import { LogEventParser, ServerEvent, parseServerEvent } from './events';
+import { HandlerIo, TransportEvent } from './handlers';
+
+/**
+ * Lifecycle of the Emscripten QUIC server module.
+ *
+ * The glue script is classic (non-modularized), so it reads its config from
+ * `window.Module` and leaves globals behind. Each start gets a fresh Module
+ * object and script tag; teardown removes both and terminates the pthread
+ * workers, so a later start loads a clean instance.
+ *
+ * In a worker (see instance-worker.ts) the glue comes in through
+ * importScripts instead, and the worker is thrown away rather than reused.
+ *
+ * Graceful stop relies on two exports from the C side:
+ *   _quic_server_drain(deadline_ms)  stop accepting, close every connection,
+ *                                    then emit a `stopped` event
+ *   _quic_server_shutdown()          close immediately
+ *
+ * With `--handler js` the module also calls back into the page with stream
+ * data (see handlers.ts), and answers through:
+ *   _quic_stream_write(cid, stream_id, ptr, len, fin)  bytes accepted or < 0
+ *   _quic_stream_reset(cid, stream_id, code)
+ *   _quic_datagram_send(cid, ptr, len)                 0 on success
+ *   _quic_http_respond(cid, stream_id, status, headers_json)  0 on success
+ *
+ * Address validation can be switched while running (see policy.ts):
+ *   _quic_server_set_retry(enabled)
+ *
+ * Modules built before the structured events only log; their `printErr`
+ * lines are parsed instead (see LogEventParser) until the module exports
+ * `_quic_server_event_version` or sends its first event.
+ *
+ * When `Module.onKeylog` is defined the module installs wolfSSL's keylog
+ * callback and passes each SSLKEYLOGFILE line to it.
+ */
+
+export type ServerState = 'idle' | 'loading' | 'running' | 'draining' | 'stopped' | 'error';
+
+export interface ServerHooks {
+  print(text: string): void;
+  printErr(text: string): void;
+  onEvent(event: ServerEvent): void;
+  onState(state: ServerState, detail: string): void;
+  onTransport?(event: TransportEvent): void;
+  onKeylog?(line: string): void;
+}
+
+export interface StartOptions {
+  /** Command line for main(), as `Module.arguments`. */
+  args: string[];
+  /** Files written into the module's filesystem before main() runs. */
+  files?: Record<string, string | Uint8Array>;
+}
+
+const SCRIPT_URL = 'quic_echo_server.js';
+const IN_WORKER = typeof document === 'undefined';
+
+export class QuicServer implements HandlerIo {
+  state: ServerState = 'idle';
+  private module: any = null;
+  private script: HTMLScriptElement | null = null;
+  // Bumped on every start/teardown so callbacks from a dead module are ignored
+  private generation = 0;
+  private onStopped: (() => void) | null = null;
+  private stopping: Promise<void> | null = null;
+
+  constructor(private hooks: ServerHooks) {}
+
+  get busy(): boolean {
+    return this.state === 'loading' || this.state === 'running' || this.state === 'draining';
+  }
+
+  start(opts: StartOptions) {
+    if (this.busy) throw new Error('server is ' + this.state);
+    this.teardown();
+    const gen = ++this.generation;
+    const live = () => gen === this.generation;
+    this.setState('loading', 'loading...');
+
+    const opt = (name: string) => {
+      const i = opts.args.indexOf(name);
+      return i >= 0 ? opts.args[i + 1] : undefined;
+    };
+    const fromLog = new LogEventParser(opt('--bind') ?? '0.0.0.0', Number(opt('--port') ?? 4433));
+    let structured = false;
+
+    const module: any = {
+      arguments: opts.args,
+      preRun: [() => {
+        const FS = module.FS ?? (globalThis as any).FS;
+        for (const [path, data] of Object.entries(opts.files ?? {})) {
+          FS.mkdirTree(path.slice(0, path.lastIndexOf('/')) || '/');
+          FS.writeFile(path, data);
+        }
+      }],
+      print: (text: string) => {
+        if (live()) this.hooks.print(text);
+      },
+      printErr: (text: string) => {
+        if (!live()) return;
+        this.hooks.printErr(text);
+        structured ||= typeof module._quic_server_event_version === 'function';
+        if (structured) return;
+        const event = fromLog.parse(text);
+        if (event) this.handleEvent(event);
+      },
+      onServerEvent: (raw: unknown) => {
+        structured = true;
+        const event = parseServerEvent(raw);
+        if (event && live()) this.handleEvent(event);
+      },
+      onStreamOpen: (cid: string, streamId: number, bidi: boolean) => {
+        if (live()) this.hooks.onTransport?.({ type: 'stream-open', cid, streamId, bidi });
+      },
+      onStreamData: (cid: string, streamId: number, data: Uint8Array, fin: boolean) => {
+        if (live()) this.hooks.onTransport?.({ type: 'stream-data', cid, streamId, data, fin });
+      },
+      onStreamWritable: (cid: string, streamId: number) => {
+        if (live()) this.hooks.onTransport?.({ type: 'stream-writable', cid, streamId });
+      },
+      onStreamReset: (cid: string, streamId: number, code: number) => {
+        if (live()) this.hooks.onTransport?.({ type: 'stream-reset', cid, streamId, code });
+      },
+      onDatagram: (cid: string, data: Uint8Array) => {
+        if (live()) this.hooks.onTransport?.({ type: 'datagram', cid, data });
+      },
+      onHttpRequest: (
+        cid: string, streamId: number, method: string, path: string,
+        authority: string, headers: [string, string][], fin: boolean,
+      ) => {
+        if (live()) {
+          this.hooks.onTransport?.({ type: 'http-request', cid, streamId, method, path, authority, headers, fin });
+        }
+      },
+      onKeylog: (line: string) => {
+        if (live()) this.hooks.onKeylog?.(line);
+      },
+      // A worker's relative URLs resolve against its own script, not the page
+      locateFile(path: string) {
+        return IN_WORKER ? '/' + path : path;
+      },
+      mainScriptUrlOrBlob: IN_WORKER ? '/' + SCRIPT_URL : undefined,
+      onAbort: (what: string) => {
+        if (!live()) return;
+        this.hooks.printErr('Module aborted: ' + what);
+        this.setState('error', 'aborted');
+      },
+    };
+    this.module = module;
+    (globalThis as any).Module = module;
+
+    if (IN_WORKER) {
+      try {
+        (globalThis as any).importScripts('/' + SCRIPT_URL);
+        this.hooks.print('Emscripten JS loaded, spawning worker...');
+      } catch (_) {
+        this.hooks.printErr('Failed to load ' + SCRIPT_URL);
+        this.teardown();
+        this.setState('error', 'load failed');
+      }
+      return;
+    }
+
+    const script = document.createElement('script');
+    script.src = SCRIPT_URL;
+    script.onload = () => {
+      if (live()) this.hooks.print('Emscripten JS loaded, spawning worker...');
+    };
+    script.onerror = () => {
+      if (!live()) return;
+      this.hooks.printErr('Failed to load ' + SCRIPT_URL);
+      this.teardown();
+      this.setState('error', 'load failed');
+    };
+    this.script = script;
+    document.body.appendChild(script);
+  }
+
+  /**
+   * Drain gracefully, waiting at most `deadlineMs` for connections to close
+   * before forcing the module down.
+   */
+  stop(deadlineMs: number): Promise<void> {
+    if (this.stopping) return this.stopping;
+    if (this.state !== 'running') {
+      // Nothing to drain: loading or failed modules are just discarded
+      if (this.module || this.state === 'error') {
+        this.teardown();
+        this.setState('stopped', 'stopped');
+      }
+      return Promise.resolve();
+    }
+
+    this.stopping = this.drain(deadlineMs).finally(() => {
+      this.stopping = null;
+    });
+    return this.stopping;
+  }
+
+  /** Read a file the module wrote, or null if it doesn't exist. */
+  readFile(path: string): Uint8Array | null {
+    const FS = this.module?.FS ?? (globalThis as any).FS;
+    try {
+      return FS.readFile(path);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  unlink(path: string) {
+    const FS = this.module?.FS ?? (globalThis as any).FS;
+    try {
+      FS.unlink(path);
+    } catch (_) {}
+  }
+
+  writeStream(cid: string, streamId: number, data: Uint8Array, fin: boolean): number {
+    const m = this.liveModule('_quic_stream_write');
+    if (!m) return -1;
+    return this.withHeapCopy(m, data, ptr =>
+      m.ccall('quic_stream_write', 'number',
+        ['string', 'number', 'number', 'number', 'number'],
+        [cid, streamId, ptr, data.length, fin ? 1 : 0]));
+  }
+
+  resetStream(cid: string, streamId: number, code: number) {
+    this.liveModule('_quic_stream_reset')?.ccall('quic_stream_reset', null,
+      ['string', 'number', 'number'], [cid, streamId, code]);
+  }
+
+  sendDatagram(cid: string, data: Uint8Array): boolean {
+    const m = this.liveModule('_quic_datagram_send');
+    if (!m) return false;
+    return this.withHeapCopy(m, data, ptr =>
+      m.ccall('quic_datagram_send', 'number', ['string', 'number', 'number'], [cid, ptr, data.length])) === 0;
+  }
+
+  respond(cid: string, streamId: number, status: number, headers: [string, string][]): boolean {
+    return this.liveModule('_quic_http_respond')?.ccall('quic_http_respond', 'number',
+      ['string', 'number', 'number', 'string'], [cid, streamId, status, JSON.stringify(headers)]) === 0;
+  }
+
+  /** False if the running module can't switch Retry; it then needs a restart. */
+  setRetry(enabled: boolean): boolean {
+    const m = this.liveModule('_quic_server_set_retry');
+    if (!m) return false;
+    m._quic_server_set_retry(enabled ? 1 : 0);
+    return true;
+  }
+
+  /** The module, if it is serving and exports `fn`. */
+  private liveModule(fn: string): any {
+    const m = this.module;
+    if ((this.state !== 'running' && this.state !== 'draining') || typeof m?.[fn] !== 'function') return null;
+    return m;
+  }
+
+  private withHeapCopy<T>(m: any, data: Uint8Array, fn: (ptr: number) => T): T {
+    const ptr = m._malloc(data.length || 1);
+    try {
+      m.HEAPU8.set(data, ptr);
+      return fn(ptr);
+    } finally {
+      m._free(ptr);
+    }
+  }
+
+  async restart(opts: StartOptions, deadlineMs: number) {
+    await this.stop(deadlineMs);
+    this.start(opts);
+  }
+
+  private async drain(deadlineMs: number) {
+    const module = this.module;
+    this.setState('draining', 'draining...');
+
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const drained = await new Promise<boolean>(resolve => {
+      if (typeof module._quic_server_drain !== 'function') {
+        resolve(false);
+        return;
+      }
+      this.onStopped = () => resolve(true);
+      timer = setTimeout(() => resolve(false), deadlineMs);
+      try {
+        module._quic_server_drain(deadlineMs);
+      } catch (err) {
+        this.hooks.printErr('Drain failed: ' + (err as Error).message);
+        resolve(false);
+      }
+    });
+    clearTimeout(timer);
+    this.onStopped = null;
+
+    if (!drained) {
+      this.hooks.printErr('Drain deadline reached, forcing close');
+      try {
+        module._quic_server_shutdown?.();
+      } catch (_) {}
+    }
+    this.teardown();
+    this.setState('stopped', drained ? 'stopped' : 'stopped (forced)');
+  }
+
+  private handleEvent(event: ServerEvent) {
+    if (event.type === 'listening') {
+      this.setState('running', 'running');
+    } else if (event.type === 'stopped') {
+      this.onStopped?.();
+    } else if (event.type === 'error' && event.fatal) {
+      this.setState('error', 'error');
+    }
+    this.hooks.onEvent(event);
+  }
+
+  private teardown() {
+    const module = this.module;
+    this.generation++;
+    try {
+      module?.PThread?.terminateAllThreads?.();
+    } catch (_) {}
+    this.script?.remove();
+    this.script = null;
+    this.module = null;
+    if (module && (globalThis as any).Module === module) delete (globalThis as any).Module;
+  }
+
+  private setState(state: ServerState, detail: string) {
+    this.state = state;
+    this.hooks.onState(state, detail);
+  }
+}
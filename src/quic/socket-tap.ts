@@ -0,0 +1,122 @@
+/**
+ * Taps on the UDP sockets the page opens through Direct Sockets.
+ *
+ * The glue script creates its socket with `new UDPSocket(...)`, so replacing
+ * the global before the script loads puts every datagram the module sends or
+ * receives through the registered taps. The module opens its socket on the
+ * page's thread, which is what makes this work.
+ */
+
+export interface Datagram {
+  data: Uint8Array;
+  remoteAddress: string;
+  remotePort: number;
+}
+
+export interface SocketAddress {
+  localAddress: string;
+  localPort: number;
+}
+
+export interface UdpTap {
+  /** Return false to drop the datagram before the module reads it. */
+  inbound?(d: Datagram, socket: SocketAddress): boolean | void;
+  outbound?(d: Datagram, socket: SocketAddress): void;
+}
+
+/**
+ * Owns delivery instead of passing datagrams straight through: `forward`
+ * may be called any number of times, now or later. Inbound, the shaper runs
+ * before the taps; outbound, after them.
+ */
+export interface UdpShaper {
+  inbound(d: Datagram, forward: () => void): void;
+  outbound(d: Datagram, forward: () => void): void;
+}
+
+const taps: UdpTap[] = [];
+let shaper: UdpShaper | null = null;
+
+/** Taps run in the order added; a tap after one that drops sees nothing. */
+export function addUdpTap(tap: UdpTap) {
+  taps.push(tap);
+  install();
+}
+
+/** Only set while it changes something: shaped sends lose backpressure and copy every datagram. */
+export function setUdpShaper(next: UdpShaper | null) {
+  shaper = next;
+  install();
+}
+
+function toBytes(data: BufferSource): Uint8Array {
+  if (data instanceof Uint8Array) return data;
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return new Uint8Array(data);
+}
+
+function install() {
+  const g = globalThis as any;
+  const Native = g.UDPSocket;
+  if (typeof Native !== 'function' || Native.tapped) return;
+
+  class TappedUDPSocket extends Native {
+    static tapped = true;
+
+    constructor(options: any) {
+      super(options);
+      const opened: Promise<any> = (this as any).opened;
+      Object.defineProperty(this, 'opened', { value: opened.then(info => tapStreams(info)) });
+    }
+  }
+  g.UDPSocket = TappedUDPSocket;
+}
+
+function tapStreams(info: any) {
+  const socket: SocketAddress = { localAddress: info.localAddress ?? '', localPort: info.localPort ?? 0 };
+  const datagram = (msg: any): Datagram => ({
+    data: toBytes(msg.data),
+    remoteAddress: msg.remoteAddress ?? info.remoteAddress ?? '',
+    remotePort: msg.remotePort ?? info.remotePort ?? 0,
+  });
+
+  const readable = info.readable.pipeThrough(new TransformStream({
+    transform(msg: any, ctl) {
+      const d = datagram(msg);
+      const pass = () => {
+        for (const tap of taps) {
+          if (tap.inbound?.(d, socket) === false) return;
+        }
+        try {
+          ctl.enqueue(msg);
+        } catch (_) {} // delayed past close
+      };
+      if (shaper) shaper.inbound(d, pass);
+      else pass();
+    },
+  }));
+
+  const writer = info.writable.getWriter();
+  // A shaped send has already resolved when it fails, so the next write reports it
+  let shapedError: unknown = null;
+  const writable = new WritableStream({
+    write(msg: any) {
+      if (shapedError) throw shapedError;
+      if (!shaper && !taps.some(t => t.outbound)) return writer.write(msg);
+      const d = datagram(msg);
+      for (const tap of taps) tap.outbound?.(d, socket);
+      if (!shaper) return writer.write(msg);
+      // Shaped sends complete at once, as they would on a real network
+      const data = d.data.slice();
+      shaper.outbound(d, () => {
+        writer.write({ ...msg, data }).catch((err: unknown) => {
+          shapedError ??= err;
+        });
+      });
+    },
+    close: () => writer.close(),
+    abort: reason => writer.abort(reason),
+  });
+
+  return { ...info, readable, writable };
+}
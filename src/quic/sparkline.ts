@@ -0,0 +1,34 @@
+/** Draw a small filled line chart of `values` into a canvas, scaled to fit. */
+export function drawSparkline(canvas: HTMLCanvasElement, values: number[], color: string) {
+  const dpr = window.devicePixelRatio || 1;
+  const w = canvas.clientWidth;
+  const h = canvas.clientHeight;
+  if (canvas.width !== w * dpr || canvas.height !== h * dpr) {
+    canvas.width = w * dpr;
+    canvas.height = h * dpr;
+  }
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, w, h);
+  if (values.length < 2) return;
+
+  const max = Math.max(...values) || 1;
+  const step = w / (values.length - 1);
+  const y = (v: number) => h - 1 - (v / max) * (h - 2);
+
+  ctx.beginPath();
+  ctx.moveTo(0, y(values[0]));
+  values.forEach((v, i) => ctx.lineTo(i * step, y(v)));
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.25;
+  ctx.stroke();
+
+  ctx.lineTo(w, h);
+  ctx.lineTo(0, h);
+  ctx.closePath();
+  ctx.globalAlpha = 0.15;
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+}
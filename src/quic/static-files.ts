@@ -0,0 +1,362 @@
+import { Handler, HttpRequest, StreamContext } from './handlers';
+import { getSetting, putSetting } from './store';
+
+/**
+ * HTTP/3 static file origin backed by a folder the user picked.
+ *
+ * The directory handle is kept in isolated storage, so the same folder is
+ * served on the next launch once read permission is (re)granted.
+ */
+
+const ROOT_KEY = 'http-root';
+
+export async function loadRoot(): Promise<FileSystemDirectoryHandle | null> {
+  try {
+    return (await getSetting<FileSystemDirectoryHandle | null>(ROOT_KEY)) ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+export function saveRoot(root: FileSystemDirectoryHandle | null): Promise<void> {
+  return putSetting(ROOT_KEY, root);
+}
+
+/** 'granted', 'prompt' or 'denied'; asking needs a user gesture. */
+export async function rootPermission(root: FileSystemDirectoryHandle, ask = false): Promise<PermissionState> {
+  const h = root as any;
+  const opts = { mode: 'read' };
+  if (typeof h.queryPermission !== 'function') return 'granted';
+  const state: PermissionState = await h.queryPermission(opts);
+  if (state === 'prompt' && ask) return h.requestPermission(opts);
+  return state;
+}
+
+const CONTENT_TYPES: Record<string, string> = {
+  html: 'text/html; charset=utf-8',
+  htm: 'text/html; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  js: 'text/javascript; charset=utf-8',
+  mjs: 'text/javascript; charset=utf-8',
+  json: 'application/json',
+  map: 'application/json',
+  webmanifest: 'application/manifest+json',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  xml: 'application/xml',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  ico: 'image/x-icon',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  wasm: 'application/wasm',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  gz: 'application/gzip',
+};
+
+export function contentType(name: string): string {
+  const dot = name.lastIndexOf('.');
+  return (dot > 0 && CONTENT_TYPES[name.slice(dot + 1).toLowerCase()]) || 'application/octet-stream';
+}
+
+export type ByteRange = { start: number; end: number }; // end inclusive
+
+/**
+ * Parse a `Range` header against a file of `size` bytes. Returns null to
+ * serve the whole file (no header, multiple ranges, or other units) and
+ * 'unsatisfiable' for a 416.
+ */
+export function parseRange(header: string | undefined, size: number): ByteRange | null | 'unsatisfiable' {
+  const m = header?.trim().match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  let start: number;
+  let end: number;
+  if (m[1] === '') {
+    // Suffix range: the last N bytes
+    const n = Number(m[2]);
+    if (n === 0) return 'unsatisfiable';
+    start = Math.max(0, size - n);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+    if (end < start && m[2] !== '') return null;
+  }
+  if (start >= size) return 'unsatisfiable';
+  return { start, end };
+}
+
+class HttpError extends Error {
+  constructor(readonly status: number, message: string) {
+    super(message);
+  }
+}
+
+/** Split a request path into safe, decoded segments. */
+function segments(path: string): string[] {
+  const pathname = path.split(/[?#]/, 1)[0];
+  if (!pathname.startsWith('/')) throw new HttpError(400, 'bad path');
+  const out: string[] = [];
+  for (const raw of pathname.split('/')) {
+    if (raw === '') continue;
+    let seg: string;
+    try {
+      seg = decodeURIComponent(raw);
+    } catch (_) {
+      throw new HttpError(400, 'bad path encoding');
+    }
+    if (seg === '.' || seg === '..' || seg.includes('/') || seg.includes('\\') || seg.includes('\0')) {
+      throw new HttpError(400, 'bad path segment');
+    }
+    out.push(seg);
+  }
+  return out;
+}
+
+type Resolved =
+  | { kind: 'file'; handle: FileSystemFileHandle }
+  | { kind: 'dir'; handle: FileSystemDirectoryHandle };
+
+async function resolve(root: FileSystemDirectoryHandle, segs: string[]): Promise<Resolved> {
+  let dir = root;
+  for (let i = 0; i < segs.length; i++) {
+    const last = i === segs.length - 1;
+    try {
+      dir = await dir.getDirectoryHandle(segs[i]);
+    } catch (err) {
+      if (!last || (err as DOMException).name !== 'TypeMismatchError') throw new HttpError(404, 'not found');
+      return { kind: 'file', handle: await dir.getFileHandle(segs[i]) };
+    }
+  }
+  return { kind: 'dir', handle: dir };
+}
+
+const HTML_ESCAPES: Record<string, string> = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(s: string): string {
+  return s.replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+async function indexPage(dir: FileSystemDirectoryHandle, urlPath: string): Promise<string> {
+  const entries: { name: string; dir: boolean; size: number }[] = [];
+  for await (const [name, handle] of (dir as any).entries() as AsyncIterable<[string, FileSystemHandle]>) {
+    const isDir = handle.kind === 'directory';
+    const size = isDir ? 0 : (await (handle as FileSystemFileHandle).getFile()).size;
+    entries.push({ name, dir: isDir, size });
+  }
+  entries.sort((a, b) => Number(b.dir) - Number(a.dir) || a.name.localeCompare(b.name));
+  const rows = entries.map(e => {
+    const href = encodeURIComponent(e.name) + (e.dir ? '/' : '');
+    return '<tr><td><a href="' + href + '">' + escapeHtml(e.name) + (e.dir ? '/' : '') + '</a></td>' +
+      '<td>' + (e.dir ? '' : e.size) + '</td></tr>';
+  });
+  if (urlPath !== '/') rows.unshift('<tr><td><a href="../">../</a></td><td></td></tr>');
+  const title = 'Index of ' + escapeHtml(urlPath);
+  return '<!doctype html>\n<meta charset="utf-8">\n<title>' + title + '</title>\n' +
+    '<h1>' + title + '</h1>\n<table>\n' + rows.join('\n') + '\n</table>\n';
+}
+
+/** H3_REQUEST_CANCELLED (RFC 9114 §8.1), for a response the client gave up on. */
+const H3_REQUEST_CANCELLED = 0x10c;
+
+/**
+ * Park a blocked pump until the stream drains. The waiter is also kept on
+ * the connection, so a close releases it instead of leaving it hanging.
+ */
+function drained(s: StreamContext): Promise<void> {
+  let waiting = s.conn.state.get('draining') as Set<StreamContext> | undefined;
+  if (!waiting) {
+    waiting = new Set();
+    s.conn.state.set('draining', waiting);
+  }
+  waiting.add(s);
+  return new Promise<void>(resolve => s.state.set('drain', resolve));
+}
+
+function wake(s: StreamContext) {
+  (s.conn.state.get('draining') as Set<StreamContext> | undefined)?.delete(s);
+  const resolve = s.state.get('drain') as (() => void) | undefined;
+  s.state.delete('drain');
+  resolve?.();
+}
+
+/** Write all of `body` to the stream, waiting out flow control. */
+async function pump(s: StreamContext, body: ReadableStream<Uint8Array>): Promise<number> {
+  const reader = body.getReader();
+  let sent = 0;
+  const stopped = () => s.ended || s.state.has('cancelled');
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done || stopped()) break;
+      sent += value.length;
+      if (!s.write(value)) await drained(s);
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  if (s.state.has('cancelled')) s.reset(H3_REQUEST_CANCELLED);
+  else if (!s.ended) s.end();
+  return sent;
+}
+
+export interface RequestLogEntry {
+  time: number;
+  cid: string;
+  method: string;
+  path: string;
+  status: number;
+  bytes: number;
+  ms: number;
+  error?: string;
+}
+
+/**
+ * Build the `static` handler. `getRoot` is read per request, so picking a
+ * new folder takes effect without a restart.
+ */
+export function createStaticFileHandler(
+  getRoot: () => FileSystemDirectoryHandle | null,
+  onRequestLog: (entry: RequestLogEntry) => void,
+): Handler {
+  const encoder = new TextEncoder();
+
+  async function serve(req: HttpRequest): Promise<{ status: number; bytes: number }> {
+    const s = req.stream;
+    const head = req.method === 'HEAD';
+    const send = async (status: number, headers: Record<string, string>, body?: Blob) => {
+      req.respond(status, headers);
+      if (!body || head) {
+        s.end();
+        return 0;
+      }
+      return pump(s, body.stream());
+    };
+    const sendText = (status: number, text: string, type = 'text/plain; charset=utf-8') => {
+      const body = new Blob([encoder.encode(text)], { type });
+      return send(status, { 'content-type': type, 'content-length': String(body.size) }, body)
+        .then(bytes => ({ status, bytes }));
+    };
+
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        req.respond(405, { allow: 'GET, HEAD', 'content-length': '0' });
+        s.end();
+        return { status: 405, bytes: 0 };
+      }
+      const root = getRoot();
+      if (!root) throw new HttpError(503, 'no folder selected, or read access not granted');
+
+      const segs = segments(req.path);
+      let target = await resolve(root, segs).catch(err => {
+        throw err instanceof HttpError ? err : new HttpError(404, 'not found');
+      });
+      const urlPath = '/' + segs.map(encodeURIComponent).join('/');
+
+      if (target.kind === 'dir') {
+        const pathname = req.path.split(/[?#]/, 1)[0];
+        if (!pathname.endsWith('/')) {
+          // Relative links in index pages need the trailing slash
+          req.respond(301, { location: urlPath + (segs.length ? '/' : ''), 'content-length': '0' });
+          s.end();
+          return { status: 301, bytes: 0 };
+        }
+        const index = await target.handle.getFileHandle('index.html').catch(() => null);
+        if (!index) {
+          return sendText(200, await indexPage(target.handle, '/' + segs.join('/') + (segs.length ? '/' : '')),
+            'text/html; charset=utf-8');
+        }
+        target = { kind: 'file', handle: index };
+      }
+
+      const file = await target.handle.getFile();
+      const etag = '"' + file.size.toString(16) + '-' + file.lastModified.toString(16) + '"';
+      const headers: Record<string, string> = {
+        'content-type': contentType(file.name),
+        'accept-ranges': 'bytes',
+        'last-modified': new Date(file.lastModified).toUTCString(),
+        etag,
+        'cache-control': 'no-cache',
+      };
+      if (req.headers.get('if-none-match') === etag) {
+        req.respond(304, headers);
+        s.end();
+        return { status: 304, bytes: 0 };
+      }
+
+      // A range is only honoured if the file hasn't changed since the validator the client has
+      const ifRange = req.headers.get('if-range');
+      const range = ifRange && ifRange !== etag ? null : parseRange(req.headers.get('range'), file.size);
+      if (range === 'unsatisfiable') {
+        req.respond(416, { 'content-range': 'bytes */' + file.size, 'content-length': '0' });
+        s.end();
+        return { status: 416, bytes: 0 };
+      }
+      if (range) {
+        headers['content-range'] = 'bytes ' + range.start + '-' + range.end + '/' + file.size;
+        headers['content-length'] = String(range.end - range.start + 1);
+        const bytes = await send(206, headers, file.slice(range.start, range.end + 1));
+        return { status: 206, bytes };
+      }
+      headers['content-length'] = String(file.size);
+      return { status: 200, bytes: await send(200, headers, file) };
+    } catch (err) {
+      if (!(err instanceof HttpError)) throw err;
+      return sendText(err.status, err.status + ' ' + err.message + '\n');
+    }
+  }
+
+  return {
+    id: 'static',
+    label: 'http/3 files',
+    description: 'HTTP/3 static file server for the folder picked in the HTTP/3 Origin panel',
+    protocol: 'http3',
+    async onRequest(req) {
+      const started = performance.now();
+      const entry: RequestLogEntry = {
+        time: Date.now(),
+        cid: req.stream.conn.cid,
+        method: req.method,
+        path: req.path,
+        status: 500,
+        bytes: 0,
+        ms: 0,
+      };
+      try {
+        Object.assign(entry, await serve(req));
+      } catch (err) {
+        entry.error = (err as Error).message;
+        throw err;
+      } finally {
+        entry.ms = performance.now() - started;
+        onRequestLog(entry);
+      }
+    },
+    onStreamWritable(s) {
+      wake(s);
+    },
+    onStreamReset(s) {
+      // Client cancelled: a blocked pump wakes, sees the flag and stops
+      s.state.set('cancelled', true);
+      wake(s);
+    },
+    onConnectionClose(c) {
+      // Every stream is ended by now; their pumps just have to wake up
+      for (const s of (c.state.get('draining') as Set<StreamContext> | undefined) ?? []) wake(s);
+    },
+  };
+}
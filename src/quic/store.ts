@@ -0,0 +1,70 @@
+/**
+ * Promise wrapper around the app's IndexedDB database.
+ *
+ * With `isolated_storage: true` in the manifest this lives in the IWA's own
+ * storage partition, so nothing here is shared with a browser profile.
+ * To add an object store, append it to STORES and bump DB_VERSION.
+ */
+
+const DB_NAME = 'socket-iwa';
+const DB_VERSION = 4;
+
+const STORES = {
+  settings: {},
+  qlog: { keyPath: 'id', autoIncrement: true },
+  benchmarks: { keyPath: 'id', autoIncrement: true },
+  history: { keyPath: 'id', autoIncrement: true },
+} satisfies Record<string, IDBObjectStoreParameters>;
+
+export type StoreName = keyof typeof STORES;
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+export function openDb(): Promise<IDBDatabase> {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const [name, opts] of Object.entries<IDBObjectStoreParameters>(STORES)) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, opts);
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+export function promisify<T>(req: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Run `fn` against one object store and resolve with its request's result. */
+export async function withStore<T>(
+  name: StoreName,
+  mode: IDBTransactionMode,
+  fn: (store: IDBObjectStore) => IDBRequest<T>,
+): Promise<T> {
+  const db = await openDb();
+  return promisify(fn(db.transaction(name, mode).objectStore(name)));
+}
+
+export function getSetting<T>(key: string): Promise<T | undefined> {
+  return withStore('settings', 'readonly', s => s.get(key));
+}
+
+export async function putSetting<T>(key: string, value: T): Promise<void> {
+  await withStore('settings', 'readwrite', s => s.put(value, key));
+}
+
+export async function deleteSetting(key: string): Promise<void> {
+  await withStore('settings', 'readwrite', s => s.delete(key));
+}
@@ -0,0 +1,325 @@
+import { HandlerHost, HandlerIo, Handler, NATIVE_HANDLER, getHandler } from './handlers';
+import {
+  MessageAssembler,
+  OP_BINARY,
+  OP_CLOSE,
+  OP_PONG,
+  OP_TEXT,
+  WebSocketError,
+  acceptKey,
+  closePayload,
+  encodeFrame,
+} from './websocket';
+import {
+  ByteReader,
+  HttpError,
+  Request,
+  bodyLength,
+  closeSocket,
+  hasToken,
+  parseHead,
+  wantsKeepAlive,
+  writeResponse,
+} from './http1';
+
+/**
+ * Plain-TCP companion for networks that block UDP, on a Direct Sockets
+ * TCPServerSocket. Speaks HTTP/1.1:
+ *   GET /cert-hash  current certificate hash(es) as JSON, for WebTransport's
+ *                   serverCertificateHashes
+ *   GET /ws         WebSocket; the session is one bidirectional stream run
+ *                   by the same handler as the QUIC side
+ */
+
+/** How long a peer's WebSocket close waits for the handler to finish. */
+const CLOSE_GRACE_MS = 5000;
+
+export interface CertHashInfo {
+  hashes: string[];
+  notAfter: number;
+  quicPort: number;
+}
+
+export interface TcpHooks {
+  log(msg: string, cls?: string): void;
+  /** Called whenever the number of open TCP connections changes. */
+  onCount(open: number): void;
+  certHashes(): CertHashInfo | null;
+}
+
+interface WsSession {
+  writer: WritableStreamDefaultWriter<Uint8Array>;
+  closing: boolean;
+  /** Resolves once our close frame has been queued. */
+  closed: Promise<void>;
+  markClosed(): void;
+  waiting: boolean;
+  closeTimer?: number;
+}
+
+/** An accepted socket and, once it has opened, the locks on its streams. */
+interface Peer {
+  reader: ByteReader | null;
+  writer: WritableStreamDefaultWriter<Uint8Array> | null;
+}
+
+export class TcpCompanion implements HandlerIo {
+  readonly host: HandlerHost;
+  port = 0;
+  private server: any = null;
+  private sockets = new Map<any, Peer>();
+  private sessions = new Map<string, WsSession>();
+  private seq = 0;
+
+  constructor(private hooks: TcpHooks) {
+    this.host = new HandlerHost(this, (msg, cls) => hooks.log('[tcp] ' + msg, cls));
+    // Nothing runs natively here, so echo runs as JavaScript too
+    this.host.nativeHandler = null;
+  }
+
+  get open(): number {
+    return this.sockets.size;
+  }
+
+  get listening(): boolean {
+    return this.server !== null;
+  }
+
+  /** HTTP/3 handlers have no WebSocket mapping; those fall back to echo. */
+  setHandler(h: Handler | undefined) {
+    this.host.handler = h?.protocol === 'http3' ? getHandler(NATIVE_HANDLER) : h;
+  }
+
+  async start(address: string, port: number) {
+    if (this.server) return;
+    const Server = (globalThis as any).TCPServerSocket;
+    if (typeof Server !== 'function') throw new Error('TCPServerSocket is not available');
+    const server = new Server(address, { localPort: port });
+    const { readable, localAddress, localPort } = await server.opened;
+    this.server = server;
+    this.port = localPort;
+    this.hooks.log('[tcp] Listening on ' + localAddress + ':' + localPort + ' (HTTP/1.1, WebSocket at /ws)', 'log-ok');
+    this.accept(server, readable);
+  }
+
+  async stop() {
+    const server = this.server;
+    if (!server) return;
+    this.server = null;
+    for (const cid of [...this.sessions.keys()]) this.closeSession(cid, 1001, 'server stopping');
+    await Promise.all([...this.sockets].map(([socket, p]) => closeSocket(socket, p.reader, p.writer)));
+    try {
+      await server.close();
+    } catch (_) {}
+    this.hooks.log('[tcp] Stopped', 'log-info');
+  }
+
+  private async accept(server: any, readable: ReadableStream<any>) {
+    const reader = readable.getReader();
+    try {
+      for (;;) {
+        const { value: socket, done } = await reader.read();
+        if (done) break;
+        this.serve(socket);
+      }
+    } catch (err) {
+      if (this.server === server) this.hooks.log('[tcp] Accept failed: ' + (err as Error).message, 'log-err');
+    }
+  }
+
+  private async serve(socket: any) {
+    const entry: Peer = { reader: null, writer: null };
+    this.sockets.set(socket, entry);
+    this.hooks.onCount(this.sockets.size);
+    let peer = '?';
+    try {
+      const { readable, writable, remoteAddress, remotePort } = await socket.opened;
+      peer = (remoteAddress.includes(':') ? '[' + remoteAddress + ']' : remoteAddress) + ':' + remotePort;
+      this.hooks.log('[tcp] Connection from ' + peer, 'log-info');
+      const reader = new ByteReader(readable.getReader());
+      const writer: WritableStreamDefaultWriter<Uint8Array> = writable.getWriter();
+      Object.assign(entry, { reader, writer });
+      await this.http(reader, writer, peer);
+    } catch (err) {
+      this.hooks.log('[tcp] ' + peer + ': ' + (err as Error).message, 'log-warn');
+    } finally {
+      await closeSocket(socket, entry.reader, entry.writer);
+      this.sockets.delete(socket);
+      this.hooks.onCount(this.sockets.size);
+      this.hooks.log('[tcp] Connection from ' + peer + ' closed', 'log-dim');
+    }
+  }
+
+  private async http(reader: ByteReader, writer: WritableStreamDefaultWriter<Uint8Array>, peer: string) {
+    for (;;) {
+      let req: Request;
+      try {
+        const head = await reader.readHead();
+        if (head === null) return;
+        req = parseHead(head);
+        await reader.skip(bodyLength(req));
+      } catch (err) {
+        if (!(err instanceof HttpError)) throw err;
+        await writeResponse(writer, err.status, { 'content-type': 'text/plain' }, err.message + '\n', false);
+        return;
+      }
+
+      const keepAlive = wantsKeepAlive(req);
+      const path = req.target.split('?', 1)[0];
+      const status = await this.route(req, path, reader, writer, peer, keepAlive);
+      if (status === 101) return; // the WebSocket session owned the socket until it closed
+      this.hooks.log('[tcp] ' + req.method + ' ' + req.target + ' → ' + status + ' (' + peer + ')',
+        status >= 400 ? 'log-warn' : 'log-dim');
+      if (!keepAlive) return;
+    }
+  }
+
+  private async route(
+    req: Request, path: string, reader: ByteReader, writer: WritableStreamDefaultWriter<Uint8Array>,
+    peer: string, keepAlive: boolean,
+  ): Promise<number> {
+    const send = (status: number, headers: Record<string, string>, body: string) =>
+      writeResponse(writer, status, headers, req.method === 'HEAD' ? null : body, keepAlive, body).then(() => status);
+    const cors = { 'access-control-allow-origin': '*' };
+
+    if (req.method === 'OPTIONS') {
+      return send(204, { ...cors, 'access-control-allow-methods': 'GET, HEAD, OPTIONS' }, '');
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return send(405, { allow: 'GET, HEAD, OPTIONS', 'content-type': 'text/plain' }, 'method not allowed\n');
+    }
+
+    switch (path) {
+      case '/':
+        return send(200, { 'content-type': 'text/plain; charset=utf-8' },
+          'socket-iwa tcp companion\n\n' +
+          'GET /cert-hash  certificate hashes for WebTransport serverCertificateHashes\n' +
+          'GET /ws         WebSocket, handled like a QUIC stream by the selected handler\n');
+      case '/cert-hash': {
+        const info = this.hooks.certHashes();
+        if (!info) return send(503, { ...cors, 'content-type': 'text/plain' }, 'no certificate yet\n');
+        return send(200, { ...cors, 'content-type': 'application/json', 'cache-control': 'no-store' },
+          JSON.stringify({
+            algorithm: 'sha-256',
+            hashes: info.hashes,
+            notAfter: new Date(info.notAfter).toISOString(),
+            quicPort: info.quicPort,
+          }) + '\n');
+      }
+      case '/ws':
+        if (!hasToken(req.headers.get('upgrade'), 'websocket') || !req.headers.has('sec-websocket-key')) {
+          return send(426, { upgrade: 'websocket', 'content-type': 'text/plain' }, 'websocket upgrade required\n');
+        }
+        if (req.headers.get('sec-websocket-version') !== '13') {
+          return send(400, { 'sec-websocket-version': '13', 'content-type': 'text/plain' }, 'unsupported websocket version\n');
+        }
+        await writeResponse(writer, 101, {
+          upgrade: 'websocket',
+          connection: 'Upgrade',
+          'sec-websocket-accept': await acceptKey(req.headers.get('sec-websocket-key')!),
+        }, null, true);
+        await this.websocket(reader, writer, peer);
+        return 101;
+      default:
+        return send(404, { 'content-type': 'text/plain' }, 'not found\n');
+    }
+  }
+
+  private async websocket(reader: ByteReader, writer: WritableStreamDefaultWriter<Uint8Array>, peer: string) {
+    const cid = 'tcp-' + ++this.seq;
+    let markClosed!: () => void;
+    const closed = new Promise<void>(resolve => (markClosed = resolve));
+    const session: WsSession = { writer, closing: false, closed, markClosed, waiting: false };
+    this.sessions.set(cid, session);
+    this.hooks.log('[tcp] WebSocket ' + cid + ' open from ' + peer, 'log-ok');
+    this.host.connectionOpened(cid, peer);
+    this.host.handshakeComplete(cid, 'websocket');
+    this.host.dispatch({ type: 'stream-open', cid, streamId: 0, bidi: true });
+
+    let peerClosed = false;
+    const assembler = new MessageAssembler({
+      message: (data, binary) => {
+        this.host.dispatch({ type: 'stream-data', cid, streamId: 0, data, fin: false, text: !binary });
+      },
+      ping: payload => this.send(session, encodeFrame(OP_PONG, payload)),
+      close: code => {
+        peerClosed = true;
+        this.hooks.log('[tcp] WebSocket ' + cid + ' closed by peer (' + code + ')', 'log-info');
+        // The peer's close is its FIN; answer once the handler has finished
+        this.host.dispatch({ type: 'stream-data', cid, streamId: 0, data: new Uint8Array(0), fin: true });
+        if (!session.closing) {
+          session.closeTimer = window.setTimeout(() => this.closeSession(cid, 1000, ''), CLOSE_GRACE_MS);
+        }
+      },
+    });
+
+    try {
+      while (!peerClosed) {
+        const chunk = await reader.read();
+        if (!chunk) break;
+        assembler.push(chunk);
+      }
+    } catch (err) {
+      if (err instanceof WebSocketError) {
+        this.hooks.log('[tcp] WebSocket ' + cid + ': ' + err.message, 'log-warn');
+        this.closeSession(cid, err.code, err.message);
+      } else {
+        throw err;
+      }
+    } finally {
+      // Wait for our close frame to go out before the socket is torn down
+      if (peerClosed) await session.closed;
+      clearTimeout(session.closeTimer);
+      this.sessions.delete(cid);
+      this.host.connectionClosed(cid);
+      await writer.ready.catch(() => {});
+    }
+  }
+
+  private send(session: WsSession, frame: Uint8Array) {
+    session.writer.write(frame).catch(() => {});
+  }
+
+  private closeSession(cid: string, code: number, reason: string) {
+    const session = this.sessions.get(cid);
+    if (!session || session.closing) return;
+    session.closing = true;
+    clearTimeout(session.closeTimer);
+    this.send(session, encodeFrame(OP_CLOSE, closePayload(code, reason)));
+    session.markClosed();
+  }
+
+  writeStream(cid: string, _streamId: number, data: Uint8Array, fin: boolean, text = false): number {
+    const session = this.sessions.get(cid);
+    if (!session || session.closing) return -1;
+    const desired = session.writer.desiredSize;
+    if (data.length && desired !== null && desired <= 0) {
+      if (!session.waiting) {
+        session.waiting = true;
+        session.writer.ready.then(() => {
+          session.waiting = false;
+          this.host.dispatch({ type: 'stream-writable', cid, streamId: 0 });
+        }, () => {});
+      }
+      return 0;
+    }
+    if (data.length) this.send(session, encodeFrame(text ? OP_TEXT : OP_BINARY, data));
+    if (fin) this.closeSession(cid, 1000, '');
+    return data.length;
+  }
+
+  resetStream(cid: string, _streamId: number, code: number) {
+    this.closeSession(cid, 1011, 'handler error 0x' + code.toString(16));
+  }
+
+  sendDatagram(cid: string, data: Uint8Array): boolean {
+    const session = this.sessions.get(cid);
+    if (!session || session.closing) return false;
+    this.send(session, encodeFrame(OP_BINARY, data));
+    return true;
+  }
+
+  respond(): boolean {
+    return false;
+  }
+}
@@ -0,0 +1,206 @@
+import { getSetting, putSetting } from './store';
+import { ByteReader, MAX_BODY, closeSocket, parseResponseHead } from './http1';
+
+/**
+ * Which build is running, and whether the update manifest offers a newer
+ * one. `npm run build:swbn` writes dist/update.json next to the versioned
+ * bundle; Chrome polls that itself for installs that know its URL, so this
+ * only tells the user what is coming, it doesn't install anything.
+ *
+ * The installed app's CSP only lets fetch() reach https, so plain http
+ * manifest URLs (a local server standing in during testing) are fetched
+ * over a TCPSocket instead.
+ */
+
+export interface AppInfo {
+  /** `version` from the web app manifest, the same one the bundle was built with. */
+  version: string;
+  /** The signed bundle's ID; null outside the installed app. */
+  bundleId: string | null;
+}
+
+export async function appInfo(): Promise<AppInfo> {
+  const bundleId = location.protocol === 'isolated-app:' ? location.hostname : null;
+  try {
+    const res = await fetch('/.well-known/manifest.webmanifest');
+    const manifest = await res.json();
+    return { version: typeof manifest.version === 'string' ? manifest.version : 'unknown', bundleId };
+  } catch (_) {
+    return { version: 'unknown', bundleId };
+  }
+}
+
+const VERSION = /^\d+(\.\d+)*$/;
+
+/** IWA versions are dot-separated integers; missing parts count as 0. */
+export function compareVersions(a: string, b: string): number {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] ?? 0) - (pb[i] ?? 0);
+    if (d) return Math.sign(d);
+  }
+  return 0;
+}
+
+export interface UpdateEntry {
+  version: string;
+  /** Bundle URL, resolved against the manifest's. */
+  src: string;
+}
+
+/** The newest entry of an update manifest ({"versions": [{"version", "src"}]}). */
+export function latestVersion(manifest: unknown, manifestUrl: string): UpdateEntry {
+  const versions = (manifest as { versions?: unknown })?.versions;
+  if (!Array.isArray(versions)) throw new Error('update manifest has no "versions" list');
+  let latest: UpdateEntry | null = null;
+  for (const v of versions) {
+    if (typeof v?.version !== 'string' || !VERSION.test(v.version) || typeof v.src !== 'string') {
+      throw new Error('update manifest entry is not {"version", "src"}: ' + JSON.stringify(v));
+    }
+    if (!latest || compareVersions(v.version, latest.version) > 0) {
+      latest = { version: v.version, src: new URL(v.src, manifestUrl).href };
+    }
+  }
+  if (!latest) throw new Error('update manifest lists no versions');
+  return latest;
+}
+
+export interface UpdateSettings {
+  /** Where the update manifest is served; empty turns the check off. */
+  manifestUrl: string;
+}
+
+export const DEFAULT_UPDATES: UpdateSettings = { manifestUrl: '' };
+
+export function validateUpdates(u: UpdateSettings): string[] {
+  if (!u.manifestUrl) return [];
+  try {
+    const url = new URL(u.manifestUrl);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return ['update manifest url must be http(s)'];
+  } catch (_) {
+    return ['update manifest url is not a url'];
+  }
+  return [];
+}
+
+const UPDATES_KEY = 'updates';
+
+export async function loadUpdates(): Promise<UpdateSettings> {
+  try {
+    const u = { ...DEFAULT_UPDATES, ...(await getSetting<Partial<UpdateSettings>>(UPDATES_KEY)) };
+    return validateUpdates(u).length === 0 ? u : { ...DEFAULT_UPDATES };
+  } catch (_) {
+    return { ...DEFAULT_UPDATES };
+  }
+}
+
+export function saveUpdates(u: UpdateSettings): Promise<void> {
+  return putSetting(UPDATES_KEY, u);
+}
+
+const CHECK_TIMEOUT_MS = 10000;
+
+interface Streams {
+  reader: ByteReader | null;
+  writer: WritableStreamDefaultWriter<Uint8Array> | null;
+}
+
+/**
+ * GET over a TCPSocket; only what a static file server answers with. An
+ * abort closes the socket, so a stalled server doesn't keep it open.
+ */
+async function httpGet(url: URL, signal: AbortSignal): Promise<string> {
+  signal.throwIfAborted();
+  const socket = new (globalThis as any).TCPSocket(url.hostname.replace(/^\[|\]$/g, ''), Number(url.port) || 80);
+  const streams: Streams = { reader: null, writer: null };
+  let onAbort!: () => void;
+  const aborted = new Promise<never>((_, reject) => {
+    onAbort = () => {
+      reject(signal.reason);
+      closeSocket(socket, streams.reader, streams.writer);
+    };
+  });
+  signal.addEventListener('abort', onAbort, { once: true });
+  try {
+    return await Promise.race([exchange(socket, url, streams), aborted]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+    await closeSocket(socket, streams.reader, streams.writer);
+  }
+}
+
+async function exchange(socket: any, url: URL, streams: Streams): Promise<string> {
+  const { readable, writable } = await socket.opened;
+  const writer: WritableStreamDefaultWriter<Uint8Array> = writable.getWriter();
+  const reader = new ByteReader(readable.getReader());
+  Object.assign(streams, { reader, writer });
+  const request = 'GET ' + url.pathname + url.search + ' HTTP/1.1\r\nHost: ' + url.host +
+    '\r\nAccept: application/json\r\nConnection: close\r\n\r\n';
+  await writer.write(new TextEncoder().encode(request));
+
+  const head = await reader.readHead();
+  if (head === null) throw new Error('the server closed the connection without answering');
+  const res = parseResponseHead(head);
+  if (res.status !== 200) throw new Error('HTTP ' + res.status);
+  if (res.headers.has('transfer-encoding')) throw new Error('chunked responses are not supported');
+
+  let body: Uint8Array;
+  const length = res.headers.get('content-length');
+  if (length !== undefined) {
+    const n = Number(length);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_BODY) throw new Error('bad content-length ' + length);
+    body = await reader.readBody(n);
+  } else {
+    // HTTP/1.0 style: the body runs to the end of the connection
+    const parts: Uint8Array[] = [];
+    let size = 0;
+    for (let part = await reader.read(); part; part = await reader.read()) {
+      size += part.length;
+      if (size > MAX_BODY) throw new Error('update manifest larger than ' + MAX_BODY + ' bytes');
+      parts.push(part);
+    }
+    body = new Uint8Array(size);
+    let o = 0;
+    for (const p of parts) {
+      body.set(p, o);
+      o += p.length;
+    }
+  }
+  return new TextDecoder().decode(body);
+}
+
+async function fetchManifest(manifestUrl: string): Promise<unknown> {
+  const url = new URL(manifestUrl);
+  const viaSocket = url.protocol === 'http:' && location.protocol === 'isolated-app:' &&
+    typeof (globalThis as any).TCPSocket === 'function';
+  let text: string;
+  if (viaSocket) {
+    text = await httpGet(url, AbortSignal.timeout(CHECK_TIMEOUT_MS)).catch(err => {
+      throw (err as DOMException)?.name === 'TimeoutError' ? new Error('no answer from ' + url.host) : err;
+    });
+  } else {
+    const res = await fetch(url, { cache: 'no-store', signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    text = await res.text();
+  }
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    throw new Error('update manifest is not json');
+  }
+}
+
+export interface UpdateCheck {
+  current: string;
+  latest: UpdateEntry;
+  /** The manifest offers something newer than what is running. */
+  available: boolean;
+  checkedAt: number;
+}
+
+export async function checkForUpdates(manifestUrl: string, current: string): Promise<UpdateCheck> {
+  const latest = latestVersion(await fetchManifest(manifestUrl), manifestUrl);
+  const available = VERSION.test(current) && compareVersions(latest.version, current) > 0;
+  return { current, latest, available, checkedAt: Date.now() };
+}
@@ -0,0 +1,341 @@
+import { getSetting, putSetting } from './store';
+import { MetricsState } from './metrics';
+
+/**
+ * Monitor wall: windows placed on chosen screens with the Window Management
+ * API, one per live connection (quic.html?conn=N) and one per metric panel
+ * (quic.html?panel=ID). The server tab owns the windows, closes connection
+ * windows when their connection ends, and remembers where the panel windows
+ * were moved to so the next launch puts them back.
+ *
+ * Panel windows draw from a copy of the server tab's metrics, sent over
+ * WALL_CHANNEL; connection windows use the connection channel as before.
+ */
+
+export const WALL_CHANNEL = 'socket-iwa-wall';
+
+export type WallPanelId = 'packets' | 'throughput' | 'transport' | 'connections';
+
+export const WALL_PANELS: { id: WallPanelId; label: string }[] = [
+  { id: 'packets', label: 'Packets/s' },
+  { id: 'throughput', label: 'Throughput' },
+  { id: 'transport', label: 'Handshake, loss, streams' },
+  { id: 'connections', label: 'Per-connection transport' },
+];
+
+export type WallMessage =
+  | { type: 'hello' }
+  | { type: 'metrics'; state: MetricsState; labels: [cid: string, n: number][] };
+
+export interface Bounds {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+export interface WallPanelSlot {
+  id: WallPanelId;
+  /** screenKey() of the screen it goes on. */
+  screen: string;
+  /** Where the window was last seen, in multi-screen coordinates. */
+  bounds?: Bounds;
+}
+
+export interface WallSettings {
+  /** Reopen the wall on launch and open a window per new connection. */
+  enabled: boolean;
+  connScreen: string;
+  /** Connection windows beyond this are skipped, not queued. */
+  maxConnWindows: number;
+  panels: WallPanelSlot[];
+}
+
+export const DEFAULT_WALL: WallSettings = {
+  enabled: false,
+  connScreen: '',
+  maxConnWindows: 9,
+  panels: [],
+};
+
+export function validateWall(w: WallSettings): string[] {
+  const problems: string[] = [];
+  if (!Number.isInteger(w.maxConnWindows) || w.maxConnWindows < 0 || w.maxConnWindows > 16) {
+    problems.push('connection windows must be 0–16');
+  }
+  for (const p of w.panels) {
+    if (!WALL_PANELS.some(d => d.id === p.id)) problems.push('unknown panel: ' + p.id);
+  }
+  if (new Set(w.panels.map(p => p.id)).size !== w.panels.length) problems.push('each panel can only be on the wall once');
+  return problems;
+}
+
+const WALL_KEY = 'wall';
+
+export async function loadWall(): Promise<WallSettings> {
+  try {
+    const saved = await getSetting<Partial<WallSettings>>(WALL_KEY);
+    const wall = { ...DEFAULT_WALL, ...saved };
+    return validateWall(wall).length === 0 ? wall : { ...DEFAULT_WALL };
+  } catch (_) {
+    return { ...DEFAULT_WALL };
+  }
+}
+
+export function saveWall(wall: WallSettings): Promise<void> {
+  return putSetting(WALL_KEY, wall);
+}
+
+/** The parts of ScreenDetailed the wall uses; there are no DOM types for it yet. */
+export interface WallScreen {
+  label: string;
+  isPrimary: boolean;
+  availLeft: number;
+  availTop: number;
+  availWidth: number;
+  availHeight: number;
+}
+
+/**
+ * Labels can be empty or repeat (two identical monitors), so the key also
+ * carries the position, which is stable until the displays are rearranged.
+ */
+export function screenKey(s: WallScreen): string {
+  return (s.label || 'screen') + '@' + s.availLeft + ',' + s.availTop;
+}
+
+export function describeScreen(s: WallScreen): string {
+  return (s.label || 'Screen') + ' — ' + s.availWidth + '×' + s.availHeight + (s.isPrimary ? ' (primary)' : '');
+}
+
+/** Cell `index` of a near-square grid of `count` cells over the screen. */
+export function tile(s: WallScreen, index: number, count: number): Bounds {
+  const cols = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / cols);
+  const width = Math.floor(s.availWidth / cols);
+  const height = Math.floor(s.availHeight / rows);
+  return {
+    left: s.availLeft + (index % cols) * width,
+    top: s.availTop + Math.floor(index / cols) * height,
+    width,
+    height,
+  };
+}
+
+/** Whether `b` is still mostly on `s`, e.g. after the displays changed. */
+export function onScreen(b: Bounds, s: WallScreen): boolean {
+  const cx = b.left + b.width / 2;
+  const cy = b.top + b.height / 2;
+  return cx >= s.availLeft && cx < s.availLeft + s.availWidth && cy >= s.availTop && cy < s.availTop + s.availHeight;
+}
+
+export interface WallHooks {
+  log(msg: string, cls?: string): void;
+  /** Windows opened or closed, or the screen list changed. */
+  onChange(): void;
+  /** A panel window was moved or resized; the settings were updated. */
+  onLayout(): void;
+}
+
+/** How often window positions and manual closes are picked up. */
+const POLL_MS = 2000;
+
+export class MonitorWall {
+  screens: WallScreen[] = [];
+  private details: any = null;
+  private panelWindows = new Map<WallPanelId, Window>();
+  private connWindows = new Map<number, Window>();
+  /** Grid cell of each connection window. */
+  private connCells = new Map<number, number>();
+  private poll: ReturnType<typeof setInterval> | null = null;
+
+  constructor(private settings: () => WallSettings, private hooks: WallHooks) {}
+
+  static get supported(): boolean {
+    return typeof (window as any).getScreenDetails === 'function';
+  }
+
+  /** Screen details without prompting; false until permission was granted once. */
+  async loadScreensIfGranted(): Promise<boolean> {
+    if (!MonitorWall.supported) return false;
+    try {
+      const status = await navigator.permissions.query({ name: 'window-management' as PermissionName });
+      if (status.state !== 'granted') return false;
+    } catch (_) {
+      return false;
+    }
+    return this.loadScreens();
+  }
+
+  /** Prompts for the Window Management permission if needed. */
+  async loadScreens(): Promise<boolean> {
+    if (!MonitorWall.supported) return false;
+    try {
+      this.useScreenDetails(this.details ?? (await (window as any).getScreenDetails()));
+      return true;
+    } catch (err) {
+      this.hooks.log('Screen details unavailable: ' + (err as Error).message, 'log-warn');
+      return false;
+    }
+  }
+
+  /** Accepts details fetched elsewhere, e.g. by the borderless component. */
+  useScreenDetails(details: any) {
+    if (details !== this.details) {
+      this.details = details;
+      details.addEventListener('screenschange', () => {
+        if (this.details !== details) return;
+        this.screens = [...details.screens];
+        this.hooks.onChange();
+      });
+    }
+    this.screens = [...details.screens];
+    this.hooks.onChange();
+  }
+
+  get panelCount(): number {
+    return this.panelWindows.size;
+  }
+
+  get connCount(): number {
+    return this.connWindows.size;
+  }
+
+  /** The configured screen, else the primary, else whatever is there. */
+  private screenFor(key: string): WallScreen | null {
+    return this.screens.find(s => screenKey(s) === key) ?? this.screens.find(s => s.isPrimary) ?? this.screens[0] ?? null;
+  }
+
+  /** Opens every configured panel that isn't open; returns how many were blocked. */
+  openPanels(): number {
+    const slots = this.settings().panels;
+    let blocked = 0;
+    for (const slot of slots) {
+      if (this.panelWindows.has(slot.id)) continue;
+      const screen = this.screenFor(slot.screen);
+      const peers = slots.filter(p => p.screen === slot.screen);
+      let bounds = slot.bounds;
+      if (!bounds || (screen && !onScreen(bounds, screen))) {
+        bounds = screen ? tile(screen, peers.indexOf(slot), peers.length) : undefined;
+      }
+      const win = this.open('/quic.html?panel=' + slot.id, 'wall-panel-' + slot.id, bounds);
+      if (win) this.panelWindows.set(slot.id, win);
+      else blocked++;
+    }
+    this.watch();
+    return blocked;
+  }
+
+  closePanel(id: WallPanelId) {
+    this.panelWindows.get(id)?.close();
+    this.panelWindows.delete(id);
+    this.hooks.onChange();
+  }
+
+  /** A window for a new connection, if the wall is on and has room. */
+  connectionOpened(n: number) {
+    const s = this.settings();
+    if (!s.enabled || this.connWindows.has(n)) return;
+    if (this.connWindows.size >= s.maxConnWindows) return;
+    this.openConnection(n);
+  }
+
+  /** Focus the connection's window, opening one even past the limit. */
+  showConnection(n: number) {
+    const win = this.connWindows.get(n);
+    if (win && !win.closed) win.focus();
+    else this.openConnection(n);
+  }
+
+  private openConnection(n: number) {
+    const s = this.settings();
+    const screen = this.screenFor(s.connScreen);
+    // Fill the first free cell so windows of closed connections get reused
+    const used = new Set(this.connCells.values());
+    let cell = 0;
+    while (used.has(cell)) cell++;
+    const cells = Math.max(s.maxConnWindows, cell + 1);
+    const win = this.open('/quic.html?conn=' + n + '&wall=1', 'wall-conn-' + n, screen ? tile(screen, cell, cells) : undefined);
+    if (!win) {
+      this.hooks.log('Monitor wall: the window for connection #' + n + ' was blocked', 'log-warn');
+      return;
+    }
+    this.connWindows.set(n, win);
+    this.connCells.set(n, cell);
+    this.watch();
+  }
+
+  connectionClosed(n: number) {
+    const win = this.connWindows.get(n);
+    if (!win) return;
+    win.close();
+    this.connWindows.delete(n);
+    this.connCells.delete(n);
+    this.hooks.onChange();
+  }
+
+  closeConnections() {
+    for (const win of this.connWindows.values()) win.close();
+    this.connWindows.clear();
+    this.connCells.clear();
+    this.hooks.onChange();
+  }
+
+  closeAll() {
+    this.captureBounds();
+    for (const win of [...this.panelWindows.values(), ...this.connWindows.values()]) win.close();
+    this.panelWindows.clear();
+    this.connWindows.clear();
+    this.connCells.clear();
+    this.unwatch();
+    this.hooks.onChange();
+  }
+
+  private open(url: string, name: string, b?: Bounds): Window | null {
+    const features = b ? 'popup,left=' + b.left + ',top=' + b.top + ',width=' + b.width + ',height=' + b.height : 'popup';
+    const win = window.open(url, name, features);
+    if (win) this.hooks.onChange();
+    return win;
+  }
+
+  /** Records where panel windows are now; true if any moved. */
+  private captureBounds(): boolean {
+    let moved = false;
+    for (const slot of this.settings().panels) {
+      const win = this.panelWindows.get(slot.id);
+      if (!win || win.closed || !win.outerWidth) continue;
+      const b = { left: win.screenX, top: win.screenY, width: win.outerWidth, height: win.outerHeight };
+      const prev = slot.bounds;
+      if (prev && prev.left === b.left && prev.top === b.top && prev.width === b.width && prev.height === b.height) continue;
+      slot.bounds = b;
+      const screen = this.screens.find(s => onScreen(b, s));
+      if (screen) slot.screen = screenKey(screen);
+      moved = true;
+    }
+    return moved;
+  }
+
+  private watch() {
+    if (this.poll) return;
+    this.poll = setInterval(() => {
+      let changed = false;
+      for (const [id, win] of this.panelWindows) {
+        if (win.closed) changed = this.panelWindows.delete(id);
+      }
+      for (const [n, win] of this.connWindows) {
+        if (!win.closed) continue;
+        this.connWindows.delete(n);
+        this.connCells.delete(n);
+        changed = true;
+      }
+      if (this.captureBounds()) this.hooks.onLayout();
+      if (changed) this.hooks.onChange();
+      if (!this.panelWindows.size && !this.connWindows.size) this.unwatch();
+    }, POLL_MS);
+  }
+
+  private unwatch() {
+    if (this.poll) clearInterval(this.poll);
+    this.poll = null;
+  }
+}
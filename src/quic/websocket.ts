@@ -0,0 +1,175 @@
+/**
+ * Server side of RFC 6455: the opening handshake and frame codec used by
+ * the TCP companion. Client frames are masked, server frames are not.
+ */
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/** Largest reassembled message accepted, 16 MiB. */
+export const MAX_MESSAGE = 16 * 1024 * 1024;
+
+export const OP_CONTINUATION = 0x0;
+export const OP_TEXT = 0x1;
+export const OP_BINARY = 0x2;
+export const OP_CLOSE = 0x8;
+export const OP_PING = 0x9;
+export const OP_PONG = 0xa;
+
+/** `Sec-WebSocket-Accept` for a client's `Sec-WebSocket-Key`. */
+export async function acceptKey(key: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(key.trim() + WS_GUID));
+  return btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
+
+export interface Frame {
+  fin: boolean;
+  opcode: number;
+  payload: Uint8Array;
+}
+
+export class WebSocketError extends Error {
+  constructor(readonly code: number, message: string) {
+    super(message);
+  }
+}
+
+/**
+ * Try to decode one frame from the front of `buf`. Returns the frame and
+ * the bytes it used, or null if more data is needed.
+ */
+export function decodeFrame(buf: Uint8Array): { frame: Frame; used: number } | null {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  if (buf[0] & 0x70) throw new WebSocketError(1002, 'reserved bits set');
+  const opcode = buf[0] & 0x0f;
+  if (!(buf[1] & 0x80)) throw new WebSocketError(1002, 'client frame not masked');
+
+  let len = buf[1] & 0x7f;
+  let offset = 2;
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = (buf[2] << 8) | buf[3];
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    const view = new DataView(buf.buffer, buf.byteOffset + 2, 8);
+    if (view.getUint32(0) !== 0) throw new WebSocketError(1009, 'frame too large');
+    len = view.getUint32(4);
+    offset = 10;
+  }
+  if (len > MAX_MESSAGE) throw new WebSocketError(1009, 'frame too large');
+  if (opcode >= 0x8 && (len > 125 || !fin)) throw new WebSocketError(1002, 'bad control frame');
+  if (buf.length < offset + 4 + len) return null;
+
+  const mask = buf.subarray(offset, offset + 4);
+  const payload = buf.slice(offset + 4, offset + 4 + len);
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  return { frame: { fin, opcode, payload }, used: offset + 4 + len };
+}
+
+export function encodeFrame(opcode: number, payload: Uint8Array = new Uint8Array(0)): Uint8Array {
+  const len = payload.length;
+  const header = len < 126 ? 2 : len < 0x10000 ? 4 : 10;
+  const out = new Uint8Array(header + len);
+  out[0] = 0x80 | opcode;
+  if (len < 126) {
+    out[1] = len;
+  } else if (len < 0x10000) {
+    out[1] = 126;
+    new DataView(out.buffer).setUint16(2, len);
+  } else {
+    out[1] = 127;
+    new DataView(out.buffer).setUint32(6, len);
+  }
+  out.set(payload, header);
+  return out;
+}
+
+export function closePayload(code: number, reason = ''): Uint8Array {
+  const text = new TextEncoder().encode(reason).subarray(0, 123);
+  const out = new Uint8Array(2 + text.length);
+  new DataView(out.buffer).setUint16(0, code);
+  out.set(text, 2);
+  return out;
+}
+
+/**
+ * Reassembles fragmented messages and answers control frames. Feed it raw
+ * bytes; it calls back with whole messages.
+ */
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+export class MessageAssembler {
+  private buf = new Uint8Array(0);
+  private parts: Uint8Array[] = [];
+  private partsLen = 0;
+  private opcode = 0;
+
+  constructor(private handlers: {
+    message(data: Uint8Array, binary: boolean): void;
+    ping(payload: Uint8Array): void;
+    close(code: number, reason: string): void;
+  }) {}
+
+  push(chunk: Uint8Array) {
+    const next = new Uint8Array(this.buf.length + chunk.length);
+    next.set(this.buf);
+    next.set(chunk, this.buf.length);
+    this.buf = next;
+
+    for (;;) {
+      const decoded = decodeFrame(this.buf);
+      if (!decoded) return;
+      this.buf = this.buf.subarray(decoded.used);
+      this.frame(decoded.frame);
+    }
+  }
+
+  private frame(f: Frame) {
+    switch (f.opcode) {
+      case OP_PING:
+        this.handlers.ping(f.payload);
+        return;
+      case OP_PONG:
+        return;
+      case OP_CLOSE: {
+        const view = new DataView(f.payload.buffer, f.payload.byteOffset, f.payload.length);
+        const code = f.payload.length >= 2 ? view.getUint16(0) : 1005;
+        this.handlers.close(code, new TextDecoder().decode(f.payload.subarray(2)));
+        return;
+      }
+      case OP_TEXT:
+      case OP_BINARY:
+        if (this.parts.length) throw new WebSocketError(1002, 'expected continuation frame');
+        this.opcode = f.opcode;
+        break;
+      case OP_CONTINUATION:
+        if (!this.parts.length) throw new WebSocketError(1002, 'unexpected continuation frame');
+        break;
+      default:
+        throw new WebSocketError(1002, 'unknown opcode ' + f.opcode);
+    }
+
+    this.partsLen += f.payload.length;
+    if (this.partsLen > MAX_MESSAGE) throw new WebSocketError(1009, 'message too large');
+    this.parts.push(f.payload);
+    if (!f.fin) return;
+
+    const data = new Uint8Array(this.partsLen);
+    let o = 0;
+    for (const p of this.parts) {
+      data.set(p, o);
+      o += p.length;
+    }
+    this.parts = [];
+    this.partsLen = 0;
+    if (this.opcode === OP_TEXT) {
+      try {
+        utf8.decode(data);
+      } catch (_) {
+        throw new WebSocketError(1007, 'text message is not valid UTF-8');
+      }
+    }
+    this.handlers.message(data, this.opcode === OP_BINARY);
+  }
+}
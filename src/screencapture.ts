@@ -0,0 +1,292 @@
+import { PublisherStats, ScreenPublisher, webCodecsAvailable } from './screencapture/publisher';
+import { ScreencastViewer, ViewerStats, watchScreencast } from './screencapture/viewer';
+import {
+  CaptureCodec,
+  CaptureSettings,
+  CaptureSource,
+  DeltaTransport,
+  loadCapture,
+  saveCapture,
+  validateCapture,
+} from './screencapture/settings';
+import { loadConfig } from './quic/config';
+import { advertisedHashes, loadCertificates } from './quic/cert';
+import { loopbackUrl } from './quic/loopback';
+import { formatBytes } from './quic/format';
+
+// ── DOM ──
+
+const $ = <T extends HTMLElement>(id: string) => document.getElementById(id) as T;
+
+const capForm = $<HTMLFormElement>('cap-form');
+const inputs = {
+  source: $<HTMLSelectElement>('cap-source'),
+  screen: $<HTMLInputElement>('cap-screen'),
+  codec: $<HTMLSelectElement>('cap-codec'),
+  bitrate: $<HTMLInputElement>('cap-bitrate'),
+  resolution: $<HTMLSelectElement>('cap-resolution'),
+  fps: $<HTMLSelectElement>('cap-fps'),
+  key: $<HTMLInputElement>('cap-key'),
+  deltas: $<HTMLSelectElement>('cap-deltas'),
+};
+const startBtn = $<HTMLButtonElement>('cap-start');
+const stopBtn = $<HTMLButtonElement>('cap-stop');
+const keyNowBtn = $<HTMLButtonElement>('cap-keynow');
+const capStatus = $('cap-status');
+const capError = $('cap-error');
+const capStats = $('cap-stats');
+const preview = $<HTMLVideoElement>('cap-preview');
+
+const viewForm = $<HTMLFormElement>('view-form');
+const viewUrl = $<HTMLInputElement>('view-url');
+const viewHash = $<HTMLInputElement>('view-hash');
+const viewStartBtn = $<HTMLButtonElement>('view-start');
+const viewStopBtn = $<HTMLButtonElement>('view-stop');
+const viewStatus = $('view-status');
+const viewError = $('view-error');
+const viewStats = $('view-stats');
+const canvas = $<HTMLCanvasElement>('view-canvas');
+
+// ── Settings ──
+
+let settings: CaptureSettings;
+
+function fillForm(s: CaptureSettings) {
+  inputs.source.value = s.source;
+  inputs.screen.value = String(s.screen);
+  inputs.codec.value = s.codec;
+  inputs.bitrate.value = String(s.bitrate);
+  inputs.resolution.value = String(s.maxHeight);
+  inputs.fps.value = String(s.frameRate);
+  inputs.key.value = String(s.keyInterval);
+  inputs.deltas.value = s.deltas;
+  inputs.screen.disabled = s.source !== 'screens';
+}
+
+function readForm(): CaptureSettings {
+  return {
+    source: inputs.source.value as CaptureSource,
+    screen: Number(inputs.screen.value),
+    codec: inputs.codec.value as CaptureCodec,
+    bitrate: Number(inputs.bitrate.value),
+    maxHeight: Number(inputs.resolution.value),
+    frameRate: Number(inputs.fps.value),
+    keyInterval: Number(inputs.key.value),
+    deltas: inputs.deltas.value as DeltaTransport,
+  };
+}
+
+capForm.addEventListener('change', () => {
+  const next = readForm();
+  inputs.screen.disabled = next.source !== 'screens' || !!publisher;
+  const problems = validateCapture(next);
+  capError.textContent = problems.join('; ');
+  if (problems.length) return;
+  settings = next;
+  saveCapture(settings).catch(() => {});
+  publisher?.update(settings);
+});
+
+/** Where the server page would accept a loopback WebTransport session right now. */
+async function localTarget(): Promise<{ url: string; hashes: string[] } | null> {
+  const [config, certs] = await Promise.all([loadConfig(), loadCertificates()]);
+  if (!certs) return null;
+  return { url: loopbackUrl(config.bindAddress, config.port), hashes: advertisedHashes(certs) };
+}
+
+// ── Publish ──
+
+let publisher: ScreenPublisher | null = null;
+
+async function captureTrack(s: CaptureSettings): Promise<MediaStreamTrack> {
+  if (s.source === 'picker') {
+    const stream = await navigator.mediaDevices.getDisplayMedia({ video: { frameRate: s.frameRate }, audio: false });
+    return stream.getVideoTracks()[0];
+  }
+  // Allowed without a prompt by the all-screens-capture permission in the manifest
+  const getAll = (navigator.mediaDevices as any).getAllScreensMedia;
+  if (typeof getAll !== 'function') throw new Error('capturing a screen without the picker needs the installed app');
+  const streams: MediaStream[] = await getAll.call(navigator.mediaDevices);
+  const chosen = streams[s.screen - 1];
+  for (const stream of streams) {
+    if (stream !== chosen) stream.getTracks().forEach(t => t.stop());
+  }
+  if (!chosen) throw new Error('there are only ' + streams.length + ' screen(s)');
+  return chosen.getVideoTracks()[0];
+}
+
+function setPublishing(on: boolean) {
+  startBtn.disabled = on;
+  stopBtn.disabled = !on;
+  keyNowBtn.disabled = !on;
+  inputs.source.disabled = on;
+  inputs.screen.disabled = on || inputs.source.value !== 'screens';
+}
+
+capForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  if (publisher) return;
+  const problems = validateCapture(readForm());
+  capError.textContent = problems.join('; ');
+  if (problems.length) return;
+  settings = readForm();
+
+  const target = await localTarget();
+  if (!target) {
+    capError.textContent = 'no server certificate yet; start the QUIC server once on the server page';
+    return;
+  }
+
+  let track: MediaStreamTrack;
+  try {
+    track = await captureTrack(settings);
+  } catch (err) {
+    capError.textContent = (err as Error).message;
+    return;
+  }
+
+  const current = new ScreenPublisher(settings, {
+    onStatus: status => {
+      if (publisher === current) capStatus.textContent = 'publishing to ' + target.url + ', ' + status.viewers + ' viewer(s)';
+    },
+    onEnd: error => {
+      if (publisher !== current) return;
+      publisher = null;
+      preview.srcObject = null;
+      setPublishing(false);
+      capStatus.textContent = 'not publishing';
+      if (error) capError.textContent = error;
+    },
+  });
+  publisher = current;
+  setPublishing(true);
+  capStatus.textContent = 'connecting to ' + target.url + '...';
+  preview.srcObject = new MediaStream([track]);
+  try {
+    await current.start(track, target);
+  } catch (err) {
+    const msg = (err as Error).message;
+    current.stop();
+    capError.textContent = msg;
+  }
+});
+
+stopBtn.addEventListener('click', () => publisher?.stop());
+keyNowBtn.addEventListener('click', () => publisher?.requestKeyframe());
+
+// ── Watch ──
+
+let viewer: ScreencastViewer | null = null;
+let viewerSession: any = null;
+
+function setWatching(on: boolean) {
+  viewStartBtn.disabled = on;
+  viewStopBtn.disabled = !on;
+  viewUrl.disabled = on;
+  viewHash.disabled = on;
+}
+
+function stopWatching() {
+  viewer?.close();
+  viewer = null;
+  try {
+    viewerSession?.close();
+  } catch (_) {}
+  viewerSession = null;
+  setWatching(false);
+}
+
+viewForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  if (viewerSession) return;
+  viewError.textContent = '';
+  const WT = (globalThis as any).WebTransport;
+  if (typeof WT !== 'function') {
+    viewError.textContent = 'WebTransport is not available';
+    return;
+  }
+  let hash: ArrayBuffer;
+  try {
+    hash = Uint8Array.from(atob(viewHash.value.trim().replace(/^'|'$/g, '')), c => c.charCodeAt(0)).buffer;
+  } catch (_) {
+    viewError.textContent = 'the certificate hash must be base64';
+    return;
+  }
+
+  // The same session the snippet on the server page opens
+  const wt = new WT(viewUrl.value.trim(), { serverCertificateHashes: [{ algorithm: 'sha-256', value: hash }] });
+  viewerSession = wt;
+  setWatching(true);
+  viewStatus.textContent = 'connecting...';
+  try {
+    await wt.ready;
+    viewer = await watchScreencast(wt, canvas, {
+      onStatus: status => {
+        viewStatus.textContent = status.publisher ? 'watching, ' + status.viewers + ' viewer(s)' : 'waiting for a publisher';
+      },
+      onPublisherEnd: () => {
+        viewStatus.textContent = 'the publisher left; waiting for a new one';
+      },
+      onClose: error => {
+        if (viewerSession !== wt) return;
+        stopWatching();
+        viewStatus.textContent = 'not watching';
+        if (error) viewError.textContent = error;
+      },
+    });
+  } catch (err) {
+    if (viewerSession !== wt) return;
+    stopWatching();
+    viewStatus.textContent = 'not watching';
+    viewError.textContent = (err as Error).message || 'could not connect';
+  }
+});
+
+viewStopBtn.addEventListener('click', () => {
+  stopWatching();
+  viewStatus.textContent = 'not watching';
+});
+
+// ── Stats ──
+
+let lastPublished: PublisherStats | null = null;
+let lastViewed: ViewerStats | null = null;
+
+setInterval(() => {
+  if (publisher) {
+    const s = { ...publisher.stats };
+    const fps = lastPublished ? s.frames - lastPublished.frames : 0;
+    const rate = lastPublished ? (s.bytes - lastPublished.bytes) * 8 / 1000 : 0;
+    capStats.textContent = s.width + '×' + s.height + '  ' + fps + ' fps  ' + Math.round(rate) + ' kbit/s  ' +
+      s.keyframes + ' keyframes  ' + s.dropped + ' dropped  ' + s.datagrams + ' datagrams  ' + formatBytes(s.bytes) + ' sent';
+    lastPublished = s;
+  } else {
+    lastPublished = null;
+  }
+  if (viewer) {
+    const s = { ...viewer.stats };
+    const fps = lastViewed ? s.frames - lastViewed.frames : 0;
+    const rate = lastViewed ? (s.bytes - lastViewed.bytes) * 8 / 1000 : 0;
+    viewStats.textContent = s.width + '×' + s.height + '  ' + fps + ' fps  ' + Math.round(rate) + ' kbit/s  ' +
+      s.keyframes + ' keyframes  ' + s.skipped + ' skipped  ' + s.keyRequests + ' keyframe requests';
+    lastViewed = s;
+  } else {
+    lastViewed = null;
+  }
+}, 1000);
+
+// ── Startup ──
+
+(async () => {
+  settings = await loadCapture();
+  fillForm(settings);
+  const target = await localTarget();
+  if (target) {
+    if (!viewUrl.value) viewUrl.value = target.url;
+    if (!viewHash.value) viewHash.value = target.hashes[0];
+  }
+  if (!webCodecsAvailable()) {
+    startBtn.disabled = true;
+    capError.textContent = 'WebCodecs screen encoding is not available in this browser';
+  }
+})();
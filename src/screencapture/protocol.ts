@@ -0,0 +1,195 @@
+/**
+ * Wire format between the screen capture page, the `screencast` handler on
+ * the QUIC server and viewers. Every client opens one bidi control stream
+ * and sends HELLO with its role; after that the stream carries messages as
+ * [u32 length][u8 type][payload]:
+ *
+ *   HELLO   client → server   {"role": "publish" | "view"}
+ *   STATUS  server → client   {"viewers", "publisher"}
+ *   CONFIG  publisher → all   {"codec", "codedWidth", "codedHeight"}
+ *   KEY     publisher → all   chunk: [u32 seq][f64 timestamp µs] + data
+ *   DELTA   publisher → all   chunk, when deltas go on streams
+ *   KEYREQ  viewer → publisher, relayed; a viewer lost the chain
+ *   END     server → viewers  the publisher left
+ *
+ * In datagram mode delta frames skip the stream and go as datagrams, split
+ * into fragments of [u32 seq][u16 index][u16 count][f64 timestamp µs] +
+ * data. The server forwards fragments as they are; viewers reassemble them
+ * and drop frames that don't complete.
+ */
+
+export const MSG = {
+  HELLO: 0,
+  STATUS: 1,
+  CONFIG: 2,
+  KEY: 3,
+  DELTA: 4,
+  KEYREQ: 5,
+  END: 6,
+} as const;
+
+export type MessageType = (typeof MSG)[keyof typeof MSG];
+
+export type Role = 'publish' | 'view';
+
+export interface Status {
+  viewers: number;
+  publisher: boolean;
+}
+
+export interface StreamConfig {
+  codec: string;
+  codedWidth: number;
+  codedHeight: number;
+}
+
+export interface Chunk {
+  seq: number;
+  /** Microseconds, as VideoFrame.timestamp. */
+  timestamp: number;
+  data: Uint8Array;
+}
+
+/** Largest message accepted on a control stream; a 4K keyframe fits easily. */
+export const MAX_MESSAGE = 8 * 1024 * 1024;
+
+const CHUNK_HEADER = 12;
+export const FRAGMENT_HEADER = 16;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export function encodeMessage(type: MessageType, payload: Uint8Array = new Uint8Array(0)): Uint8Array {
+  const out = new Uint8Array(5 + payload.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, 1 + payload.length);
+  out[4] = type;
+  out.set(payload, 5);
+  return out;
+}
+
+export function encodeJson(type: MessageType, value: unknown): Uint8Array {
+  return encodeMessage(type, encoder.encode(JSON.stringify(value)));
+}
+
+export function decodeJson<T>(payload: Uint8Array): T {
+  return JSON.parse(decoder.decode(payload)) as T;
+}
+
+export function encodeChunk(type: MessageType, c: Chunk): Uint8Array {
+  const payload = new Uint8Array(CHUNK_HEADER + c.data.length);
+  const view = new DataView(payload.buffer);
+  view.setUint32(0, c.seq);
+  view.setFloat64(4, c.timestamp);
+  payload.set(c.data, CHUNK_HEADER);
+  return encodeMessage(type, payload);
+}
+
+export function decodeChunk(payload: Uint8Array): Chunk {
+  if (payload.length < CHUNK_HEADER) throw new Error('chunk too short');
+  const view = new DataView(payload.buffer, payload.byteOffset, payload.length);
+  return { seq: view.getUint32(0), timestamp: view.getFloat64(4), data: payload.subarray(CHUNK_HEADER) };
+}
+
+/** Collects stream bytes and hands back whole messages as they complete. */
+export class MessageReader {
+  private buf = new Uint8Array(0);
+
+  push(data: Uint8Array): { type: number; payload: Uint8Array }[] {
+    if (data.length) {
+      const next = new Uint8Array(this.buf.length + data.length);
+      next.set(this.buf);
+      next.set(data, this.buf.length);
+      this.buf = next;
+    }
+    const out: { type: number; payload: Uint8Array }[] = [];
+    while (this.buf.length >= 4) {
+      const len = new DataView(this.buf.buffer, this.buf.byteOffset, 4).getUint32(0);
+      if (len === 0 || len > MAX_MESSAGE) throw new Error('bad message length ' + len);
+      if (this.buf.length < 4 + len) break;
+      out.push({ type: this.buf[4], payload: this.buf.slice(5, 4 + len) });
+      this.buf = this.buf.subarray(4 + len);
+    }
+    return out;
+  }
+
+  get pending(): number {
+    return this.buf.length;
+  }
+}
+
+/** Split a delta frame into datagrams of at most `maxSize` bytes. */
+export function fragment(c: Chunk, maxSize: number): Uint8Array[] {
+  const room = maxSize - FRAGMENT_HEADER;
+  if (room <= 0) throw new Error('datagrams of ' + maxSize + ' bytes are too small');
+  const count = Math.max(1, Math.ceil(c.data.length / room));
+  if (count > 0xffff) throw new Error('frame too large for datagrams');
+  const out: Uint8Array[] = [];
+  for (let i = 0; i < count; i++) {
+    const part = c.data.subarray(i * room, (i + 1) * room);
+    const d = new Uint8Array(FRAGMENT_HEADER + part.length);
+    const view = new DataView(d.buffer);
+    view.setUint32(0, c.seq);
+    view.setUint16(4, i);
+    view.setUint16(6, count);
+    view.setFloat64(8, c.timestamp);
+    d.set(part, FRAGMENT_HEADER);
+    out.push(d);
+  }
+  return out;
+}
+
+export interface Fragment {
+  seq: number;
+  index: number;
+  count: number;
+  timestamp: number;
+  data: Uint8Array;
+}
+
+export function parseFragment(d: Uint8Array): Fragment | null {
+  if (d.length < FRAGMENT_HEADER) return null;
+  const view = new DataView(d.buffer, d.byteOffset, d.length);
+  const count = view.getUint16(6);
+  const index = view.getUint16(4);
+  if (!count || index >= count) return null;
+  return { seq: view.getUint32(0), index, count, timestamp: view.getFloat64(8), data: d.subarray(FRAGMENT_HEADER) };
+}
+
+/**
+ * Reassembles fragmented frames. Frames older than the newest complete one
+ * by more than `window` sequence numbers are given up on.
+ */
+export class Reassembler {
+  private partial = new Map<number, { parts: (Uint8Array | undefined)[]; got: number; timestamp: number }>();
+
+  constructor(private window = 32) {}
+
+  add(f: Fragment): Chunk | null {
+    let entry = this.partial.get(f.seq);
+    if (!entry) {
+      entry = { parts: new Array(f.count), got: 0, timestamp: f.timestamp };
+      this.partial.set(f.seq, entry);
+    }
+    if (entry.parts.length !== f.count || entry.parts[f.index]) return null;
+    entry.parts[f.index] = f.data;
+    if (++entry.got < f.count) return null;
+
+    this.partial.delete(f.seq);
+    for (const seq of this.partial.keys()) {
+      if (seq + this.window < f.seq) this.partial.delete(seq);
+    }
+    const size = entry.parts.reduce((n, p) => n + p!.length, 0);
+    const data = new Uint8Array(size);
+    let o = 0;
+    for (const p of entry.parts) {
+      data.set(p!, o);
+      o += p!.length;
+    }
+    return { seq: f.seq, timestamp: entry.timestamp, data };
+  }
+
+  clear() {
+    this.partial.clear();
+  }
+}
@@ -0,0 +1,297 @@
+import {
+  Chunk,
+  MSG,
+  MessageReader,
+  Status,
+  StreamConfig,
+  decodeJson,
+  encodeChunk,
+  encodeJson,
+  fragment,
+} from './protocol';
+import { CODEC_STRINGS, CaptureSettings } from './settings';
+
+/**
+ * Encodes a captured screen or window with WebCodecs and publishes it to
+ * the local server's `screencast` relay over WebTransport.
+ *
+ * Frames are dropped before they reach the encoder, never after, so the
+ * viewers' delta chain stays intact: when the encoder queue or the control
+ * stream backs up, or to hold the chosen frame rate.
+ */
+
+export interface PublishTarget {
+  url: string;
+  /** Base64 SHA-256 certificate hashes. */
+  hashes: string[];
+}
+
+export interface PublisherStats {
+  frames: number;
+  keyframes: number;
+  dropped: number;
+  bytes: number;
+  datagrams: number;
+  width: number;
+  height: number;
+  viewers: number;
+}
+
+export interface PublisherHooks {
+  onStatus(status: Status): void;
+  /** Capture stopped, the connection closed, or the encoder failed. */
+  onEnd(error?: string): void;
+}
+
+/** Encoded frames waiting in the encoder before new ones are dropped. */
+const MAX_ENCODE_QUEUE = 2;
+/** Control stream backlog allowed, in seconds of the target bitrate. */
+const MAX_BACKLOG_S = 0.5;
+const CONNECT_TIMEOUT_MS = 5000;
+/** A relay answers HELLO with STATUS right away. */
+const HELLO_TIMEOUT_MS = 3000;
+/** Datagram budget when the browser doesn't say. */
+const DEFAULT_DATAGRAM = 1200;
+
+function fromBase64(b64: string): ArrayBuffer {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0)).buffer;
+}
+
+function withTimeout<T>(p: Promise<T>, ms: number, what: string): Promise<T> {
+  let timer: number | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = window.setTimeout(() => reject(new Error(what)), ms);
+  });
+  return Promise.race([p, timeout]).finally(() => clearTimeout(timer));
+}
+
+export function webCodecsAvailable(): boolean {
+  const g = globalThis as any;
+  return typeof g.VideoEncoder === 'function' && typeof g.MediaStreamTrackProcessor === 'function';
+}
+
+export class ScreenPublisher {
+  stats: PublisherStats = { frames: 0, keyframes: 0, dropped: 0, bytes: 0, datagrams: 0, width: 0, height: 0, viewers: 0 };
+  private wt: any = null;
+  private control: WritableStreamDefaultWriter<Uint8Array> | null = null;
+  private datagrams: WritableStreamDefaultWriter<Uint8Array> | null = null;
+  private frames: ReadableStreamDefaultReader<VideoFrame> | null = null;
+  private encoder: VideoEncoder | null = null;
+  private track: MediaStreamTrack | null = null;
+  /** Bytes written to the control stream and not yet accepted by the transport. */
+  private backlog = 0;
+  private seq = 0;
+  private lastFrameUs = -Infinity;
+  private lastKeyUs = -Infinity;
+  private forceKey = true;
+  private stopped = false;
+
+  constructor(private settings: CaptureSettings, private hooks: PublisherHooks) {}
+
+  /** Connects to the relay and starts sending `track`; the publisher owns it from here. */
+  async start(track: MediaStreamTrack, target: PublishTarget) {
+    this.track = track;
+    await this.applyResolution();
+
+    const WT = (globalThis as any).WebTransport;
+    if (typeof WT !== 'function') throw new Error('WebTransport is not available');
+    this.wt = new WT(target.url, {
+      serverCertificateHashes: target.hashes.map(h => ({ algorithm: 'sha-256', value: fromBase64(h) })),
+    });
+    await withTimeout(this.wt.ready as Promise<void>, CONNECT_TIMEOUT_MS, 'no answer from ' + target.url + '; is the QUIC server running?');
+    this.wt.closed.then(
+      () => this.finish('the server closed the connection'),
+      (err: Error) => this.finish(err.message || 'connection lost'),
+    );
+
+    const stream = await this.wt.createBidirectionalStream();
+    this.control = stream.writable.getWriter();
+    this.datagrams = this.wt.datagrams.writable.getWriter();
+    const hello = new Promise<void>((resolve, reject) => this.readControl(stream.readable, resolve, reject));
+    this.control!.write(encodeJson(MSG.HELLO, { role: 'publish' }));
+    await withTimeout(hello, HELLO_TIMEOUT_MS, 'the server is not running the screen capture relay; select it as the handler on the server page');
+
+    track.addEventListener('ended', () => this.finish());
+    const processor = new (globalThis as any).MediaStreamTrackProcessor({ track });
+    this.frames = processor.readable.getReader();
+    this.pump();
+  }
+
+  /** Applies new settings while running; a new encoder config starts with a keyframe. */
+  async update(settings: CaptureSettings) {
+    const prev = this.settings;
+    this.settings = settings;
+    if (settings.maxHeight !== prev.maxHeight) await this.applyResolution();
+    if (settings.codec !== prev.codec || settings.bitrate !== prev.bitrate || settings.frameRate !== prev.frameRate) {
+      this.configure(this.stats.width, this.stats.height);
+    }
+  }
+
+  requestKeyframe() {
+    this.forceKey = true;
+  }
+
+  stop() {
+    this.finish();
+  }
+
+  // Screen tracks scale down on request; the encoder follows the frame size
+  private async applyResolution() {
+    if (!this.track) return;
+    const h = this.settings.maxHeight;
+    try {
+      await this.track.applyConstraints(h ? { height: { max: h } } : {});
+    } catch (_) {
+      // Left at whatever the source gives
+    }
+  }
+
+  private async readControl(readable: ReadableStream<Uint8Array>, resolve: () => void, reject: (err: Error) => void) {
+    const reader = readable.getReader();
+    const messages = new MessageReader();
+    let greeted = false;
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        for (const { type, payload } of messages.push(value)) {
+          if (type === MSG.STATUS) {
+            const status = decodeJson<Status>(payload);
+            this.stats.viewers = status.viewers;
+            this.hooks.onStatus(status);
+            if (!greeted) resolve();
+            greeted = true;
+          } else if (type === MSG.KEYREQ) {
+            this.forceKey = true;
+          } else if (!greeted) {
+            // An echo handler sends our HELLO straight back
+            throw new Error('the server answered with something other than the screen capture relay');
+          }
+        }
+      }
+      if (!greeted) throw new Error('the server closed the control stream');
+      this.finish('the server closed the control stream');
+    } catch (err) {
+      if (!greeted) reject(err as Error);
+      else this.finish((err as Error).message);
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  private configure(width: number, height: number) {
+    if (!width || !height) return;
+    if (!this.encoder || this.encoder.state === 'closed') {
+      this.encoder = new VideoEncoder({
+        output: (chunk, meta) => this.send(chunk, meta),
+        error: err => this.finish('encoder: ' + err.message),
+      });
+    }
+    const s = this.settings;
+    this.encoder.configure({
+      codec: CODEC_STRINGS[s.codec],
+      width,
+      height,
+      bitrate: s.bitrate * 1000,
+      framerate: s.frameRate,
+      hardwareAcceleration: 'prefer-software',
+      latencyMode: 'realtime',
+    });
+    this.stats.width = width;
+    this.stats.height = height;
+    this.forceKey = true;
+  }
+
+  private async pump() {
+    const reader = this.frames!;
+    try {
+      for (;;) {
+        const { value: frame, done } = await reader.read();
+        if (done) break;
+        try {
+          this.offer(frame);
+        } finally {
+          frame.close();
+        }
+      }
+    } catch (err) {
+      if (!this.stopped) this.finish((err as Error).message);
+    }
+  }
+
+  private offer(frame: VideoFrame) {
+    const s = this.settings;
+    // Screen capture only produces frames on change, so this is a ceiling, not a clock
+    const minGapUs = 1e6 / s.frameRate - 1000;
+    if (frame.timestamp - this.lastFrameUs < minGapUs) return;
+    const limit = (s.bitrate * 1000 / 8) * MAX_BACKLOG_S;
+    if ((this.encoder && this.encoder.encodeQueueSize >= MAX_ENCODE_QUEUE) || this.backlog > limit) {
+      this.stats.dropped++;
+      return;
+    }
+    if (frame.displayWidth !== this.stats.width || frame.displayHeight !== this.stats.height) {
+      this.configure(frame.displayWidth, frame.displayHeight);
+    }
+    if (!this.encoder || this.encoder.state !== 'configured') return;
+
+    const keyFrame = this.forceKey || frame.timestamp - this.lastKeyUs >= s.keyInterval * 1e6;
+    if (keyFrame) {
+      this.forceKey = false;
+      this.lastKeyUs = frame.timestamp;
+    }
+    this.lastFrameUs = frame.timestamp;
+    this.encoder.encode(frame, { keyFrame });
+  }
+
+  private send(chunk: EncodedVideoChunk, meta?: EncodedVideoChunkMetadata) {
+    if (this.stopped) return;
+    if (meta?.decoderConfig) {
+      const config: StreamConfig = {
+        codec: meta.decoderConfig.codec,
+        codedWidth: meta.decoderConfig.codedWidth ?? this.stats.width,
+        codedHeight: meta.decoderConfig.codedHeight ?? this.stats.height,
+      };
+      this.write(encodeJson(MSG.CONFIG, config));
+    }
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    const c: Chunk = { seq: ++this.seq, timestamp: chunk.timestamp, data };
+    this.stats.frames++;
+    this.stats.bytes += data.length;
+
+    if (chunk.type === 'key') {
+      this.stats.keyframes++;
+      this.write(encodeChunk(MSG.KEY, c));
+    } else if (this.settings.deltas === 'stream') {
+      this.write(encodeChunk(MSG.DELTA, c));
+    } else {
+      const max = Math.min(this.wt?.datagrams.maxDatagramSize ?? DEFAULT_DATAGRAM, DEFAULT_DATAGRAM);
+      for (const d of fragment(c, max)) {
+        this.stats.datagrams++;
+        // Datagrams are fire and forget; the browser drops ones that wait too long
+        this.datagrams?.write(d).catch(() => {});
+      }
+    }
+  }
+
+  private write(msg: Uint8Array) {
+    if (!this.control) return;
+    this.backlog += msg.length;
+    this.control.write(msg).then(
+      () => (this.backlog -= msg.length),
+      err => this.finish('control stream: ' + (err as Error).message),
+    );
+  }
+
+  private finish(error?: string) {
+    if (this.stopped) return;
+    this.stopped = true;
+    this.frames?.cancel().catch(() => {});
+    if (this.encoder && this.encoder.state !== 'closed') this.encoder.close();
+    this.track?.stop();
+    try {
+      this.wt?.close();
+    } catch (_) {}
+    this.hooks.onEnd(error);
+  }
+}
@@ -0,0 +1,72 @@
+import { getSetting, putSetting } from '../quic/store';
+
+/** Publisher controls on screencapture.html, persisted in isolated storage. */
+
+export type CaptureSource = 'picker' | 'screens';
+export type CaptureCodec = 'vp8' | 'vp9';
+/** Where delta frames go; keyframes and config always go on the control stream. */
+export type DeltaTransport = 'datagram' | 'stream';
+
+export interface CaptureSettings {
+  /** The picker, or a screen from getAllScreensMedia() with no prompt. */
+  source: CaptureSource;
+  /** 1-based, for source 'screens'. */
+  screen: number;
+  codec: CaptureCodec;
+  /** Target bitrate in kbit/s. */
+  bitrate: number;
+  /** Frames are scaled down to at most this height; 0 keeps the source size. */
+  maxHeight: number;
+  frameRate: number;
+  /** Seconds between keyframes when nobody asks for one sooner. */
+  keyInterval: number;
+  deltas: DeltaTransport;
+}
+
+export const DEFAULT_CAPTURE: CaptureSettings = {
+  source: 'picker',
+  screen: 1,
+  codec: 'vp8',
+  bitrate: 2500,
+  maxHeight: 1080,
+  frameRate: 30,
+  keyInterval: 5,
+  deltas: 'datagram',
+};
+
+export const RESOLUTIONS = [0, 2160, 1440, 1080, 720, 480, 360];
+
+/** WebCodecs codec strings; VP9 profile 0, level 1.0, 8-bit. */
+export const CODEC_STRINGS: Record<CaptureCodec, string> = {
+  vp8: 'vp8',
+  vp9: 'vp09.00.10.08',
+};
+
+export function validateCapture(c: CaptureSettings): string[] {
+  const problems: string[] = [];
+  if (c.source !== 'picker' && c.source !== 'screens') problems.push('unknown source: ' + c.source);
+  if (!Number.isInteger(c.screen) || c.screen < 1 || c.screen > 16) problems.push('screen must be 1–16');
+  if (!(c.codec in CODEC_STRINGS)) problems.push('unknown codec: ' + c.codec);
+  if (!Number.isInteger(c.bitrate) || c.bitrate < 100 || c.bitrate > 50000) problems.push('bitrate must be 100–50000 kbit/s');
+  if (!RESOLUTIONS.includes(c.maxHeight)) problems.push('unsupported resolution: ' + c.maxHeight);
+  if (!Number.isInteger(c.frameRate) || c.frameRate < 1 || c.frameRate > 60) problems.push('frame rate must be 1–60');
+  if (!Number.isInteger(c.keyInterval) || c.keyInterval < 1 || c.keyInterval > 60) problems.push('keyframe interval must be 1–60 s');
+  if (c.deltas !== 'datagram' && c.deltas !== 'stream') problems.push('unknown delta transport: ' + c.deltas);
+  return problems;
+}
+
+const CAPTURE_KEY = 'screencapture';
+
+export async function loadCapture(): Promise<CaptureSettings> {
+  try {
+    const saved = await getSetting<Partial<CaptureSettings>>(CAPTURE_KEY);
+    const c = { ...DEFAULT_CAPTURE, ...saved };
+    return validateCapture(c).length === 0 ? c : { ...DEFAULT_CAPTURE };
+  } catch (_) {
+    return { ...DEFAULT_CAPTURE };
+  }
+}
+
+export function saveCapture(c: CaptureSettings): Promise<void> {
+  return putSetting(CAPTURE_KEY, c);
+}
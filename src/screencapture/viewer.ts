@@ -0,0 +1,233 @@
+import { Chunk, MSG, MessageReader, Reassembler, Status, StreamConfig, decodeChunk, decodeJson, encodeJson, encodeMessage, parseFragment } from './protocol';
+
+/**
+ * Watches the screen capture relay on a WebTransport session the caller has
+ * already opened, e.g. with the snippet on the server page, and draws the
+ * decoded frames into a canvas. Only depends on ./protocol, so it can be
+ * lifted into any page that has a session to the server:
+ *
+ *   const viewer = await watchScreencast(wt, canvas);
+ *   ...
+ *   viewer.close();
+ *
+ * Deltas that arrive out of order wait briefly for the frames before them;
+ * a gap that doesn't fill means the chain is broken, and the viewer drops
+ * everything until the next keyframe, asking the publisher for one.
+ */
+
+export interface ViewerStats {
+  frames: number;
+  keyframes: number;
+  /** Frames skipped because something before them never arrived. */
+  skipped: number;
+  keyRequests: number;
+  bytes: number;
+  width: number;
+  height: number;
+}
+
+export interface ViewerHooks {
+  onStatus?(status: Status): void;
+  /** The publisher left; frames resume when a new one joins. */
+  onPublisherEnd?(): void;
+  /** The session or the control stream closed. */
+  onClose?(error?: string): void;
+}
+
+export interface ScreencastViewer {
+  readonly stats: ViewerStats;
+  close(): void;
+}
+
+/** How long a gap in the delta sequence may stay open. */
+const GAP_MS = 150;
+/** Keyframe requests are repeated this often until one arrives. */
+const KEYREQ_RETRY_MS = 1000;
+
+export async function watchScreencast(wt: any, canvas: HTMLCanvasElement, hooks: ViewerHooks = {}): Promise<ScreencastViewer> {
+  const stats: ViewerStats = { frames: 0, keyframes: 0, skipped: 0, keyRequests: 0, bytes: 0, width: 0, height: 0 };
+  const ctx = canvas.getContext('2d')!;
+  const stream = await wt.createBidirectionalStream();
+  const writer: WritableStreamDefaultWriter<Uint8Array> = stream.writable.getWriter();
+  const controlReader: ReadableStreamDefaultReader<Uint8Array> = stream.readable.getReader();
+  const datagramReader: ReadableStreamDefaultReader<Uint8Array> = wt.datagrams.readable.getReader();
+
+  let closed = false;
+  let decoder: VideoDecoder | null = null;
+  let config: StreamConfig | null = null;
+  let lastSeq = -1;
+  let waitingKey = true;
+  let lastKeyRequest = -Infinity;
+  let gapSince = 0;
+  /** Deltas that arrived ahead of a missing one, by sequence number. */
+  const ahead = new Map<number, Chunk>();
+  const fragments = new Reassembler();
+
+  const draw = (frame: VideoFrame) => {
+    if (canvas.width !== frame.displayWidth || canvas.height !== frame.displayHeight) {
+      canvas.width = frame.displayWidth;
+      canvas.height = frame.displayHeight;
+    }
+    stats.width = frame.displayWidth;
+    stats.height = frame.displayHeight;
+    ctx.drawImage(frame, 0, 0);
+    frame.close();
+  };
+
+  const requestKey = () => {
+    const now = performance.now();
+    if (now - lastKeyRequest < KEYREQ_RETRY_MS) return;
+    lastKeyRequest = now;
+    stats.keyRequests++;
+    writer.write(encodeMessage(MSG.KEYREQ)).catch(() => {});
+  };
+
+  const configure = () => {
+    if (!config) return;
+    if (!decoder || decoder.state === 'closed') {
+      decoder = new VideoDecoder({
+        output: draw,
+        // A broken decoder is rebuilt from the next keyframe
+        error: () => {
+          waitingKey = true;
+          requestKey();
+        },
+      });
+    }
+    decoder.configure({ ...config, optimizeForLatency: true, hardwareAcceleration: 'prefer-software' });
+    waitingKey = true;
+  };
+
+  const decode = (c: Chunk, type: EncodedVideoChunkType): boolean => {
+    if (!decoder || decoder.state !== 'configured') return false;
+    decoder.decode(new EncodedVideoChunk({ type, timestamp: c.timestamp, data: c.data }));
+    lastSeq = c.seq;
+    stats.frames++;
+    stats.bytes += c.data.length;
+    if (type === 'key') stats.keyframes++;
+    return true;
+  };
+
+  const breakChain = () => {
+    stats.skipped += ahead.size;
+    ahead.clear();
+    waitingKey = true;
+    gapSince = 0;
+    requestKey();
+  };
+
+  const drain = () => {
+    for (let next = ahead.get(lastSeq + 1); next; next = ahead.get(lastSeq + 1)) {
+      ahead.delete(next.seq);
+      decode(next, 'delta');
+    }
+    gapSince = ahead.size ? gapSince || performance.now() : 0;
+    if (gapSince && performance.now() - gapSince > GAP_MS) breakChain();
+  };
+
+  const onKey = (c: Chunk) => {
+    if (c.seq <= lastSeq && !waitingKey) return;
+    for (const seq of ahead.keys()) {
+      if (seq <= c.seq) ahead.delete(seq);
+    }
+    if (decoder?.state !== 'configured') configure();
+    // No CONFIG yet; the relay sends it before the next keyframe
+    if (!decode(c, 'key')) return;
+    waitingKey = false;
+    drain();
+  };
+
+  const onDelta = (c: Chunk) => {
+    if (c.seq <= lastSeq) return;
+    if (waitingKey) {
+      // Kept in case the keyframe it follows is still on its way
+      ahead.set(c.seq, c);
+      if (ahead.size > 120) breakChain();
+      else requestKey();
+      return;
+    }
+    if (c.seq === lastSeq + 1) decode(c, 'delta');
+    else ahead.set(c.seq, c);
+    drain();
+  };
+
+  const publisherLeft = () => {
+    config = null;
+    lastSeq = -1;
+    ahead.clear();
+    fragments.clear();
+    if (decoder && decoder.state !== 'closed') decoder.reset();
+    waitingKey = true;
+  };
+
+  const gapTimer = window.setInterval(() => {
+    if (gapSince && performance.now() - gapSince > GAP_MS) breakChain();
+    else if (waitingKey && config) requestKey();
+  }, GAP_MS);
+
+  const finish = (error?: string) => {
+    if (closed) return;
+    closed = true;
+    clearInterval(gapTimer);
+    controlReader.cancel().catch(() => {});
+    datagramReader.cancel().catch(() => {});
+    writer.close().catch(() => {});
+    if (decoder && decoder.state !== 'closed') decoder.close();
+    hooks.onClose?.(error);
+  };
+
+  (async () => {
+    const messages = new MessageReader();
+    try {
+      for (;;) {
+        const { value, done } = await controlReader.read();
+        if (done) break;
+        for (const { type, payload } of messages.push(value)) {
+          switch (type) {
+            case MSG.STATUS:
+              hooks.onStatus?.(decodeJson<Status>(payload));
+              break;
+            case MSG.CONFIG:
+              config = decodeJson<StreamConfig>(payload);
+              configure();
+              break;
+            case MSG.KEY:
+              onKey(decodeChunk(payload));
+              break;
+            case MSG.DELTA:
+              onDelta(decodeChunk(payload));
+              break;
+            case MSG.END:
+              publisherLeft();
+              hooks.onPublisherEnd?.();
+              break;
+          }
+        }
+      }
+      finish();
+    } catch (err) {
+      finish(closed ? undefined : (err as Error).message);
+    }
+  })();
+
+  (async () => {
+    try {
+      for (;;) {
+        const { value, done } = await datagramReader.read();
+        if (done) break;
+        const f = parseFragment(value);
+        const c = f && fragments.add(f);
+        if (c) onDelta(c);
+      }
+    } catch (_) {
+      // The control stream reports why the session ended
+    }
+  })();
+
+  await writer.write(encodeJson(MSG.HELLO, { role: 'view' }));
+
+  return {
+    stats,
+    close: () => finish(),
+  };
+}
@@ -0,0 +1,173 @@
+// Also defines <socket-log> before anything below touches it
+import SocketLog from './components/scripts/socket-log';
+import { LINE_ENDINGS, PayloadFormat, encodePayload } from './sockets/payload';
+import {
+  SessionTarget,
+  SocketProtocol,
+  SocketSession,
+  directSocketsAvailable,
+  formatPeer,
+  validateTarget,
+} from './sockets/session';
+import { getSetting, putSetting } from './quic/store';
+
+// ── DOM ──
+
+const $ = <T extends HTMLElement>(id: string) => document.getElementById(id) as T;
+
+const connectForm = $<HTMLFormElement>('sock-connect');
+const protoSelect = $<HTMLSelectElement>('sock-proto');
+const hostInput = $<HTMLInputElement>('sock-host');
+const portInput = $<HTMLInputElement>('sock-port');
+const noDelayInput = $<HTMLInputElement>('sock-nodelay');
+const openBtn = $<HTMLButtonElement>('sock-open');
+const closeBtn = $<HTMLButtonElement>('sock-close');
+const statusEl = $('sock-status');
+const connectError = $('sock-error');
+const sendForm = $<HTMLFormElement>('sock-send');
+const payloadInput = $<HTMLTextAreaElement>('sock-payload');
+const formatSelect = $<HTMLSelectElement>('sock-format');
+const endingSelect = $<HTMLSelectElement>('sock-ending');
+const sendBtn = $<HTMLButtonElement>('sock-send-btn');
+const sendError = $('sock-send-error');
+const transcript = $('sock-log') as SocketLog;
+
+// ── Saved form ──
+
+const TARGET_KEY = 'sockets-target';
+
+interface SavedForm {
+  target: SessionTarget;
+  format: PayloadFormat;
+  ending: string;
+}
+
+function readTarget(): SessionTarget {
+  return {
+    protocol: protoSelect.value as SocketProtocol,
+    host: hostInput.value.trim(),
+    port: Number(portInput.value),
+    noDelay: noDelayInput.checked,
+  };
+}
+
+function saveForm() {
+  const saved: SavedForm = { target: readTarget(), format: formatSelect.value as PayloadFormat, ending: endingSelect.value };
+  putSetting(TARGET_KEY, saved).catch(() => {});
+}
+
+async function restoreForm() {
+  const saved = await getSetting<SavedForm>(TARGET_KEY).catch(() => undefined);
+  if (!saved) return;
+  protoSelect.value = saved.target.protocol;
+  hostInput.value = saved.target.host;
+  portInput.value = saved.target.port ? String(saved.target.port) : '';
+  noDelayInput.checked = saved.target.noDelay;
+  formatSelect.value = saved.format;
+  endingSelect.value = saved.ending;
+  syncOptions();
+}
+
+/** No delay only applies to TCP, line endings only to text. */
+function syncOptions() {
+  noDelayInput.disabled = protoSelect.value !== 'tcp';
+  endingSelect.disabled = formatSelect.value !== 'text';
+}
+
+protoSelect.addEventListener('change', syncOptions);
+formatSelect.addEventListener('change', () => {
+  syncOptions();
+  saveForm();
+});
+endingSelect.addEventListener('change', saveForm);
+
+// ── Session ──
+
+let session: SocketSession | null = null;
+
+function setConnected(connected: boolean, status: string) {
+  statusEl.textContent = status;
+  openBtn.disabled = connected;
+  closeBtn.disabled = !connected;
+  sendBtn.disabled = !connected;
+  for (const el of [protoSelect, hostInput, portInput]) el.disabled = connected;
+  noDelayInput.disabled = connected || protoSelect.value !== 'tcp';
+}
+
+connectForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  if (session) return;
+  const target = readTarget();
+  const problems = validateTarget(target);
+  connectError.textContent = problems.join('; ');
+  if (problems.length) return;
+  saveForm();
+
+  const label = target.protocol.toUpperCase() + ' ' + formatPeer(target.host, target.port);
+  const current = new SocketSession(target, {
+    onData: (bytes, from) => {
+      if (session === current) transcript.add('in', bytes, from);
+    },
+    onClose: error => {
+      if (session !== current) return;
+      session = null;
+      transcript.add(error ? 'error' : 'info', error ? label + ' closed: ' + error : label + ' closed');
+      setConnected(false, 'not connected');
+    },
+  });
+  session = current;
+  setConnected(true, 'connecting to ' + label + '...');
+  try {
+    const info = await current.open();
+    const local = formatPeer(info.localAddress, info.localPort);
+    transcript.add('info', 'connected ' + label + ' from ' + local);
+    statusEl.textContent = label + ' open, local ' + local;
+    payloadInput.focus();
+  } catch (err) {
+    session = null;
+    const msg = (err as Error).message || String(err);
+    transcript.add('error', label + ' failed: ' + msg);
+    connectError.textContent = msg;
+    setConnected(false, 'not connected');
+  }
+});
+
+closeBtn.addEventListener('click', () => session?.close());
+
+sendForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const current = session;
+  if (!current) return;
+  const format = formatSelect.value as PayloadFormat;
+  const result = encodePayload(payloadInput.value, format, LINE_ENDINGS[endingSelect.value]);
+  if ('error' in result) {
+    sendError.textContent = result.error;
+    return;
+  }
+  sendError.textContent = '';
+  if (!result.bytes.byteLength && current.target.protocol === 'tcp') return;
+  try {
+    await current.send(result.bytes);
+    transcript.add('out', result.bytes, formatPeer(current.target.host, current.target.port));
+  } catch (err) {
+    sendError.textContent = (err as Error).message;
+  }
+});
+
+// Ctrl/Cmd+Enter sends; plain Enter stays a newline in the payload
+payloadInput.addEventListener('keydown', e => {
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    sendForm.requestSubmit();
+  }
+});
+
+// ── Startup ──
+
+syncOptions();
+restoreForm();
+if (!directSocketsAvailable()) {
+  openBtn.disabled = true;
+  statusEl.textContent = 'Direct Sockets needs the installed app';
+  transcript.add('info', 'TCPSocket and UDPSocket are only available inside the installed isolated web app');
+}
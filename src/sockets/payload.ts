@@ -0,0 +1,49 @@
+/**
+ * Payload encoding for the Direct Sockets playground and the socket-log
+ * transcript: typed text or hex in, bytes out, and bytes back to something
+ * readable either way.
+ */
+
+export type PayloadFormat = 'text' | 'hex';
+
+export const LINE_ENDINGS: Record<string, string> = {
+  none: '',
+  lf: '\n',
+  crlf: '\r\n',
+};
+
+/**
+ * Hex as typed or pasted: whitespace, `:` and `-` separators and `0x`
+ * prefixes are ignored. Null if anything else is left or a nibble is odd.
+ */
+export function parseHex(input: string): Uint8Array | null {
+  const digits = input.replace(/0x/gi, '').replace(/[\s:,-]/g, '');
+  if (digits.length % 2 || /[^0-9a-f]/i.test(digits)) return null;
+  const bytes = new Uint8Array(digits.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(digits.substr(i * 2, 2), 16);
+  return bytes;
+}
+
+export function encodePayload(input: string, format: PayloadFormat, ending = ''): { bytes: Uint8Array } | { error: string } {
+  if (format === 'text') return { bytes: new TextEncoder().encode(input + ending) };
+  const bytes = parseHex(input);
+  return bytes ? { bytes } : { error: 'hex needs pairs of 0-9a-f digits' };
+}
+
+export function toHex(bytes: Uint8Array): string {
+  let out = '';
+  for (let i = 0; i < bytes.length; i++) {
+    out += (i ? (i % 16 ? ' ' : '\n') : '') + bytes[i].toString(16).padStart(2, '0');
+  }
+  return out;
+}
+
+const decoder = new TextDecoder('utf-8', { fatal: false });
+
+/** UTF-8 with control characters other than tab and newline made visible. */
+export function toText(bytes: Uint8Array): string {
+  return decoder
+    .decode(bytes)
+    .replace(/\r\n/g, '\n')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, c => '\\x' + c.charCodeAt(0).toString(16).padStart(2, '0'));
+}
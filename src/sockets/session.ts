@@ -0,0 +1,124 @@
+/**
+ * One client connection for the Direct Sockets playground: a TCPSocket, or
+ * a UDPSocket connected to a single remote so every datagram goes there and
+ * only its replies come back.
+ */
+
+export type SocketProtocol = 'tcp' | 'udp';
+
+export interface SessionTarget {
+  protocol: SocketProtocol;
+  host: string;
+  port: number;
+  /** TCP only: disable Nagle so small writes go out at once. */
+  noDelay: boolean;
+}
+
+export interface SessionInfo {
+  localAddress: string;
+  localPort: number;
+  remoteAddress: string;
+  remotePort: number;
+}
+
+export interface SessionHooks {
+  onData(bytes: Uint8Array, from: string): void;
+  /** The peer or the network ended the session; `error` unless it was clean. */
+  onClose(error?: string): void;
+}
+
+export function directSocketsAvailable(): boolean {
+  const g = globalThis as any;
+  return typeof g.TCPSocket === 'function' && typeof g.UDPSocket === 'function';
+}
+
+export function validateTarget(t: SessionTarget): string[] {
+  const problems: string[] = [];
+  if (!t.host.trim()) problems.push('host is required');
+  else if (/[\s/]/.test(t.host.trim())) problems.push('host must be a name or address, not a URL');
+  if (!Number.isInteger(t.port) || t.port < 1 || t.port > 65535) problems.push('port must be 1–65535');
+  return problems;
+}
+
+export function formatPeer(address: string, port: number): string {
+  return (address.includes(':') ? '[' + address + ']' : address) + ':' + port;
+}
+
+export class SocketSession {
+  info: SessionInfo | null = null;
+  private socket: any = null;
+  private reader: ReadableStreamDefaultReader<any> | null = null;
+  private writer: WritableStreamDefaultWriter<any> | null = null;
+  private closing = false;
+
+  constructor(public target: SessionTarget, private hooks: SessionHooks) {}
+
+  async open(): Promise<SessionInfo> {
+    const g = globalThis as any;
+    const host = this.target.host.trim();
+    this.socket =
+      this.target.protocol === 'tcp'
+        ? new g.TCPSocket(host, this.target.port, { noDelay: this.target.noDelay })
+        : new g.UDPSocket({ remoteAddress: host, remotePort: this.target.port });
+    const { readable, writable, localAddress, localPort, remoteAddress, remotePort } = await this.socket.opened;
+    this.info = {
+      localAddress,
+      localPort,
+      remoteAddress: remoteAddress ?? host,
+      remotePort: remotePort ?? this.target.port,
+    };
+    this.writer = writable.getWriter();
+    const reader = readable.getReader();
+    this.reader = reader;
+    this.pump(reader);
+    return this.info;
+  }
+
+  async send(bytes: Uint8Array) {
+    if (!this.writer) throw new Error('not connected');
+    await this.writer.write(this.target.protocol === 'tcp' ? bytes : { data: bytes });
+  }
+
+  /** Ends the read loop, which releases the streams and closes the socket. */
+  async close() {
+    if (this.closing) return;
+    this.closing = true;
+    if (this.reader) await this.reader.cancel().catch(() => {});
+    else await this.release();
+  }
+
+  // close() rejects while the streams are locked
+  private async release() {
+    this.writer?.releaseLock();
+    this.writer = null;
+    try {
+      await this.socket?.close();
+    } catch (_) {
+      // Already closed by the peer
+    }
+  }
+
+  private async pump(reader: ReadableStreamDefaultReader<any>) {
+    const peer = formatPeer(this.info!.remoteAddress, this.info!.remotePort);
+    let error: string | undefined;
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        if (this.target.protocol === 'tcp') {
+          this.hooks.onData(value, peer);
+        } else {
+          this.hooks.onData(value.data, value.remoteAddress ? formatPeer(value.remoteAddress, value.remotePort) : peer);
+        }
+      }
+    } catch (err) {
+      if (!this.closing) error = (err as Error).message;
+    } finally {
+      reader.releaseLock();
+      this.reader = null;
+    }
+    this.closing = true;
+    await this.release();
+    this.hooks.onClose(error);
+  }
+}
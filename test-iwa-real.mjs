@@ -6,9 +6,12 @@
 import puppeteer from 'puppeteer';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const swbnPath = path.resolve(__dirname, 'dist/iwa-sink.swbn');
+// The production build names the bundle after the package.json version
+const { version } = JSON.parse(readFileSync(path.resolve(__dirname, 'package.json'), 'utf8'));
+const swbnPath = path.resolve(__dirname, `dist/iwa-sink-${version}.swbn`);
 const webBundleId = 'va5nmqd44umdnobnnp7xpxdbhjn6dlsrdgirrnsm6envbjndx2waaaic';
 const iwaOrigin = `isolated-app://${webBundleId}`;
 
@@ -209,6 +212,12 @@ async function main() {
   console.log('── DOM Structure ──');
   const statusText = await page.$eval('#status-text', el => el.textContent).catch(() => 'N/A');
   console.log('  #status-text:         ', JSON.stringify(statusText));
+  const shownVersion = await page.$eval('#app-version', el => el.textContent).catch(() => 'N/A');
+  const shownBundle = await page.$eval('#app-bundle', el => el.textContent).catch(() => 'N/A');
+  console.log('  #app-version:         ', JSON.stringify(shownVersion));
+  console.log('  #app-bundle:          ', JSON.stringify(shownBundle));
+  if (shownVersion !== 'v' + version) errors.push('header shows ' + shownVersion + ', expected v' + version);
+  if (shownBundle !== webBundleId) errors.push('header shows bundle ' + shownBundle + ', expected ' + webBundleId);
   const envCards = await page.$$eval('.env-card', els => els.map(el => {
     const label = el.querySelector('.env-card-label')?.textContent || '';
     const value = el.querySelector('.env-card-value')?.textContent || '';
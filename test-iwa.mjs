@@ -14,8 +14,11 @@
 import puppeteer from 'puppeteer';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createServer } from 'http';
+import { createServer, request } from 'http';
 import { readFileSync, existsSync, statSync } from 'fs';
+import dgram from 'dgram';
+import net from 'net';
+import { injectMockDirectSockets } from './test-mock-sockets.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -47,6 +50,13 @@ function startServer() {
       let urlPath = req.url.split('?')[0];
       if (urlPath === '/') urlPath = '/index.html';
 
+      // Stands in for an update server hosting a newer bundle
+      if (urlPath === '/test-update.json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ versions: [{ version: '0.0.1', src: 'old.swbn' }, { version: '99.0.0', src: 'iwa-sink-99.0.0.swbn' }] }));
+        return;
+      }
+
       const ext = path.extname(urlPath);
       const mime = mimeTypes[ext] || 'application/octet-stream';
 
@@ -73,6 +83,212 @@ function startServer() {
   });
 }
 
+/** Ask the OS for a port that is free right now. */
+function freePort(kind) {
+  return new Promise((resolve, reject) => {
+    if (kind === 'udp') {
+      const s = dgram.createSocket('udp4');
+      s.once('error', reject);
+      s.bind(0, '127.0.0.1', () => {
+        const { port } = s.address();
+        s.close(() => resolve(port));
+      });
+    } else {
+      const s = net.createServer();
+      s.once('error', reject);
+      s.listen(0, '127.0.0.1', () => {
+        const { port } = s.address();
+        s.close(() => resolve(port));
+      });
+    }
+  });
+}
+
+/**
+ * Start the wasm server on mock Direct Sockets and run echo round-trips
+ * against it from the loopback panel, i.e. Chrome's own QUIC stack over
+ * real localhost UDP. Node 20 has no QUIC client to do this from Node.
+ */
+async function testQuicEndToEnd(browser, port) {
+  console.log('\n── Testing QUIC end-to-end (mock Direct Sockets) ──');
+  // The wasm server is built outside this repo, but the suite can't pass without it
+  if (!existsSync(path.join(distDir, 'quic_echo_server.js'))) {
+    errors.push('E2E: dist-test/quic_echo_server.js is missing; copy the wasm server build into public/ and run npm run build:test');
+    return;
+  }
+
+  const page = await browser.newPage();
+  page.on('pageerror', err => errors.push('E2E PAGE_ERROR: ' + err.message));
+  const relay = await injectMockDirectSockets(page);
+  try {
+    await page.goto(`http://localhost:${port}/quic.html`, { waitUntil: 'networkidle0', timeout: 10000 });
+
+    const quicPort = await freePort('udp');
+    const tcpPort = await freePort('tcp');
+    await page.evaluate((quicPort, tcpPort) => {
+      document.getElementById('cfg-bind').value = '127.0.0.1';
+      document.getElementById('cfg-port').value = String(quicPort);
+      document.getElementById('cfg-tcp-port').value = String(tcpPort);
+      document.getElementById('settings-panel').requestSubmit();
+    }, quicPort, tcpPort);
+
+    await page.click('#btn-start');
+    await page.waitForFunction(
+      () => document.getElementById('status-text')?.textContent?.startsWith('running'),
+      { timeout: 30000 },
+    );
+    console.log('  Server running on UDP', quicPort);
+
+    await page.evaluate(() => {
+      document.getElementById('loop-mode').value = 'bidi';
+      document.getElementById('loop-size').value = '64';
+      document.getElementById('loop-concurrency').value = '1';
+      document.getElementById('loop-duration').value = '1';
+      document.getElementById('loop-form').requestSubmit();
+    });
+    await page.waitForFunction(
+      () => document.querySelector('#loop-results tbody tr') || !document.getElementById('btn-loop-run').disabled,
+      { timeout: 20000 },
+    );
+    const row = await page.$$eval('#loop-results tbody tr:first-child td', tds => tds.map(td => td.textContent));
+    const [ok, failed] = (row[1] ?? '0/1').split('/').map(Number);
+    console.log('  Echo round-trips:', ok, 'ok,', failed, 'failed');
+    if (!(ok > 0)) errors.push('E2E: no successful QUIC handshake + echo round-trip');
+    if (failed > 0) errors.push('E2E: ' + failed + ' echo round-trip(s) failed');
+
+    // The TCP companion's WebSocket echoes each message with the opcode it came in with
+    const replies = await page.evaluate(tcpPort => new Promise((resolve, reject) => {
+      const ws = new WebSocket('ws://127.0.0.1:' + tcpPort + '/ws');
+      ws.binaryType = 'arraybuffer';
+      const got = [];
+      ws.onopen = () => {
+        ws.send('hi');
+        ws.send(new Uint8Array([0xff, 0x00]));
+      };
+      ws.onmessage = e => {
+        got.push(typeof e.data === 'string' ? 'text:' + e.data : 'binary:' + new Uint8Array(e.data).join(','));
+        if (got.length === 2) {
+          ws.close();
+          resolve(got);
+        }
+      };
+      ws.onerror = () => reject(new Error('WebSocket to the TCP companion failed'));
+      setTimeout(() => reject(new Error('no WebSocket echo within 5s')), 5000);
+    }), tcpPort);
+    console.log('  WebSocket echo:', replies.join(' '));
+    if (replies[0] !== 'text:hi') errors.push('E2E: WebSocket text "hi" came back as ' + replies[0]);
+    if (replies[1] !== 'binary:255,0') errors.push('E2E: WebSocket binary message came back as ' + replies[1]);
+  } catch (err) {
+    errors.push('E2E: ' + err.message);
+  } finally {
+    relay.close();
+    await page.close();
+  }
+}
+
+/**
+ * Turn the admin API on through the mock sockets, follow /log from Node,
+ * then turn it off: the follower has to be disconnected, not left streaming.
+ */
+async function testAdminLogFollower(browser, port) {
+  console.log('\n── Testing admin API /log follower (mock Direct Sockets) ──');
+  const page = await browser.newPage();
+  page.on('pageerror', err => errors.push('ADMIN PAGE_ERROR: ' + err.message));
+  const relay = await injectMockDirectSockets(page);
+  let res = null;
+  try {
+    await page.goto(`http://localhost:${port}/quic.html`, { waitUntil: 'networkidle0', timeout: 10000 });
+    const adminPort = await freePort('tcp');
+    const setEnabled = on => page.evaluate((on, adminPort) => {
+      document.getElementById('admin-port').value = String(adminPort);
+      document.getElementById('admin-enabled').checked = on;
+      document.getElementById('admin-form').dispatchEvent(new Event('change'));
+    }, on, adminPort);
+
+    await setEnabled(true);
+    await page.waitForFunction(
+      () => document.getElementById('admin-status')?.textContent?.startsWith('127.0.0.1:'),
+      { timeout: 5000 },
+    );
+    const token = await page.$eval('#admin-token', el => el.textContent);
+
+    res = await new Promise((resolve, reject) => {
+      request({ host: '127.0.0.1', port: adminPort, path: '/log', headers: { authorization: 'Bearer ' + token } }, resolve)
+        .on('error', reject)
+        .end();
+    });
+    console.log('  /log follow status:', res.statusCode);
+    if (res.statusCode !== 200) errors.push('admin: /log answered ' + res.statusCode);
+    res.resume();
+    const dropped = new Promise(resolve => res.once('close', () => resolve(true)));
+
+    await setEnabled(false);
+    const closed = await Promise.race([dropped, new Promise(r => setTimeout(() => r(false), 5000))]);
+    console.log('  Follower dropped on stop:', closed);
+    if (!closed) errors.push('admin: /log follower still connected 5s after the API was turned off');
+  } catch (err) {
+    errors.push('admin: ' + err.message);
+  } finally {
+    res?.destroy();
+    relay.close();
+    await page.close();
+  }
+}
+
+/**
+ * Drive the Direct Sockets playground on index.html against a Node TCP echo
+ * server through the mock sockets: connect, send text, and expect the echo
+ * in the socket-log transcript.
+ */
+async function testSocketsPlayground(browser, port) {
+  console.log('\n── Testing /index.html TCP playground (mock Direct Sockets) ──');
+  const echo = net.createServer(s => s.pipe(s));
+  await new Promise(r => echo.listen(0, '127.0.0.1', r));
+  const echoPort = echo.address().port;
+
+  const page = await browser.newPage();
+  page.on('pageerror', err => errors.push('SOCKETS PAGE_ERROR: ' + err.message));
+  const relay = await injectMockDirectSockets(page);
+  try {
+    await page.goto(`http://localhost:${port}/index.html`, { waitUntil: 'networkidle0', timeout: 10000 });
+    const inlineScripts = await page.$$eval('script:not([src])', els => els.length).catch(() => 0);
+    if (inlineScripts > 0) errors.push(inlineScripts + ' inline <script> tag(s) found in index.html');
+
+    await page.evaluate(echoPort => {
+      document.getElementById('sock-proto').value = 'tcp';
+      document.getElementById('sock-host').value = '127.0.0.1';
+      document.getElementById('sock-port').value = String(echoPort);
+      document.getElementById('sock-connect').requestSubmit();
+    }, echoPort);
+    await page.waitForFunction(() => !document.getElementById('sock-send-btn').disabled, { timeout: 5000 });
+
+    await page.evaluate(() => {
+      document.getElementById('sock-payload').value = 'hello';
+      document.getElementById('sock-send').requestSubmit();
+    });
+    await page.waitForFunction(
+      () => document.getElementById('sock-log').entries.some(e => e.direction === 'in'),
+      { timeout: 5000 },
+    );
+    const echoed = await page.evaluate(() => {
+      const entry = document.getElementById('sock-log').entries.find(e => e.direction === 'in');
+      return new TextDecoder().decode(entry.data);
+    });
+    console.log('  Echoed:', JSON.stringify(echoed));
+    if (echoed !== 'hello') errors.push('playground: expected "hello" back, got ' + JSON.stringify(echoed));
+
+    const rows = await page.$eval('#sock-log', el => el.shadowRoot.querySelectorAll('#log li').length);
+    console.log('  Transcript rows:', rows);
+    if (rows < 3) errors.push('playground: transcript has ' + rows + ' row(s), expected connect, out and in');
+  } catch (err) {
+    errors.push('playground: ' + err.message);
+  } finally {
+    relay.close();
+    echo.close();
+    await page.close();
+  }
+}
+
 async function main() {
   // Check dist exists
   if (!existsSync(path.join(distDir, 'quic.html'))) {
@@ -162,6 +378,18 @@ async function main() {
   if (inlineScripts > 0) errors.push(inlineScripts + ' inline <script> tag(s) found');
   console.log('  No inline scripts:', inlineScripts === 0);
 
+  // Header shows the manifest version; the update check finds the newer one
+  const appVersion = await page.$eval('#app-version', el => el.textContent).catch(() => '');
+  const manifestVersion = JSON.parse(readFileSync(path.join(distDir, '.well-known/manifest.webmanifest'), 'utf8')).version;
+  if (appVersion !== 'v' + manifestVersion) errors.push('header shows ' + appVersion + ', expected v' + manifestVersion);
+  console.log('  Version shown:', appVersion);
+  await page.$eval('#update-url', (el, url) => { el.value = url; }, `http://localhost:${port}/test-update.json`);
+  await page.click('#btn-update-check');
+  await page.waitForFunction(() => /available|up to date|failed/.test(document.getElementById('update-latest').textContent), { timeout: 5000 }).catch(() => {});
+  const updateLatest = await page.$eval('#update-latest', el => el.textContent).catch(() => '');
+  if (!updateLatest.startsWith('99.0.0')) errors.push('update check did not find 99.0.0 (got "' + updateLatest + '")');
+  console.log('  Update check:', updateLatest);
+
   // Check fonts loaded
   const fontsReady = await page.evaluate(() => document.fonts.ready.then(() => true)).catch(() => false);
   console.log('  Fonts ready:', fontsReady);
@@ -174,7 +402,64 @@ async function main() {
   const snippetHash = await page.$eval('#snippet-hash', el => el.textContent).catch(() => '');
   console.log('  Snippet hash:', snippetHash?.substring(0, 30) + '...');
 
-  // Also test the main index.html doesn't break
+  // Test the per-connection view: no server controls, waits for the server tab
+  console.log('\n── Testing /quic.html?conn=1 ──');
+  await page.goto(`http://localhost:${port}/quic.html?conn=1`, {
+    waitUntil: 'networkidle0',
+    timeout: 10000,
+  });
+  const connViewVisible = await page.$eval('#conn-view', el => !el.hidden).catch(() => false);
+  const connStartVisible = await page.$eval('#btn-start', el => el.offsetParent !== null).catch(() => true);
+  if (!connViewVisible) errors.push('conn view not rendered for ?conn=1');
+  if (connStartVisible) errors.push('conn view still shows the Start button');
+  console.log('  Conn view visible:', connViewVisible);
+  console.log('  Start button hidden:', !connStartVisible);
+
+  // Test the Controlled Frame page as a web+cf protocol launch
+  console.log('\n── Testing /cf.html ──');
+  await page.goto(`http://localhost:${port}/cf.html?params=${encodeURIComponent('web+cf:example.com')}`, {
+    waitUntil: 'networkidle0',
+    timeout: 10000,
+  });
+  const cfUrl = await page.$eval('#cf-url', el => el.value).catch(() => '');
+  if (cfUrl !== 'https://example.com/') errors.push('cf.html did not parse launch params (got "' + cfUrl + '")');
+  console.log('  Launch URL:', cfUrl);
+  const cfInline = await page.$$eval('script:not([src])', els => els.length).catch(() => 0);
+  if (cfInline > 0) errors.push(cfInline + ' inline <script> tag(s) found in cf.html');
+  console.log('  No inline scripts:', cfInline === 0);
+
+  // Test a monitor wall panel window: one metric panel, nothing else
+  console.log('\n── Testing /quic.html?panel=throughput ──');
+  await page.goto(`http://localhost:${port}/quic.html?panel=throughput`, {
+    waitUntil: 'networkidle0',
+    timeout: 10000,
+  });
+  const panelShown = await page.$eval('[data-wall-panel="throughput"]', el => el.offsetParent !== null).catch(() => false);
+  const otherHidden = await page.$eval('[data-wall-panel="packets"]', el => el.offsetParent === null).catch(() => false);
+  const panelStartHidden = await page.$eval('#btn-start', el => el.offsetParent === null).catch(() => false);
+  if (!panelShown) errors.push('panel view does not show the throughput panel');
+  if (!otherHidden) errors.push('panel view still shows other metric panels');
+  if (!panelStartHidden) errors.push('panel view still shows the Start button');
+  console.log('  Panel shown:', panelShown);
+  console.log('  Others hidden:', otherHidden && panelStartHidden);
+
+  // Test the screen capture page: saved settings load into the form
+  console.log('\n── Testing /screencapture.html ──');
+  await page.goto(`http://localhost:${port}/screencapture.html`, {
+    waitUntil: 'networkidle0',
+    timeout: 10000,
+  });
+  const capResolution = await page.$eval('#cap-resolution', el => el.value).catch(() => '');
+  if (capResolution !== '1080') errors.push('screencapture.html did not load its settings (resolution "' + capResolution + '")');
+  console.log('  Settings loaded:', capResolution === '1080');
+  const capInline = await page.$$eval('script:not([src])', els => els.length).catch(() => 0);
+  if (capInline > 0) errors.push(capInline + ' inline <script> tag(s) found in screencapture.html');
+  console.log('  No inline scripts:', capInline === 0);
+
+  await testQuicEndToEnd(browser, port);
+  await testAdminLogFollower(browser, port);
+
+  // Also test the direct sockets page doesn't break
   console.log('\n── Testing /index.html ──');
   const indexErrors = [];
   page.removeAllListeners('pageerror');
@@ -191,6 +476,8 @@ async function main() {
   const indexTitle = await page.title().catch(() => 'N/A');
   console.log('  Title:', indexTitle);
 
+  await testSocketsPlayground(browser, port);
+
   // Print results
   console.log('\n========================================');
   console.log('  Test Results');
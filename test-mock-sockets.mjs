@@ -0,0 +1,243 @@
+/**
+ * test-mock-sockets.mjs — Direct Sockets stand-in for headless tests.
+ *
+ * Outside an installed IWA there is no UDPSocket/TCPSocket/TCPServerSocket,
+ * so the QUIC server can't open its port. injectMockDirectSockets(page)
+ * defines all three in the page before any app script runs and relays them
+ * to real Node sockets, so the wasm server listens on an actual localhost
+ * port that real clients (Chrome's own QUIC stack, nc, ...) can reach.
+ *
+ * Browser → Node goes through a function exposed with page.exposeFunction;
+ * Node → browser through page.evaluate. Payloads travel as base64.
+ */
+import dgram from 'dgram';
+import net from 'net';
+
+/** Runs in the page; must not close over anything from this module. */
+function installMockDirectSockets() {
+  if (typeof globalThis.UDPSocket !== 'undefined') return;
+  const relay = (req) => globalThis.__directSocketsRelay(req);
+  const listeners = new Map();
+  let nextId = 0;
+
+  globalThis.__directSocketsDeliver = (id, event) => listeners.get(id)?.(event);
+
+  const toBase64 = (data) => {
+    const bytes = ArrayBuffer.isView(data)
+      ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+      : new Uint8Array(data);
+    let s = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(s);
+  };
+  const fromBase64 = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+
+  /** A readable fed by relay events for `id`; `wrap` shapes each data event. */
+  function relayReadable(id, wrap) {
+    return new ReadableStream({
+      start(ctl) {
+        listeners.set(id, event => {
+          try {
+            if (event.type === 'data') ctl.enqueue(wrap(event));
+            else if (event.type === 'end') ctl.close();
+            else if (event.type === 'error') ctl.error(new DOMException(event.message, 'NetworkError'));
+          } catch (_) {} // already closed
+        });
+      },
+      cancel: () => relay({ op: 'close', id }),
+    });
+  }
+
+  /** `locked` reports whether the socket's streams are in use; close() refuses then, as the real one does. */
+  function closable(id, locked = () => false) {
+    let resolveClosed;
+    const closed = new Promise(r => (resolveClosed = r));
+    return {
+      closed,
+      close: async () => {
+        if (locked()) throw new DOMException('close() while the streams are locked', 'InvalidStateError');
+        listeners.delete(id);
+        await relay({ op: 'close', id });
+        resolveClosed();
+      },
+    };
+  }
+
+  class UDPSocket {
+    constructor(options = {}) {
+      const id = 'b' + ++nextId;
+      Object.assign(this, closable(id));
+      const readable = relayReadable(id, e => ({
+        data: fromBase64(e.data),
+        remoteAddress: e.remoteAddress,
+        remotePort: e.remotePort,
+      }));
+      const writable = new WritableStream({
+        write: msg => relay({
+          op: 'udp-send',
+          id,
+          data: toBase64(msg.data),
+          remoteAddress: msg.remoteAddress,
+          remotePort: msg.remotePort,
+        }),
+        close: () => this.close(),
+      });
+      this.opened = relay({ op: 'udp-open', id, options }).then(info => ({ readable, writable, ...info }));
+    }
+  }
+
+  function tcpSocket(id, open) {
+    const socket = Object.create(TCPSocket.prototype);
+    const readable = relayReadable(id, e => fromBase64(e.data));
+    const writable = new WritableStream({
+      write: chunk => relay({ op: 'tcp-send', id, data: toBase64(chunk) }),
+      close: () => relay({ op: 'tcp-end', id }),
+    });
+    Object.assign(socket, closable(id, () => readable.locked || writable.locked));
+    socket.opened = open.then(info => ({ readable, writable, ...info }));
+    return socket;
+  }
+
+  class TCPSocket {
+    constructor(remoteAddress, remotePort, options = {}) {
+      const id = 'b' + ++nextId;
+      return tcpSocket(id, relay({ op: 'tcp-open', id, remoteAddress, remotePort, options }));
+    }
+  }
+
+  class TCPServerSocket {
+    constructor(localAddress, options = {}) {
+      const id = 'b' + ++nextId;
+      Object.assign(this, closable(id));
+      const readable = relayReadable(id, e => tcpSocket(e.socketId, Promise.resolve(e.info)));
+      this.opened = relay({ op: 'tcp-listen', id, localAddress, localPort: options.localPort ?? 0 })
+        .then(info => ({ readable, ...info }));
+    }
+  }
+
+  Object.assign(globalThis, { UDPSocket, TCPSocket, TCPServerSocket });
+}
+
+/**
+ * Install the stand-ins on `page`; call before page.goto(). Returns
+ * close(), which tears down every Node socket opened on the page's behalf.
+ */
+export async function injectMockDirectSockets(page) {
+  const sockets = new Map();
+  let nextId = 0;
+
+  const deliver = (id, event) =>
+    page.evaluate((id, event) => globalThis.__directSocketsDeliver?.(id, event), id, event).catch(() => {});
+
+  const tcpInfo = s => ({
+    remoteAddress: s.remoteAddress,
+    remotePort: s.remotePort,
+    localAddress: s.localAddress,
+    localPort: s.localPort,
+  });
+
+  function pipeTcp(id, s) {
+    sockets.set(id, s);
+    s.on('data', buf => deliver(id, { type: 'data', data: buf.toString('base64') }));
+    s.on('end', () => deliver(id, { type: 'end' }));
+    s.on('error', err => deliver(id, { type: 'error', message: err.message }));
+    s.on('close', () => sockets.delete(id));
+  }
+
+  const ops = {
+    'udp-open': ({ id, options }) => new Promise((resolve, reject) => {
+      const remote = options.remoteAddress;
+      const family = (remote ?? options.localAddress ?? '').includes(':') ? 'udp6' : 'udp4';
+      const s = dgram.createSocket(family);
+      sockets.set(id, s);
+      s.on('message', (msg, rinfo) =>
+        deliver(id, { type: 'data', data: msg.toString('base64'), remoteAddress: rinfo.address, remotePort: rinfo.port }));
+      s.on('error', err => {
+        deliver(id, { type: 'error', message: err.message });
+        reject(err);
+      });
+      const opened = () => {
+        const local = s.address();
+        resolve({
+          localAddress: local.address,
+          localPort: local.port,
+          remoteAddress: remote,
+          remotePort: options.remotePort,
+        });
+      };
+      if (remote) {
+        s.bind(0, () => s.connect(options.remotePort, remote, opened));
+      } else {
+        s.bind(options.localPort ?? 0, options.localAddress ?? (family === 'udp6' ? '::' : '0.0.0.0'), opened);
+      }
+    }),
+
+    'udp-send': ({ id, data, remoteAddress, remotePort }) => new Promise((resolve, reject) => {
+      const s = sockets.get(id);
+      if (!s) return reject(new Error('socket closed'));
+      const buf = Buffer.from(data, 'base64');
+      const done = err => (err ? reject(err) : resolve());
+      if (remoteAddress) s.send(buf, remotePort, remoteAddress, done);
+      else s.send(buf, done);
+    }),
+
+    'tcp-open': ({ id, remoteAddress, remotePort }) => new Promise((resolve, reject) => {
+      const s = net.connect(remotePort, remoteAddress);
+      s.once('connect', () => {
+        pipeTcp(id, s);
+        resolve(tcpInfo(s));
+      });
+      s.once('error', reject);
+    }),
+
+    'tcp-send': ({ id, data }) => new Promise((resolve, reject) => {
+      const s = sockets.get(id);
+      if (!s) return reject(new Error('socket closed'));
+      s.write(Buffer.from(data, 'base64'), err => (err ? reject(err) : resolve()));
+    }),
+
+    'tcp-end': ({ id }) => {
+      sockets.get(id)?.end();
+    },
+
+    'tcp-listen': ({ id, localAddress, localPort }) => new Promise((resolve, reject) => {
+      const server = net.createServer(s => {
+        const childId = 'n' + ++nextId;
+        pipeTcp(childId, s);
+        deliver(id, { type: 'data', socketId: childId, info: tcpInfo(s) });
+      });
+      server.once('error', reject);
+      server.listen(localPort, localAddress, () => {
+        sockets.set(id, server);
+        const addr = server.address();
+        resolve({ localAddress: addr.address, localPort: addr.port });
+      });
+    }),
+
+    close: ({ id }) => {
+      const s = sockets.get(id);
+      sockets.delete(id);
+      if (s instanceof net.Socket) s.destroy();
+      else s?.close();
+    },
+  };
+
+  await page.exposeFunction('__directSocketsRelay', req => {
+    const op = ops[req.op];
+    if (!op) throw new Error('unknown relay op ' + req.op);
+    return op(req);
+  });
+  await page.evaluateOnNewDocument(installMockDirectSockets);
+
+  return {
+    close() {
+      for (const s of sockets.values()) {
+        if (s instanceof net.Socket) s.destroy();
+        else s.close();
+      }
+      sockets.clear();
+    },
+  };
+}
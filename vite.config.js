@@ -13,6 +13,7 @@
 
 import { defineConfig } from 'vite';
 import fs from 'fs';
+import path from 'path';
 import injectHTML from 'vite-plugin-html-inject';
 
 import wbn from 'rollup-plugin-webbundle';
@@ -23,6 +24,9 @@ dotenv.config();
 
 const plugins = [injectHTML()];
 
+// package.json is the one place the version is bumped
+const { version } = JSON.parse(fs.readFileSync('./package.json', 'utf8'));
+
 if (process.env.NODE_ENV === 'production') {
   // Get the key and decrypt it to sign the web bundle
   const key = wbnSign.parsePemKey(
@@ -33,6 +37,19 @@ if (process.env.NODE_ENV === 'production') {
       )),
   );
 
+  // Chrome refuses an update whose manifest version differs from the bundle's
+  const webManifest = JSON.parse(
+    fs.readFileSync('./public/.well-known/manifest.webmanifest', 'utf8'),
+  );
+  if (webManifest.version !== version) {
+    throw new Error(
+      `manifest.webmanifest says ${webManifest.version} but package.json says ${version}`,
+    );
+  }
+
+  const bundleName = `iwa-sink-${version}.swbn`;
+  const bundleId = new wbnSign.WebBundleId(key).serialize();
+
   // Add the wbn bundle only during a production build
   plugins.push({
     ...wbn({
@@ -42,8 +59,9 @@ if (process.env.NODE_ENV === 'production') {
       static: {
         dir: 'public',
       },
-      // The name of the output web bundle
-      output: 'iwa-sink.swbn',
+      // The name of the output web bundle, one per version so older ones
+      // can stay on the update server
+      output: bundleName,
       // This ensures the web bundle is signed with the key
       integrityBlockSign: {
         strategy: new wbnSign.NodeCryptoSigningStrategy(key),
@@ -51,6 +69,24 @@ if (process.env.NODE_ENV === 'production') {
     }),
     enforce: 'post',
   });
+
+  // Update manifest next to the bundle. `src` is relative unless
+  // IWA_UPDATE_BASE_URL says where the bundles will be hosted.
+  plugins.push({
+    name: 'iwa-update-manifest',
+    apply: 'build',
+    writeBundle(options) {
+      const src = process.env.IWA_UPDATE_BASE_URL
+        ? new URL(bundleName, process.env.IWA_UPDATE_BASE_URL).href
+        : bundleName;
+      const manifest = { versions: [{ version, src }] };
+      fs.writeFileSync(
+        path.join(options.dir, 'update.json'),
+        JSON.stringify(manifest, null, 2) + '\n',
+      );
+      console.log(`\nIWA ${bundleId} v${version} → ${bundleName}, update.json`);
+    },
+  });
 }
 
 export default defineConfig({
@@ -64,6 +100,11 @@ export default defineConfig({
       clientPort: 5193,
     },
   },
+  // Classic workers: the server instance worker loads the Emscripten glue
+  // with importScripts
+  worker: {
+    format: 'iife',
+  },
   build: {
     rollupOptions: {
       input: {